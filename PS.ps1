@@ -13,7 +13,8 @@
     Enhanced with additional filtering options for date ranges and subject matching.
 
 .PARAMETER SenderEmail
-    The email address of the sender whose emails should be deleted
+    The sender whose emails should be deleted. Accepts a comma-separated list of addresses
+    and whole domains written as "@badsite.com" (subdomains included)
 
 .PARAMETER Method
     The method to use for deletion:
@@ -40,6 +41,19 @@
     Optional: Only delete emails where subject contains this text (case-insensitive)
     Cannot be used together with SubjectEqual
 
+.PARAMETER IncludeMailboxes
+    Optional: Comma-separated addresses or wildcard patterns (e.g. "*@finance.contoso.com").
+    When set, only matching mailboxes are processed
+
+.PARAMETER ExcludeMailboxes
+    Optional: Comma-separated addresses or wildcard patterns that are never processed
+
+.PARAMETER IncludeGroups
+    Optional: Comma-separated distribution groups; their members (nested groups expanded) are processed
+
+.PARAMETER ExcludeGroups
+    Optional: Comma-separated distribution groups whose members are never processed
+
 .PARAMETER WhatIf
     Shows what would be deleted without actually performing the deletion
 
@@ -53,9 +67,17 @@
     Enable fallback cleanup using Search-Mailbox -DeleteContent (hard delete).
     Disabled by default to preserve Recoverable Items so they remain recoverable by admins.
 
+.PARAMETER PurgeRecoverableItems
+    Also permanently delete matching copies from Recoverable Items (Deletions, Purges, Versions)
+    using Search-Mailbox -SearchDumpsterOnly -DeleteContent. Irreversible; every line it logs is
+    prefixed with [RECOVERABLE ITEMS]. With -WhatIf only estimates are reported.
+
 .EXAMPLE
     .\Remove-EmailsEnhanced.ps1 -SenderEmail "spammer@badsite.com" -WhatIf
 
+.EXAMPLE
+    .\Remove-EmailsEnhanced.ps1 -SenderEmail "billing@badsite.com,@badsite-mail.com" -WhatIf
+
 .EXAMPLE
     .\Remove-EmailsEnhanced.ps1 -SenderEmail "user@company.com" -FromDate "01/01/2024" -ToDate "31/01/2024" -SubjectContains "Invoice"
 
@@ -89,6 +111,18 @@ param(
     [Parameter(Mandatory = $false)]
     [string]$SubjectContains,
 
+    [Parameter(Mandatory = $false)]
+    [string]$IncludeMailboxes,
+
+    [Parameter(Mandatory = $false)]
+    [string]$ExcludeMailboxes,
+
+    [Parameter(Mandatory = $false)]
+    [string]$IncludeGroups,
+
+    [Parameter(Mandatory = $false)]
+    [string]$ExcludeGroups,
+
     [Parameter(Mandatory = $false)]
     [switch]$WhatIf,
 
@@ -99,7 +133,10 @@ param(
     [switch]$AutoConfirm,
 
     [Parameter(Mandatory = $false)]
-    [switch]$AllowHardDelete
+    [switch]$AllowHardDelete,
+
+    [Parameter(Mandatory = $false)]
+    [switch]$PurgeRecoverableItems
 )
 $WarningPreference = 'SilentlyContinue'
 
@@ -265,14 +302,20 @@ function Test-Prerequisites {
 
 function Build-SearchQuery {
     param(
-        [string]$Sender,
+        [string[]]$Senders,
         [DateTime]$StartDate,
         [DateTime]$EndDate,
         [string]$SubjEqual,
         [string]$SubjContains
     )
 
-    $queryParts = @("kind:email", "From:$Sender")
+    # From:badsite.com matches every address at the domain and its subdomains.
+    $senderTerms = @($Senders | ForEach-Object { "From:$($_.TrimStart('@'))" })
+    if ($senderTerms.Count -gt 1) {
+        $queryParts = @("kind:email", "($($senderTerms -join ' OR '))")
+    } else {
+        $queryParts = @("kind:email", $senderTerms[0])
+    }
 
     if ($StartDate -ne [DateTime]::MinValue) {
         $startDateString = $StartDate.ToString('MM/dd/yyyy')
@@ -336,23 +379,49 @@ function Get-EffectiveDateRange {
     return @{ StartDate = $effectiveStartDate; EndDate = $effectiveEndDate }
 }
 
-function Find-MailboxesWithSender {
+function Get-SenderTrackingEntries {
     param(
         [string]$Sender,
         [DateTime]$StartDate,
         [DateTime]$EndDate
     )
 
-    Write-Log "Searching for mailboxes that received emails from $Sender between $($StartDate.ToString('dd/MM/yyyy')) and $($EndDate.ToString('dd/MM/yyyy'))..."
+    if (-not $Sender.StartsWith('@')) {
+        return @(Get-MessageTrackingLog -Sender $Sender -Start $StartDate -End $EndDate -ResultSize Unlimited -EventId "DELIVER")
+    }
+
+    # Tracking logs cannot filter by domain, so deliveries are matched locally.
+    $domain = $Sender.Substring(1)
+    return @(Get-MessageTrackingLog -Start $StartDate -End $EndDate -ResultSize Unlimited -EventId "DELIVER" |
+        Where-Object { $_.Sender -and ($_.Sender -like "*@$domain" -or $_.Sender -like "*@*.$domain") })
+}
+
+function Find-MailboxesWithSender {
+    param(
+        [string[]]$Senders,
+        [DateTime]$StartDate,
+        [DateTime]$EndDate
+    )
+
+    $senderLabel = $Senders -join ', '
+    $senderAddresses = @($Senders | Where-Object { -not $_.StartsWith('@') })
+    Write-Log "Searching for mailboxes that received emails from $senderLabel between $($StartDate.ToString('dd/MM/yyyy')) and $($EndDate.ToString('dd/MM/yyyy'))..."
 
     try {
-        $recipientAddresses = Get-MessageTrackingLog -Sender $Sender -Start $StartDate -End $EndDate -ResultSize Unlimited -EventId "DELIVER" |
-            Select-Object -ExpandProperty Recipients |
-            Where-Object { $_ -and $_.Trim() -ne "" } |
-            Sort-Object -Unique
+        $recipientAddresses = @()
+        foreach ($sender in $Senders) {
+            $entries = Get-SenderTrackingEntries -Sender $sender -StartDate $StartDate -EndDate $EndDate
+            $recipients = @($entries |
+                Select-Object -ExpandProperty Recipients |
+                Where-Object { $_ -and $_.Trim() -ne "" } |
+                Sort-Object -Unique)
+            Write-Log "Sender ${sender}: $($entries.Count) message(s) delivered to $($recipients.Count) mailbox(es)"
+            $recipientAddresses += $recipients
+        }
+        $recipientAddresses = @($recipientAddresses | Sort-Object -Unique)
 
         if (-not $recipientAddresses -or $recipientAddresses.Count -eq 0) {
-            Write-Log "No emails found from sender $Sender in message tracking logs for the specified period." "WARNING"
+            Write-Log "No emails found from $senderLabel in message tracking logs for the specified period." "WARNING"
             return @()
         }
 
@@ -375,9 +444,9 @@ function Find-MailboxesWithSender {
 
         $unique = $mailboxes |
             Sort-Object -Property PrimarySmtpAddress -Unique |
-            Where-Object { $_.PrimarySmtpAddress -and ($_.PrimarySmtpAddress.ToString().ToLower() -ne $Sender.ToLower()) }
+            Where-Object { $_.PrimarySmtpAddress -and ($senderAddresses -notcontains $_.PrimarySmtpAddress.ToString().ToLower()) }
 
-        Write-Log "Found $(@($unique).Count) mailboxes that received emails from $Sender"
+        Write-Log "Found $(@($unique).Count) mailboxes that received emails from $senderLabel"
         return @($unique)
     }
     catch {
@@ -385,8 +454,86 @@ function Find-MailboxesWithSender {
         Write-Log "Falling back to searching all mailboxes..." "WARNING"
         $allMailboxes = Get-Mailbox -ResultSize Unlimited
         Write-Log "Found $(@($allMailboxes).Count) total mailboxes in organization"
-        return @($allMailboxes | Where-Object { $_.PrimarySmtpAddress.ToString().ToLower() -ne $Sender.ToLower() })
+        return @($allMailboxes | Where-Object { $senderAddresses -notcontains $_.PrimarySmtpAddress.ToString().ToLower() })
+    }
+}
+
+function Split-ScopeList {
+    param([string]$Value)
+
+    if (-not $Value) {
+        return @()
+    }
+
+    return @($Value -split ',' | ForEach-Object { $_.Trim().ToLower() } | Where-Object { $_ })
+}
+
+function Expand-GroupMembers {
+    param([string[]]$Groups)
+
+    $members = @{}
+    $visited = @{}
+    $pending = New-Object System.Collections.Queue
+    foreach ($group in $Groups) {
+        $pending.Enqueue($group)
+    }
+
+    while ($pending.Count -gt 0) {
+        $group = $pending.Dequeue()
+        if ($visited.ContainsKey($group)) {
+            continue
+        }
+        $visited[$group] = $true
+
+        try {
+            $entries = Get-DistributionGroupMember -Identity $group -ResultSize Unlimited -ErrorAction Stop
+        } catch {
+            Write-Log "Could not expand group ${group}: $_" "WARNING"
+            continue
+        }
+
+        foreach ($entry in $entries) {
+            if (-not $entry.PrimarySmtpAddress) {
+                continue
+            }
+
+            $address = $entry.PrimarySmtpAddress.ToString().ToLower()
+            if ($entry.RecipientType -like "*Group*") {
+                $pending.Enqueue($address)
+            } else {
+                $members[$address] = $true
+            }
+        }
+    }
+
+    return $members
+}
+
+function Select-ScopedMailboxes {
+    param([array]$CandidateMailboxes)
+
+    $include = Split-ScopeList $IncludeMailboxes
+    $exclude = Split-ScopeList $ExcludeMailboxes
+    $includeGroupList = Split-ScopeList $IncludeGroups
+    $excludeGroupList = Split-ScopeList $ExcludeGroups
+
+    if ($include.Count -eq 0 -and $exclude.Count -eq 0 -and $includeGroupList.Count -eq 0 -and $excludeGroupList.Count -eq 0) {
+        return @($CandidateMailboxes)
     }
+
+    $includedMembers = Expand-GroupMembers -Groups $includeGroupList
+    $excludedMembers = Expand-GroupMembers -Groups $excludeGroupList
+    $restricted = ($include.Count -gt 0) -or ($includeGroupList.Count -gt 0)
+
+    $scoped = @($CandidateMailboxes | Where-Object {
+        $address = $_.PrimarySmtpAddress.ToString().ToLower()
+        $inScope = (-not $restricted) -or $includedMembers.ContainsKey($address) -or (@($include | Where-Object { $address -like $_ }).Count -gt 0)
+        $excluded = $excludedMembers.ContainsKey($address) -or (@($exclude | Where-Object { $address -like $_ }).Count -gt 0)
+        $inScope -and -not $excluded
+    })
+
+    Write-Log "Mailbox scope applied: $($scoped.Count) of $(@($CandidateMailboxes).Count) candidate mailbox(es) in scope."
+    return $scoped
 }
 
 function Get-VerifiedMailboxesWithSender {
@@ -595,9 +742,57 @@ function Remove-EmailsSearchMailbox {
     }
 }
 
+function Remove-RecoverableItemsCopies {
+    param(
+        [array]$TargetMailboxes,
+        [string]$SearchQuery
+    )
+
+    if (-not $TargetMailboxes -or $TargetMailboxes.Count -eq 0) {
+        Write-Log "[RECOVERABLE ITEMS] No target mailboxes to process."
+        return
+    }
+
+    if (-not (Get-Command "Search-Mailbox" -ErrorAction SilentlyContinue)) {
+        Write-Log "[RECOVERABLE ITEMS] Search-Mailbox is not available; Recoverable Items were not purged." "ERROR"
+        return
+    }
+
+    Write-Log "[RECOVERABLE ITEMS] Processing Recoverable Items (Deletions, Purges, Versions) in $($TargetMailboxes.Count) mailbox(es)..." "WARNING"
+    $totalPurged = 0
+
+    foreach ($mailbox in $TargetMailboxes) {
+        $id = $mailbox.Identity.ToString()
+
+        try {
+            if ($WhatIf) {
+                $estimate = Search-Mailbox -Identity $id -SearchQuery $SearchQuery -SearchDumpsterOnly -EstimateResultOnly -ErrorAction Stop
+                if ($estimate.ResultItemsCount -gt 0) {
+                    Write-Log "[RECOVERABLE ITEMS] [WHATIF] Found $($estimate.ResultItemsCount) items in Recoverable Items of $($mailbox.PrimarySmtpAddress)"
+                }
+                $totalPurged += $estimate.ResultItemsCount
+            } else {
+                $result = Search-Mailbox -Identity $id -SearchQuery $SearchQuery -SearchDumpsterOnly -DeleteContent -Force -Confirm:$false -ErrorAction Stop
+                if ($result.ResultItemsCount -gt 0) {
+                    Write-Log "[RECOVERABLE ITEMS] Purged $($result.ResultItemsCount) items from $($mailbox.PrimarySmtpAddress)" "WARNING"
+                }
+                $totalPurged += $result.ResultItemsCount
+            }
+        } catch {
+            Write-Log "[RECOVERABLE ITEMS] Error processing mailbox $($mailbox.PrimarySmtpAddress): $_" "ERROR"
+        }
+    }
+
+    if ($WhatIf) {
+        Write-Log "[RECOVERABLE ITEMS] [WHATIF] Would purge $totalPurged total items from Recoverable Items"
+    } else {
+        Write-Log "[RECOVERABLE ITEMS] Purged $totalPurged total items from Recoverable Items" "WARNING"
+    }
+}
+
 function Show-FilterSummary {
     param(
-        [string]$Sender,
+        [string[]]$Senders,
         [DateTime]$StartDate,
         [DateTime]$EndDate,
         [string]$SubjEqual,
@@ -605,7 +800,7 @@ function Show-FilterSummary {
     )
 
     Write-Log "=== FILTER SUMMARY ==="
-    Write-Log "Sender: $Sender"
+    Write-Log "Senders: $($Senders -join ', ')"
     Write-Log "Date Range: $($StartDate.ToString('dd/MM/yyyy')) to $($EndDate.ToString('dd/MM/yyyy'))"
 
     if ($SubjEqual) {
@@ -616,6 +811,12 @@ function Show-FilterSummary {
         Write-Log "Subject Filter: None (all subjects)"
     }
 
+    if ($IncludeMailboxes -or $IncludeGroups -or $ExcludeMailboxes -or $ExcludeGroups) {
+        Write-Log "Mailbox Scope: include [$IncludeMailboxes] groups [$IncludeGroups]; exclude [$ExcludeMailboxes] groups [$ExcludeGroups]"
+    } else {
+        Write-Log "Mailbox Scope: All mailboxes"
+    }
+
     Write-Log "Method: $Method"
     Write-Log "Verification: Excludes Recoverable Items using -SearchDumpster:$false"
     if ($AllowHardDelete) {
@@ -623,6 +824,9 @@ function Show-FilterSummary {
     } else {
         Write-Log "Hard delete fallback: Disabled (Recoverable Items preserved)"
     }
+    if ($PurgeRecoverableItems) {
+        Write-Log "[RECOVERABLE ITEMS] Recoverable Items purge: Enabled (matching copies in Deletions/Purges/Versions are permanently deleted)" "WARNING"
+    }
     Write-Log "====================="
 }
 
@@ -644,11 +848,19 @@ try {
     $effectiveStartDate = $dateRange.StartDate
     $effectiveEndDate = $dateRange.EndDate
 
-    $searchQuery = Build-SearchQuery -Sender $SenderEmail -StartDate $effectiveStartDate -EndDate $effectiveEndDate -SubjEqual $SubjectEqual -SubjContains $SubjectContains
+    $senderList = Split-ScopeList $SenderEmail
+    $invalidSenders = @($senderList | Where-Object { $_ -notmatch '^[^@\s*?]*@[a-z0-9-]+(\.[a-z0-9-]+)+$' })
+    if ($senderList.Count -eq 0 -or $invalidSenders.Count -gt 0) {
+        Write-Log "SenderEmail must list addresses or @domains: $($invalidSenders -join ', ')" "ERROR"
+        exit 1
+    }
+
+    $searchQuery = Build-SearchQuery -Senders $senderList -StartDate $effectiveStartDate -EndDate $effectiveEndDate -SubjEqual $SubjectEqual -SubjContains $SubjectContains
 
-    Show-FilterSummary -Sender $SenderEmail -StartDate $effectiveStartDate -EndDate $effectiveEndDate -SubjEqual $SubjectEqual -SubjContains $SubjectContains
+    Show-FilterSummary -Senders $senderList -StartDate $effectiveStartDate -EndDate $effectiveEndDate -SubjEqual $SubjectEqual -SubjContains $SubjectContains
 
-    $candidateMailboxes = Find-MailboxesWithSender -Sender $SenderEmail -StartDate $effectiveStartDate -EndDate $effectiveEndDate
+    $candidateMailboxes = Find-MailboxesWithSender -Senders $senderList -StartDate $effectiveStartDate -EndDate $effectiveEndDate
+    $candidateMailboxes = Select-ScopedMailboxes -CandidateMailboxes $candidateMailboxes
 
     if (-not $candidateMailboxes -or $candidateMailboxes.Count -eq 0) {
         Write-Log "No mailboxes found with emails from $SenderEmail (candidates). Exiting."
@@ -656,17 +868,20 @@ try {
     }
 
     $verifiedMailboxes = Get-VerifiedMailboxesWithSender -CandidateMailboxes $candidateMailboxes -SearchQuery $searchQuery
+    $hasActiveMatches = $verifiedMailboxes -and $verifiedMailboxes.Count -gt 0
 
-    if (-not $verifiedMailboxes -or $verifiedMailboxes.Count -eq 0) {
+    if (-not $hasActiveMatches) {
         Write-Log "No mailboxes currently contain active messages matching the specified criteria. Nothing to do."
-        exit 0
+        if (-not $PurgeRecoverableItems) {
+            exit 0
+        }
     }
 
     if (-not $WhatIf) {
         if ($AutoConfirm) {
             Write-Log "AutoConfirm enabled. Proceeding without interactive prompt."
         } else {
-            Write-Log "About to delete active emails matching the specified criteria in $($verifiedMailboxes.Count) mailbox(es)."
+            Write-Log "About to delete active emails matching the specified criteria in $(@($verifiedMailboxes).Count) mailbox(es)."
             $confirmation = Read-Host "Continue? (y/N)"
             if ($confirmation -ne 'y' -and $confirmation -ne 'Y') {
                 Write-Log "Operation cancelled by user."
@@ -675,15 +890,23 @@ try {
         }
     }
 
-    switch ($Method) {
-        "ComplianceSearch" {
-            Remove-EmailsComplianceSearch -TargetMailboxes $verifiedMailboxes -SearchQuery $searchQuery
-        }
-        "SearchMailbox" {
-            Remove-EmailsSearchMailbox -TargetMailboxes $verifiedMailboxes -SearchQuery $searchQuery
+    if ($hasActiveMatches) {
+        switch ($Method) {
+            "ComplianceSearch" {
+                Remove-EmailsComplianceSearch -TargetMailboxes $verifiedMailboxes -SearchQuery $searchQuery
+            }
+            "SearchMailbox" {
+                Remove-EmailsSearchMailbox -TargetMailboxes $verifiedMailboxes -SearchQuery $searchQuery
+            }
         }
     }
 
+    # Copies in Recoverable Items can sit in mailboxes with no active matches left,
+    # so the purge runs against every in-scope candidate.
+    if ($PurgeRecoverableItems) {
+        Remove-RecoverableItemsCopies -TargetMailboxes $candidateMailboxes -SearchQuery $searchQuery
+    }
+
     Write-Log "Script execution completed." "SUCCESS"
 }
 catch {
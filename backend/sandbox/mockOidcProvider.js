@@ -0,0 +1,186 @@
+require("dotenv").config();
+
+const crypto = require("crypto");
+const express = require("express");
+const cors = require("cors");
+
+const { coerceInteger, parseList } = require("../src/utils/env");
+const logger = require("../src/utils/logger");
+
+// A local OpenID Connect provider for development and sandbox runs. It signs
+// RS256 tokens with a key generated at startup, lets the browser pick one of
+// MOCK_OIDC_USERS instead of asking for a password, and implements just
+// enough of the authorization code flow with PKCE for the frontend. Never
+// expose it outside a test machine.
+const port = coerceInteger(process.env.MOCK_OIDC_PORT, 5556);
+const issuer = (process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`).replace(/\/+$/, "");
+const clientId = process.env.MOCK_OIDC_CLIENT_ID || process.env.OIDC_CLIENT_ID || "exchange-remover";
+const audience = process.env.MOCK_OIDC_AUDIENCE || process.env.OIDC_AUDIENCE || "exchange-remover-api";
+const tokenTtlSeconds = Math.max(60, coerceInteger(process.env.MOCK_OIDC_TOKEN_TTL_SECONDS, 3600));
+const users = parseList(process.env.MOCK_OIDC_USERS, ["alice@contoso.com", "bob@contoso.com", "carol@contoso.com"]);
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const kid = crypto.randomUUID();
+const jwk = { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" };
+
+const codes = new Map();
+const refreshTokens = new Map();
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const signToken = (claims, typ = "JWT") => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const input = `${encode({ alg: "RS256", typ, kid })}.${encode(claims)}`;
+  return `${input}.${crypto.sign("sha256", Buffer.from(input), privateKey).toString("base64url")}`;
+};
+
+const toClaims = (user) => ({
+  sub: crypto.createHash("sha256").update(user).digest("hex").slice(0, 24),
+  preferred_username: user,
+  email: user,
+  name: user.split("@")[0].replace(/^./, (char) => char.toUpperCase())
+});
+
+const issueTokens = (user, nonce) => {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { ...toClaims(user), iss: issuer, iat: now, nbf: now, exp: now + tokenTtlSeconds };
+  const refreshToken = crypto.randomBytes(32).toString("base64url");
+
+  refreshTokens.set(refreshToken, user);
+  return {
+    token_type: "Bearer",
+    expires_in: tokenTtlSeconds,
+    access_token: signToken({ ...claims, aud: audience, azp: clientId, scope: "openid profile email" }, "at+jwt"),
+    id_token: signToken({ ...claims, aud: clientId, ...(nonce ? { nonce } : {}) }),
+    refresh_token: refreshToken
+  };
+};
+
+const oauthError = (res, error, description, status = 400) =>
+  res.status(status).json({ error, error_description: description });
+
+const app = express();
+app.use(cors());
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (_, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    jwks_uri: `${issuer}/jwks`,
+    end_session_endpoint: `${issuer}/logout`,
+    response_types_supported: ["code"],
+    grant_types_supported: ["authorization_code", "refresh_token", "password"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "profile", "email", "offline_access"],
+    token_endpoint_auth_methods_supported: ["none"]
+  });
+});
+
+app.get("/jwks", (_, res) => {
+  res.json({ keys: [jwk] });
+});
+
+// Instead of a password prompt the page lists the configured users.
+app.get("/authorize", (req, res) => {
+  const params = req.query;
+
+  if (params.client_id !== clientId) {
+    return oauthError(res, "unauthorized_client", `Unknown client_id ${params.client_id}`);
+  }
+  if (params.response_type !== "code" || !params.redirect_uri) {
+    return oauthError(res, "invalid_request", "response_type=code and redirect_uri are required");
+  }
+  if (params.code_challenge_method !== "S256" || !params.code_challenge) {
+    return oauthError(res, "invalid_request", "PKCE with code_challenge_method=S256 is required");
+  }
+
+  const hidden = ["client_id", "redirect_uri", "state", "nonce", "code_challenge"]
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params[name] || "")}">`)
+    .join("");
+  const buttons = users
+    .map((user) => `<button type="submit" name="user" value="${escapeHtml(user)}">${escapeHtml(user)}</button>`)
+    .join("<br>");
+
+  res.type("html").send(
+    `<!doctype html><title>Mock sign-in</title><h1>Mock identity provider</h1>` +
+      `<p>Sign in to ${escapeHtml(clientId)} as:</p><form method="post" action="/authorize">${hidden}${buttons}</form>`
+  );
+});
+
+app.post("/authorize", (req, res) => {
+  const { user, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.body;
+
+  if (!users.includes(user)) {
+    return oauthError(res, "access_denied", `Unknown user ${user}`);
+  }
+
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, { user, redirectUri, nonce, codeChallenge, expiresAt: Date.now() + 60000 });
+  logger.info({ user }, "Mock identity provider signed a user in");
+
+  const target = new URL(redirectUri);
+  target.searchParams.set("code", code);
+  if (state) {
+    target.searchParams.set("state", state);
+  }
+  res.redirect(target.toString());
+});
+
+// The password grant skips the browser for scripted checks; any password is
+// accepted for a configured user.
+app.post("/token", (req, res) => {
+  const params = req.body;
+
+  if (params.client_id !== clientId) {
+    return oauthError(res, "invalid_client", `Unknown client_id ${params.client_id}`, 401);
+  }
+
+  if (params.grant_type === "authorization_code") {
+    const grant = codes.get(params.code);
+    codes.delete(params.code);
+
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== params.redirect_uri) {
+      return oauthError(res, "invalid_grant", "Authorization code is invalid or expired");
+    }
+    const challenge = crypto
+      .createHash("sha256")
+      .update(String(params.code_verifier || ""))
+      .digest("base64url");
+    if (challenge !== grant.codeChallenge) {
+      return oauthError(res, "invalid_grant", "code_verifier does not match the code_challenge");
+    }
+    return res.json(issueTokens(grant.user, grant.nonce));
+  }
+
+  if (params.grant_type === "refresh_token") {
+    const user = refreshTokens.get(params.refresh_token);
+    refreshTokens.delete(params.refresh_token);
+    return user ? res.json(issueTokens(user)) : oauthError(res, "invalid_grant", "Refresh token is invalid");
+  }
+
+  if (params.grant_type === "password") {
+    return users.includes(params.username)
+      ? res.json(issueTokens(params.username))
+      : oauthError(res, "invalid_grant", `Unknown user ${params.username}`);
+  }
+
+  return oauthError(res, "unsupported_grant_type", `Unsupported grant_type ${params.grant_type}`);
+});
+
+app.get("/logout", (req, res) => {
+  const target = req.query.post_logout_redirect_uri;
+  if (target) {
+    res.redirect(target);
+    return;
+  }
+  res.type("text").send("Signed out");
+});
+
+app.listen(port, () => {
+  logger.info({ issuer, clientId, audience, users }, "Mock OIDC provider listening");
+});
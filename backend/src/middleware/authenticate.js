@@ -0,0 +1,62 @@
+const createError = require("http-errors");
+
+const { isOidcEnabled, verifyAccessToken, toUser, tokenError } = require("../utils/oidc");
+const logger = require("../utils/logger");
+const requestStore = require("../utils/requestStore");
+
+const PUBLIC_PATHS = new Set(["/healthz"]);
+
+// With OIDC_ISSUER set every request needs a bearer token from that issuer.
+// Otherwise the API takes the user from AUTH_USER_HEADER, set by an
+// authenticating reverse proxy, and without either requests are anonymous.
+// Approvals only accept the header with AUTH_USER_HEADER_TRUSTED (see
+// services/approvalService.js).
+const userHeader = isOidcEnabled() ? "" : (process.env.AUTH_USER_HEADER || "").trim().toLowerCase();
+
+if (isOidcEnabled()) {
+  logger.info({ issuer: process.env.OIDC_ISSUER }, "OIDC bearer authentication enabled");
+} else if (!userHeader) {
+  logger.warn("No OIDC_ISSUER or AUTH_USER_HEADER configured; the API accepts anonymous requests");
+} else if (process.env.AUTH_USER_HEADER_TRUSTED !== "true") {
+  logger.warn(
+    { header: userHeader },
+    "AUTH_USER_HEADER is not marked as set by a trusted proxy; live deletion approvals are refused"
+  );
+}
+
+const readHeaderUser = (req) => {
+  const value = userHeader ? String(req.get(userHeader) || "").trim() : "";
+  return value ? { id: value.toLowerCase(), name: value } : null;
+};
+
+const readBearerUser = async (req) => {
+  const [scheme, token] = String(req.get("authorization") || "").split(" ");
+
+  if (!/^bearer$/i.test(scheme || "") || !token) {
+    const error = createError(401, "Sign-in required");
+    error.expose = true;
+    error.authenticate = "Bearer";
+    throw error;
+  }
+  return toUser(await verifyAccessToken(token));
+};
+
+const authenticate = async (req, res, next) => {
+  try {
+    if (isOidcEnabled() && !PUBLIC_PATHS.has(req.path)) {
+      req.user = await readBearerUser(req);
+    } else {
+      req.user = readHeaderUser(req);
+    }
+  } catch (error) {
+    if (error.authenticate) {
+      res.setHeader("WWW-Authenticate", error.authenticate);
+    }
+    next(error.status ? error : tokenError("Bearer token could not be verified"));
+    return;
+  }
+
+  requestStore.run({ requestId: req.requestId, user: req.user }, next);
+};
+
+module.exports = authenticate;
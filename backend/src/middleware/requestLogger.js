@@ -7,6 +7,7 @@ const requestLogger = (req, res, next) => {
       requestId: req.requestId,
       method: req.method,
       path: req.originalUrl,
+      user: req.user?.id,
       origin: req.get("origin") || undefined
     },
     "Incoming request"
@@ -18,6 +19,7 @@ const requestLogger = (req, res, next) => {
         requestId: req.requestId,
         method: req.method,
         path: req.originalUrl,
+        user: req.user?.id,
         status: res.statusCode,
         durationMs: Date.now() - startedAt
       },
@@ -0,0 +1,800 @@
+const {
+  AffectedTaskOccurrence,
+  BasePropertySet,
+  BodyType,
+  ConnectingIdType,
+  DateTime,
+  DeleteMode,
+  EmailMessage,
+  EmailMessageSchema,
+  ExchangeService,
+  ExchangeVersion,
+  ExtendedPropertyDefinition,
+  Folder,
+  FolderSchema,
+  FolderTraversal,
+  FolderView,
+  ImpersonatedUserId,
+  ItemId,
+  ItemTraversal,
+  ItemView,
+  LogicalOperator,
+  MailboxType,
+  MapiPropertyType,
+  PropertySet,
+  SearchFilter,
+  SortDirection,
+  Uri,
+  WebCredentials,
+  WellKnownFolderName,
+  SendCancellationsMode,
+  ServiceError,
+  ServiceResult
+} = require("ews-javascript-api");
+const createError = require("http-errors");
+
+const logger = require("../utils/logger");
+const { buildAqsQuery, toDatePart } = require("../utils/queryBuilder");
+const { extractUrls } = require("../utils/urlIndicators");
+const { parseHeaderBlock } = require("../utils/headerFilter");
+const { coerceInteger } = require("../utils/env");
+const { wrapExchangeError } = require("../utils/errors");
+const { withRetry } = require("../utils/retry");
+const { parseFolderSelection, dedupeFolders } = require("../utils/folderPaths");
+
+const SERVICE_VERSION_MAP = {
+  exchange2010: ExchangeVersion.Exchange2010_SP2,
+  exchange2013: ExchangeVersion.Exchange2013,
+  exchange2016: ExchangeVersion.Exchange2016,
+  exchange2019: ExchangeVersion.Exchange2019
+};
+
+const DELETE_MODE_MAP = {
+  softdelete: DeleteMode.SoftDelete,
+  movetodeleteditems: DeleteMode.MoveToDeletedItems,
+  harddelete: DeleteMode.HardDelete
+};
+
+const FOLDER_MAP = {
+  inbox: WellKnownFolderName.Inbox,
+  junkemail: WellKnownFolderName.JunkEmail,
+  deleteditems: WellKnownFolderName.DeletedItems,
+  sentitems: WellKnownFolderName.SentItems,
+  drafts: WellKnownFolderName.Drafts,
+  archive: WellKnownFolderName.ArchiveMsgFolderRoot
+};
+
+const RECOVERABLE_FOLDER_MAP = {
+  recoverableitemsdeletions: WellKnownFolderName.RecoverableItemsDeletions,
+  recoverableitemspurges: WellKnownFolderName.RecoverableItemsPurges,
+  recoverableitemsversions: WellKnownFolderName.RecoverableItemsVersions
+};
+
+const THROTTLING_ERRORS = new Set(["ErrorServerBusy", "ErrorTooManyObjectsOpened"]);
+
+const TRANSIENT_ERRORS = new Set([
+  "ErrorInternalServerTransientError",
+  "ErrorMailboxStoreUnavailable",
+  "ErrorConnectionFailed",
+  "ErrorTimeoutExpired",
+  "ErrorMailboxMoveInProgress"
+]);
+
+const TRANSIENT_NETWORK_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE"]);
+
+// PR_ATTR_HIDDEN keeps the quarantine folder out of Outlook's folder list.
+const HIDDEN_FOLDER_PROPERTY = new ExtendedPropertyDefinition(0x10f4, MapiPropertyType.Boolean);
+
+// PR_TRANSPORT_MESSAGE_HEADERS holds the headers as received; it has no
+// first-class property in EWS.
+const TRANSPORT_HEADERS_PROPERTY = new ExtendedPropertyDefinition(0x007d, MapiPropertyType.String);
+
+// Returned when the mailbox has no archive provisioned.
+const NO_ARCHIVE_ERRORS = new Set(["ErrorArchiveMailboxNotEnabled", "ErrorFolderNotFound"]);
+
+const config = {
+  ewsUrl: process.env.EWS_URL,
+  autodiscoverEmail: process.env.EWS_AUTODISCOVER_EMAIL,
+  username: process.env.EWS_USERNAME,
+  password: process.env.EWS_PASSWORD,
+  domain: process.env.EWS_DOMAIN,
+  version: (process.env.EWS_VERSION || "Exchange2016").toLowerCase(),
+  ignoreSsl: process.env.EWS_IGNORE_SSL === "true",
+  pageSize: Math.max(1, Math.min(coerceInteger(process.env.EWS_PAGE_SIZE, 50), 200)),
+  poolSize: Math.max(1, coerceInteger(process.env.EWS_POOL_SIZE, 8))
+};
+
+// Autodiscovery runs once; later services reuse the endpoint it returned.
+let discoveredUrl = null;
+
+// Idle, fully initialised services. Each checked-out service is used by one
+// mailbox at a time because impersonation is per instance.
+const idleServices = [];
+
+const mergeContext = (context = {}, extra = {}) => ({ ...context, ...extra });
+
+const ewsErrorName = (error) => {
+  const code = error?.ErrorCode ?? error?.Response?.ErrorCode;
+  return typeof code === "number" ? ServiceError[code] : code || null;
+};
+
+const readBackOffHint = (error) => {
+  const value = error?.Response?.ErrorDetails?.get?.("BackOffMilliseconds");
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// ErrorServerBusy carries the back-off the server wants honoured; plain HTTP
+// 429/503 responses and dropped connections are retried on our own schedule.
+const classifyEwsError = (error) => {
+  const name = ewsErrorName(error);
+  const status = error?.HttpStatusCode ?? error?.status ?? error?.SoapFault?.HttpStatusCode;
+
+  if (THROTTLING_ERRORS.has(name) || status === 429) {
+    return { throttled: true, retryAfterMs: readBackOffHint(error) };
+  }
+
+  if (status === 503 || TRANSIENT_ERRORS.has(name) || TRANSIENT_NETWORK_CODES.has(error?.code)) {
+    return { throttled: status === 503, retryAfterMs: null };
+  }
+
+  return null;
+};
+
+const callEws = (operation, call, context = {}) => withRetry(operation, call, classifyEwsError, context);
+
+const sanitizeServiceConfig = () => ({
+  ewsUrl: config.ewsUrl,
+  autodiscoverEmail: config.autodiscoverEmail,
+  username: config.username,
+  domain: config.domain,
+  version: config.version,
+  ignoreSsl: config.ignoreSsl
+});
+
+const ensureCredentialsConfigured = () => {
+  if (!config.username || !config.password) {
+    const missing = [];
+    if (!config.username) missing.push("EWS_USERNAME");
+    if (!config.password) missing.push("EWS_PASSWORD");
+
+    const error = createError(500, "EWS credentials are not configured");
+    error.details = { missing };
+    error.expose = true;
+    throw error;
+  }
+};
+
+const resolveServiceVersion = () => SERVICE_VERSION_MAP[config.version] || ExchangeVersion.Exchange2016;
+
+const createService = async (context = {}) => {
+  ensureCredentialsConfigured();
+
+  if (!config.ewsUrl && !config.autodiscoverEmail) {
+    const error = createError(500, "Either EWS_URL or EWS_AUTODISCOVER_EMAIL must be supplied in the environment.");
+    error.details = { operation: "configuration" };
+    error.expose = true;
+    throw error;
+  }
+
+  if (config.ignoreSsl) {
+    process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
+  }
+
+  const operation = context.operation || "ExchangeService";
+  const sanitized = sanitizeServiceConfig();
+
+  try {
+    const service = new ExchangeService(resolveServiceVersion());
+
+    if (config.domain) {
+      service.Credentials = new WebCredentials(config.username, config.password, config.domain);
+    } else {
+      service.Credentials = new WebCredentials(config.username, config.password);
+    }
+
+    if (config.ewsUrl) {
+      service.Url = new Uri(config.ewsUrl);
+    } else if (discoveredUrl) {
+      service.Url = new Uri(discoveredUrl);
+    } else if (config.autodiscoverEmail) {
+      await service.AutodiscoverUrl(
+        config.autodiscoverEmail,
+        (url) => url && url.toLowerCase().startsWith("https://")
+      );
+      discoveredUrl = service.Url?.AbsoluteUri || String(service.Url);
+    }
+
+    logger.debug({ requestId: context.requestId, operation, config: sanitized }, "Exchange service initialised");
+    return service;
+  } catch (error) {
+    logger.error(
+      { error, requestId: context.requestId, operation, config: sanitized },
+      "Failed to initialise Exchange service"
+    );
+    throw wrapExchangeError("Failed to initialise Exchange Web Services client", error, {
+      ...sanitized,
+      operation
+    });
+  }
+};
+
+const acquireService = async (context = {}) => {
+  const service = idleServices.pop();
+
+  if (service) {
+    logger.debug({ requestId: context.requestId, idle: idleServices.length }, "Reusing pooled Exchange service");
+    return service;
+  }
+
+  return createService(context);
+};
+
+const releaseService = (service) => {
+  service.ImpersonatedUserId = null;
+
+  if (idleServices.length < config.poolSize) {
+    idleServices.push(service);
+  }
+};
+
+// Paths and AllMailFolders are resolved per mailbox by expandFolders.
+const ensureFolder = (folder) => {
+  const selection = parseFolderSelection(folder, FOLDER_MAP);
+
+  if (selection.all) {
+    return selection;
+  }
+
+  if (selection.recoverable) {
+    return { ...selection, id: RECOVERABLE_FOLDER_MAP[selection.root] };
+  }
+
+  return {
+    ...selection,
+    id: selection.root ? FOLDER_MAP[selection.root] : WellKnownFolderName.MsgFolderRoot
+  };
+};
+
+const resolveFolders = (folders) => folders.map(ensureFolder);
+
+// Soft-deleted items land in Recoverable Items and moved ones in Deleted
+// Items, each in the archive's own copy for archive items.
+const deletionFolder = (deleteMode, archive = false) => {
+  const name = deleteMode === "movetodeleteditems" ? "DeletedItems" : "RecoverableItemsDeletions";
+  return {
+    name: archive ? `Archive/${name}` : name,
+    id: WellKnownFolderName[archive ? `Archive${name}` : name],
+    archive
+  };
+};
+
+const folderPropertySet = new PropertySet(BasePropertySet.IdOnly, [
+  FolderSchema.DisplayName,
+  FolderSchema.FolderClass,
+  FolderSchema.ParentFolderId
+]);
+
+const createFolderView = (size) => {
+  const view = new FolderView(size);
+  view.PropertySet = folderPropertySet;
+  return view;
+};
+
+const findFolderByPath = async (service, rootId, segments, context = {}) => {
+  let parentId = rootId;
+
+  for (const segment of segments) {
+    const results = await callEws(
+      "FindFolders",
+      () => service.FindFolders(parentId, new SearchFilter.IsEqualTo(FolderSchema.DisplayName, segment), createFolderView(1)),
+      context
+    );
+    const [folder] = results?.Folders || [];
+
+    if (!folder) {
+      return null;
+    }
+
+    parentId = folder.Id;
+  }
+
+  return parentId;
+};
+
+// A deep traversal below the top of the information store (or of the archive);
+// paths are rebuilt from parent ids and only IPF.Note folders (mail) are kept.
+const listMailFolders = async (service, context = {}, rootId = WellKnownFolderName.MsgFolderRoot) => {
+  const entries = [];
+  let offset = 0;
+
+  for (;;) {
+    const view = createFolderView(config.pageSize);
+    view.Traversal = FolderTraversal.Deep;
+    view.Offset = offset;
+
+    const results = await callEws(
+      "FindFolders",
+      () => service.FindFolders(rootId, view),
+      context
+    );
+    entries.push(...(results?.Folders || []));
+
+    if (!results?.MoreAvailable) {
+      break;
+    }
+    offset = results.NextPageOffset;
+  }
+
+  const byId = new Map(entries.map((folder) => [folder.Id.UniqueId, folder]));
+  const pathOf = (folder) => {
+    const names = [];
+    const seen = new Set();
+    let current = folder;
+
+    while (current && !seen.has(current.Id.UniqueId)) {
+      seen.add(current.Id.UniqueId);
+      names.unshift(current.DisplayName);
+      current = byId.get(current.ParentFolderId?.UniqueId);
+    }
+
+    return names.join("/");
+  };
+
+  return entries
+    .filter((folder) => String(folder.FolderClass || "").startsWith("IPF.Note"))
+    .map((folder) => ({ name: pathOf(folder), id: folder.Id }));
+};
+
+const hasArchive = async (service, context = {}) => {
+  try {
+    await callEws(
+      "GetFolder",
+      () => Folder.Bind(service, WellKnownFolderName.ArchiveMsgFolderRoot, new PropertySet(BasePropertySet.IdOnly)),
+      context
+    );
+    return true;
+  } catch (error) {
+    if (NO_ARCHIVE_ERRORS.has(ewsErrorName(error))) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const expandFolders = async (service, descriptors, mailbox, context = {}) => {
+  const folders = [];
+  const missing = [];
+  let archive = null;
+
+  try {
+    for (const descriptor of descriptors) {
+      if (descriptor.archive) {
+        archive = archive || ((await hasArchive(service, context)) ? "present" : "none");
+
+        if (archive === "none") {
+          continue;
+        }
+      }
+
+      if (descriptor.all) {
+        folders.push(...(await listMailFolders(service, context)));
+      } else if (descriptor.archive && !descriptor.path.length) {
+        const archiveFolders = await listMailFolders(service, context, descriptor.id);
+        folders.push(
+          ...archiveFolders.map((folder) => ({ name: `${descriptor.name}/${folder.name}`, id: folder.id, archive: true }))
+        );
+      } else if (!descriptor.path.length) {
+        folders.push(descriptor);
+      } else {
+        const id = await findFolderByPath(service, descriptor.id, descriptor.path, context);
+
+        if (id) {
+          folders.push({ name: descriptor.name, id, archive: descriptor.archive });
+        } else {
+          missing.push(descriptor.name);
+        }
+      }
+    }
+  } catch (error) {
+    logger.error({ error, mailbox, requestId: context.requestId }, "EWS FindFolders call failed");
+    throw wrapExchangeError("Failed to resolve mailbox folders", error, {
+      mailbox,
+      operation: "FindFolders"
+    });
+  }
+
+  return { folders: dedupeFolders(folders), missing, archive };
+};
+
+const propertySet = new PropertySet(BasePropertySet.IdOnly, [
+  EmailMessageSchema.Subject,
+  EmailMessageSchema.From,
+  EmailMessageSchema.Sender,
+  EmailMessageSchema.DateTimeReceived,
+  EmailMessageSchema.InternetMessageId,
+  EmailMessageSchema.HasAttachments,
+  EmailMessageSchema.Body,
+  EmailMessageSchema.Size,
+  EmailMessageSchema.ItemClass
+]);
+
+propertySet.RequestedBodyType = BodyType.Text;
+
+const mimePropertySet = new PropertySet(BasePropertySet.IdOnly, [EmailMessageSchema.MimeContent]);
+
+const headerPropertySet = new PropertySet(BasePropertySet.IdOnly, [TRANSPORT_HEADERS_PROPERTY]);
+
+// AQS tokenizes Internet Message-IDs and would match unrelated messages, so a
+// message-id lookup is sent as an exact FindItem restriction instead. AQS and
+// restrictions cannot be combined, which is why the routes reject sender and
+// subject alongside message ids.
+const buildRestriction = ({ internetMessageIds, receivedFrom, receivedTo, minSize, maxSize, hasAttachments }) => {
+  const filters = [
+    new SearchFilter.SearchFilterCollection(
+      LogicalOperator.Or,
+      internetMessageIds.map((id) => new SearchFilter.IsEqualTo(EmailMessageSchema.InternetMessageId, id))
+    )
+  ];
+  const receivedAfter = toDatePart(receivedFrom);
+  const receivedBefore = toDatePart(receivedTo);
+
+  if (receivedAfter) {
+    filters.push(
+      new SearchFilter.IsGreaterThanOrEqualTo(
+        EmailMessageSchema.DateTimeReceived,
+        DateTime.Parse(`${receivedAfter}T00:00:00Z`)
+      )
+    );
+  }
+  if (receivedBefore) {
+    filters.push(
+      new SearchFilter.IsLessThanOrEqualTo(
+        EmailMessageSchema.DateTimeReceived,
+        DateTime.Parse(`${receivedBefore}T23:59:59Z`)
+      )
+    );
+  }
+  if (Number.isInteger(minSize)) {
+    filters.push(new SearchFilter.IsGreaterThanOrEqualTo(EmailMessageSchema.Size, minSize));
+  }
+  if (Number.isInteger(maxSize)) {
+    filters.push(new SearchFilter.IsLessThanOrEqualTo(EmailMessageSchema.Size, maxSize));
+  }
+  if (typeof hasAttachments === "boolean") {
+    filters.push(new SearchFilter.IsEqualTo(EmailMessageSchema.HasAttachments, hasAttachments));
+  }
+
+  return new SearchFilter.SearchFilterCollection(LogicalOperator.And, filters);
+};
+
+const buildQuery = (filters) =>
+  filters.internetMessageIds?.length ? buildRestriction(filters) : buildAqsQuery(filters);
+
+const buildTransform = (mailbox, folder) => (item) => ({
+  id: item?.Id?.UniqueId,
+  changeKey: item?.Id?.ChangeKey,
+  subject: item?.Subject || "",
+  from: item?.From?.Address || null,
+  sender: item?.Sender?.Address || null,
+  receivedAt: item?.DateTimeReceived ? new Date(item.DateTimeReceived).toISOString() : null,
+  internetMessageId: item?.InternetMessageId || null,
+  hasAttachments: Boolean(item?.HasAttachments),
+  size: item?.Size ?? null,
+  itemClass: item?.ItemClass || null,
+    bodyPreview: item?.Body?.Text ? item.Body.Text.substring(0, 500) : "",
+  urls: extractUrls(item?.Body?.Text),
+  mailbox,
+  folder
+});
+
+const findItemsInFolder = async (service, folderDescriptor, query, limit, mailbox, context = {}) => {
+  if (limit <= 0) {
+    return [];
+  }
+
+  const { id: folderId, name: folderName } = folderDescriptor;
+  const items = [];
+  let view = new ItemView(Math.min(limit, config.pageSize));
+  view.PropertySet = propertySet;
+  view.Traversal = ItemTraversal.Shallow;
+  view.OrderBy.Add(EmailMessageSchema.DateTimeReceived, SortDirection.Descending);
+
+  const transform = buildTransform(mailbox, folderName);
+
+  try {
+    let results = await callEws("FindItems", () => service.FindItems(folderId, query, view), context);
+    const appendResults = (findResults) => {
+      if (!findResults?.Items) {
+        return;
+      }
+
+      findResults.Items.forEach((item) => {
+        if (items.length >= limit) {
+          return;
+        }
+
+        items.push({
+          ref: item.Id,
+          metadata: transform(item)
+        });
+      });
+    };
+
+    appendResults(results);
+
+    while (results?.MoreAvailable && items.length < limit) {
+      const remaining = limit - items.length;
+      view = new ItemView(Math.min(remaining, config.pageSize));
+      view.PropertySet = propertySet;
+      view.Traversal = ItemTraversal.Shallow;
+      view.OrderBy.Add(EmailMessageSchema.DateTimeReceived, SortDirection.Descending);
+      view.Offset = results.NextPageOffset;
+
+      results = await callEws("FindItems", () => service.FindItems(folderId, query, view), context);
+      appendResults(results);
+    }
+
+    return items.slice(0, limit);
+  } catch (error) {
+    logger.error(
+      { error, mailbox, folder: folderName, requestId: context.requestId },
+      "EWS FindItems call failed"
+    );
+    throw wrapExchangeError(
+      "Failed to search mailbox folder",
+      error,
+      { mailbox, folder: folderName, operation: context.operation || "FindItems" }
+    );
+  }
+};
+
+const getItemById = async (service, itemId, mailbox, context = {}) => {
+  try {
+    const item = await callEws("GetItem", () => EmailMessage.Bind(service, new ItemId(itemId), propertySet), context);
+    return {
+      ref: item.Id,
+      metadata: buildTransform(mailbox, null)(item)
+    };
+  } catch (error) {
+    logger.error({ error, mailbox, itemId, requestId: context.requestId }, "EWS GetItem call failed");
+    throw wrapExchangeError("Failed to fetch message", error, {
+      mailbox,
+      operation: context.operation || "GetItem"
+    });
+  }
+};
+
+// EWS returns the raw message base64-encoded.
+const getMimeContent = async (service, ref, mailbox, context = {}) => {
+  try {
+    const item = await callEws("GetItem", () => EmailMessage.Bind(service, ref, mimePropertySet), context);
+    return Buffer.from(item.MimeContent?.Content || "", "base64");
+  } catch (error) {
+    logger.error({ error, mailbox, requestId: context.requestId }, "EWS GetItem MimeContent call failed");
+    throw wrapExchangeError("Failed to fetch message content", error, {
+      mailbox,
+      operation: context.operation || "GetItem"
+    });
+  }
+};
+
+// Items created in the mailbox (drafts, sent items) have no transport headers.
+const getHeaders = async (service, ref, mailbox, context = {}) => {
+  try {
+    const item = await callEws("GetItem", () => EmailMessage.Bind(service, ref, headerPropertySet), context);
+    const headers = { outValue: null };
+    item.TryGetExtendedProperty(TRANSPORT_HEADERS_PROPERTY, headers);
+    return parseHeaderBlock(headers.outValue);
+  } catch (error) {
+    logger.error({ error, mailbox, requestId: context.requestId }, "EWS GetItem transport headers call failed");
+    throw wrapExchangeError("Failed to fetch message headers", error, {
+      mailbox,
+      operation: context.operation || "GetItem"
+    });
+  }
+};
+
+const deleteItems = async (service, refs, deleteMode, mailbox, context = {}) => {
+  if (!refs.length) {
+    return 0;
+  }
+
+  try {
+    await callEws(
+      "DeleteItems",
+      () =>
+        service.DeleteItems(
+          refs,
+          DELETE_MODE_MAP[deleteMode] || DeleteMode.SoftDelete,
+          SendCancellationsMode.SendToNone,
+          AffectedTaskOccurrence.AllOccurrences
+        ),
+      context
+    );
+    return refs.length;
+  } catch (error) {
+    logger.error(
+      { error, mailbox, requestId: context.requestId },
+      "Failed to delete items via EWS"
+    );
+    throw wrapExchangeError("Failed to delete messages", error, {
+      mailbox,
+      operation: "DeleteItems"
+    });
+  }
+};
+
+// Top-level folders are looked up by display name and created when missing.
+const ensureMailboxFolder = async (service, { name, hidden = false, archive = false }, mailbox, context = {}) => {
+  const parentId = archive ? WellKnownFolderName.ArchiveMsgFolderRoot : WellKnownFolderName.MsgFolderRoot;
+
+  try {
+    const existing = await findFolderByPath(service, parentId, [name], context);
+
+    if (existing) {
+      return { name, id: existing, archive };
+    }
+
+    const folder = new Folder(service);
+    folder.DisplayName = name;
+    folder.FolderClass = "IPF.Note";
+    if (hidden) {
+      folder.SetExtendedProperty(HIDDEN_FOLDER_PROPERTY, true);
+    }
+    await callEws("CreateFolder", () => folder.Save(parentId), context);
+
+    logger.info({ mailbox, folder: name, hidden, archive, requestId: context.requestId }, "Created mailbox folder");
+    return { name, id: folder.Id, archive };
+  } catch (error) {
+    logger.error({ error, mailbox, folder: name, requestId: context.requestId }, "Failed to prepare mailbox folder");
+    throw wrapExchangeError("Failed to prepare mailbox folder", error, {
+      mailbox,
+      folder: name,
+      operation: "CreateFolder"
+    });
+  }
+};
+
+// Moved items get new ids; they are returned in the order of `refs`.
+const moveItems = async (service, refs, folderDescriptor, mailbox, context = {}) => {
+  if (!refs.length) {
+    return [];
+  }
+
+  try {
+    const response = await callEws("MoveItems", () => service.MoveItems(refs, folderDescriptor.id, true), context);
+    const responses = response?.Responses || [];
+    const failed = responses.filter((entry) => entry.Result !== ServiceResult.Success);
+
+    if (failed.length) {
+      const cause = new Error(failed[0].ErrorMessage || "Item move failed");
+      cause.ErrorCode = failed[0].ErrorCode;
+      throw cause;
+    }
+
+    return responses.map((entry) => entry.Item?.Id?.UniqueId || null);
+  } catch (error) {
+    logger.error(
+      { error, mailbox, folder: folderDescriptor.name, requestId: context.requestId },
+      "Failed to move items via EWS"
+    );
+    throw wrapExchangeError("Failed to move messages", error, {
+      mailbox,
+      folder: folderDescriptor.name,
+      operation: "MoveItems"
+    });
+  }
+};
+
+const impersonateMailbox = (service, mailbox) => {
+  service.ImpersonatedUserId = new ImpersonatedUserId(ConnectingIdType.SmtpAddress, mailbox);
+};
+
+const listMailboxes = async (context = {}) => {
+  const service = await acquireService(mergeContext(context, { operation: "GetSearchableMailboxes" }));
+
+  try {
+    const response = await callEws("GetSearchableMailboxes", () => service.GetSearchableMailboxes(""), context);
+
+    if (!response?.SearchableMailboxes) {
+      return [];
+    }
+
+    return response.SearchableMailboxes.filter((entry) => entry.IsSearchable).map((entry) => ({
+      displayName: entry.DisplayName,
+      smtpAddress: entry.PrimarySmtpAddress,
+      isExternal: entry.IsExternalMailbox,
+      referenceId: entry.ReferenceId
+    }));
+  } catch (error) {
+    logger.error(
+      { error, requestId: context.requestId },
+      "Unable to enumerate searchable mailboxes"
+    );
+    throw wrapExchangeError("Unable to enumerate searchable mailboxes", error, {
+      operation: "GetSearchableMailboxes"
+    });
+  } finally {
+    releaseService(service);
+  }
+};
+
+const GROUP_TYPES = new Set([MailboxType.PublicGroup, MailboxType.ContactGroup]);
+
+const expandGroup = async (smtpAddress, context = {}) => {
+  const service = await acquireService(mergeContext(context, { operation: "ExpandGroup" }));
+  const members = new Set();
+  const visited = new Set();
+  const pending = [smtpAddress];
+
+  try {
+    while (pending.length) {
+      const group = pending.shift();
+
+      if (visited.has(group.toLowerCase())) {
+        continue;
+      }
+      visited.add(group.toLowerCase());
+
+      const results = await callEws("ExpandGroup", () => service.ExpandGroup(group), context);
+
+      (results?.Members || []).forEach((member) => {
+        if (!member?.Address) {
+          return;
+        }
+
+        if (GROUP_TYPES.has(member.MailboxType)) {
+          pending.push(member.Address);
+        } else if (member.MailboxType === MailboxType.Mailbox) {
+          members.add(member.Address.toLowerCase());
+        }
+      });
+    }
+
+    return Array.from(members);
+  } catch (error) {
+    logger.error({ error, group: smtpAddress, requestId: context.requestId }, "Unable to expand distribution group");
+    throw wrapExchangeError("Unable to expand distribution group", error, {
+      group: smtpAddress,
+      operation: "ExpandGroup"
+    });
+  } finally {
+    releaseService(service);
+  }
+};
+
+const openMailbox = async (smtpAddress, context = {}) => {
+  const service = await acquireService(mergeContext(context, { mailbox: smtpAddress }));
+  impersonateMailbox(service, smtpAddress);
+  let released = false;
+
+  return {
+    mailbox: smtpAddress,
+    expandFolders: (folders, ctx = context) => expandFolders(service, folders, smtpAddress, ctx),
+    findItems: (folder, query, limit, ctx = context) =>
+      findItemsInFolder(service, folder, query, limit, smtpAddress, ctx),
+    getItem: (itemId, ctx = context) => getItemById(service, itemId, smtpAddress, ctx),
+    getMimeContent: (ref, ctx = context) => getMimeContent(service, ref, smtpAddress, ctx),
+    getHeaders: (ref, ctx = context) => getHeaders(service, ref, smtpAddress, ctx),
+    deleteItems: (refs, deleteMode, ctx = context) => deleteItems(service, refs, deleteMode, smtpAddress, ctx),
+    moveItems: (refs, folder, ctx = context) => moveItems(service, refs, folder, smtpAddress, ctx),
+    ensureFolder: (options, ctx = context) => ensureMailboxFolder(service, options, smtpAddress, ctx),
+    close: () => {
+      if (!released) {
+        released = true;
+        releaseService(service);
+      }
+    }
+  };
+};
+
+module.exports = {
+  name: "ews",
+  buildQuery,
+  resolveFolders,
+  deletionFolder,
+  listMailboxes,
+  expandGroup,
+  openMailbox
+};
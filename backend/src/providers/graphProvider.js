@@ -0,0 +1,824 @@
+const createError = require("http-errors");
+
+const logger = require("../utils/logger");
+const { coerceInteger } = require("../utils/env");
+const { wrapExchangeError } = require("../utils/errors");
+const { withRetry, parseRetryAfter } = require("../utils/retry");
+const { parseFolderSelection, dedupeFolders } = require("../utils/folderPaths");
+const { extractUrls } = require("../utils/urlIndicators");
+const { compileQuery } = require("../utils/booleanQuery");
+
+const FOLDER_MAP = {
+  inbox: "inbox",
+  junkemail: "junkemail",
+  deleteditems: "deleteditems",
+  sentitems: "sentitems",
+  drafts: "drafts",
+  archive: "archive"
+};
+
+const RECOVERABLE_FOLDER_MAP = {
+  recoverableitemsdeletions: "recoverableitemsdeletions",
+  recoverableitemspurges: "recoverableitemspurges",
+  recoverableitemsversions: "recoverableitemsversions"
+};
+
+const MESSAGE_FIELDS = [
+  "id",
+  "changeKey",
+  "subject",
+  "from",
+  "sender",
+  "receivedDateTime",
+  "internetMessageId",
+  "hasAttachments",
+  "bodyPreview",
+  "body"
+].join(",");
+
+// Graph has no item class property; PR_MESSAGE_CLASS is read as an extended property.
+const ITEM_CLASS_EXPAND = "singleValueExtendedProperties($filter=id eq 'String 0x001A')";
+
+const THROTTLING_STATUSES = new Set([429, 503]);
+const TRANSIENT_STATUSES = new Set([502, 504]);
+
+// Graph caps JSON batches at 20 requests.
+const BATCH_SIZE = 20;
+
+const config = {
+  tenantId: process.env.GRAPH_TENANT_ID,
+  clientId: process.env.GRAPH_CLIENT_ID,
+  clientSecret: process.env.GRAPH_CLIENT_SECRET,
+  baseUrl: (process.env.GRAPH_BASE_URL || "https://graph.microsoft.com/v1.0").replace(/\/+$/, ""),
+  authorityUrl: (process.env.GRAPH_AUTHORITY_URL || "https://login.microsoftonline.com").replace(/\/+$/, ""),
+  scope: process.env.GRAPH_SCOPE || "https://graph.microsoft.com/.default",
+  pageSize: Math.max(1, Math.min(coerceInteger(process.env.GRAPH_PAGE_SIZE, 50), 1000))
+};
+
+const tokenCache = {
+  accessToken: null,
+  expiresAt: 0
+};
+
+const ensureCredentialsConfigured = () => {
+  const missing = [];
+  if (!config.tenantId) missing.push("GRAPH_TENANT_ID");
+  if (!config.clientId) missing.push("GRAPH_CLIENT_ID");
+  if (!config.clientSecret) missing.push("GRAPH_CLIENT_SECRET");
+
+  if (missing.length) {
+    const error = createError(500, "Microsoft Graph credentials are not configured");
+    error.details = { missing };
+    error.expose = true;
+    throw error;
+  }
+};
+
+const readResponseBody = async (response) => {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (_) {
+    return { raw: text };
+  }
+};
+
+const acquireToken = async (context = {}) => {
+  ensureCredentialsConfigured();
+
+  if (tokenCache.accessToken && tokenCache.expiresAt > Date.now()) {
+    return tokenCache.accessToken;
+  }
+
+  const tokenUrl = `${config.authorityUrl}/${encodeURIComponent(config.tenantId)}/oauth2/v2.0/token`;
+  const form = new URLSearchParams({
+    client_id: config.clientId,
+    client_secret: config.clientSecret,
+    scope: config.scope,
+    grant_type: "client_credentials"
+  });
+
+  let response;
+  let payload;
+  try {
+    response = await fetch(tokenUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: form.toString()
+    });
+    payload = await readResponseBody(response);
+  } catch (error) {
+    logger.error({ error, requestId: context.requestId }, "Graph token request failed");
+    throw wrapExchangeError("Failed to acquire Microsoft Graph access token", error, {
+      operation: "AcquireToken"
+    });
+  }
+
+  if (!response.ok || !payload?.access_token) {
+    logger.error(
+      { status: response.status, error: payload?.error, requestId: context.requestId },
+      "Graph token request rejected"
+    );
+    throw wrapExchangeError("Failed to acquire Microsoft Graph access token", null, {
+      operation: "AcquireToken",
+      status: response.status,
+      cause: payload?.error_description || payload?.error
+    });
+  }
+
+  const lifetimeSeconds = coerceInteger(payload.expires_in, 3600);
+  tokenCache.accessToken = payload.access_token;
+  tokenCache.expiresAt = Date.now() + Math.max(0, lifetimeSeconds - 60) * 1000;
+  return tokenCache.accessToken;
+};
+
+const toUrl = (pathOrUrl, params) => {
+  const url = new URL(/^https?:\/\//i.test(pathOrUrl) ? pathOrUrl : `${config.baseUrl}${pathOrUrl}`);
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== "") {
+      url.searchParams.set(key, String(value));
+    }
+  });
+  return url.toString();
+};
+
+// Responses carry the status and Retry-After header on the wrapped error;
+// network failures have no status and are retried as transient.
+const classifyGraphError = (error) => {
+  const status = error.details?.status;
+
+  if (THROTTLING_STATUSES.has(status)) {
+    return { throttled: true, retryAfterMs: error.retryAfterMs };
+  }
+
+  if (TRANSIENT_STATUSES.has(status) || (!status && error.cause)) {
+    return { throttled: false, retryAfterMs: error.retryAfterMs };
+  }
+
+  return null;
+};
+
+// `raw` returns a successful response body as a Buffer instead of parsed JSON.
+const sendGraphRequest = async (method, pathOrUrl, { params, body, operation, raw = false } = {}, context = {}) => {
+  const token = await acquireToken(context);
+  const url = toUrl(pathOrUrl, params);
+
+  let response;
+  let payload;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: raw ? "*/*" : "application/json",
+        ...(body ? { "Content-Type": "application/json" } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    payload = raw && response.ok ? Buffer.from(await response.arrayBuffer()) : await readResponseBody(response);
+  } catch (error) {
+    logger.error({ error, method, url, requestId: context.requestId }, "Graph request failed");
+    throw wrapExchangeError("Microsoft Graph request failed", error, {
+      mailbox: context.mailbox,
+      operation: operation || method
+    });
+  }
+
+  if (!response.ok) {
+    logger.error(
+      { status: response.status, error: payload?.error, method, url, requestId: context.requestId },
+      "Graph request returned an error"
+    );
+    const error = wrapExchangeError("Microsoft Graph request failed", null, {
+      mailbox: context.mailbox,
+      operation: operation || method,
+      status: response.status,
+      cause: payload?.error?.message
+    });
+    error.retryAfterMs = parseRetryAfter(response.headers.get("retry-after"));
+    throw error;
+  }
+
+  return payload;
+};
+
+const graphRequest = (method, pathOrUrl, options = {}, context = {}) =>
+  withRetry(
+    options.operation || method,
+    () => sendGraphRequest(method, pathOrUrl, options, context),
+    classifyGraphError,
+    context
+  );
+
+// $search is itself a quoted string, so phrases inside it use escaped quotes.
+// Graph has no escape for a quote inside such a phrase; those are dropped.
+const toSearchPhrase = (value) => `\\"${String(value).replace(/["\\]/g, " ").trim()}\\"`;
+
+const escapeODataValue = (value) => String(value).replace(/'/g, "''");
+
+const toDatePart = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().split("T")[0];
+};
+
+const toKqlCondition = ({ field, value }) => {
+  switch (field) {
+    case "sender":
+      return `from:${toSearchPhrase(value)}`;
+    case "subject":
+      return `subject:${toSearchPhrase(value)}`;
+    case "body":
+      return `body:${toSearchPhrase(value)}`;
+    case "keyword":
+      return toSearchPhrase(value);
+    case "receivedFrom":
+      return toDatePart(value) ? `received>=${toDatePart(value)}` : null;
+    case "receivedTo":
+      return toDatePart(value) ? `received<=${toDatePart(value)}` : null;
+    case "hasAttachments":
+      return `hasattachments:${Boolean(value)}`;
+    case "importance":
+      return `importance:${String(value).toLowerCase()}`;
+    default:
+      return null;
+  }
+};
+
+// $search and $filter cannot be combined on message collections, so any
+// free-text, recipient, size or kind criterion moves the whole query into KQL
+// ($filter has no recipient lambdas or size on messages); otherwise $filter is
+// used because it is exact and index-independent. Internet Message-IDs are
+// only ever matched through $filter; the routes reject free text alongside
+// them. A boolean query model is always compiled to KQL.
+const buildQuery = ({
+  query,
+  internetMessageIds,
+  sender,
+  senderTerms,
+  recipients,
+  recipientFields,
+  subject,
+  body,
+  urlHosts,
+  keywords,
+  receivedFrom,
+  receivedTo,
+  minSize,
+  maxSize,
+  hasAttachments,
+  importance,
+  kind
+}) => {
+  const keywordList = (keywords || []).filter(Boolean);
+  const hostList = urlHosts || [];
+  const senderList = senderTerms || [];
+  const recipientList = recipients || [];
+  const hasSizeRange = Number.isInteger(minSize) || Number.isInteger(maxSize);
+  const receivedAfter = toDatePart(receivedFrom);
+  const receivedBefore = toDatePart(receivedTo);
+  const compiled = query ? compileQuery(query, toKqlCondition) : null;
+  const needsSearch = Boolean(
+    subject ||
+      body ||
+      senderList.length ||
+      recipientList.length ||
+      hostList.length ||
+      keywordList.length ||
+      hasSizeRange ||
+      kind ||
+      compiled
+  );
+
+  if (needsSearch) {
+    const terms = [];
+    if (sender) terms.push(`from:${toSearchPhrase(sender)}`);
+    if (senderList.length) {
+      terms.push(`(${senderList.map((term) => `from:${toSearchPhrase(term)}`).join(" OR ")})`);
+    }
+    if (recipientList.length) {
+      const fields = recipientFields && recipientFields.length ? recipientFields : ["to", "cc", "bcc"];
+      const recipientTerms = recipientList.flatMap((address) =>
+        fields.map((field) => `${field}:${toSearchPhrase(address)}`)
+      );
+      terms.push(`(${recipientTerms.join(" OR ")})`);
+    }
+    if (subject) terms.push(`subject:${toSearchPhrase(subject)}`);
+    if (body) terms.push(`body:${toSearchPhrase(body)}`);
+    if (hostList.length) {
+      terms.push(`(${hostList.map((host) => `body:${toSearchPhrase(host)}`).join(" OR ")})`);
+    }
+    keywordList.forEach((word) => terms.push(toSearchPhrase(word)));
+    if (receivedAfter) terms.push(`received>=${receivedAfter}`);
+    if (receivedBefore) terms.push(`received<=${receivedBefore}`);
+    if (Number.isInteger(minSize)) terms.push(`size>=${minSize}`);
+    if (Number.isInteger(maxSize)) terms.push(`size<=${maxSize}`);
+    if (kind) terms.push(`kind:${kind}`);
+    if (typeof hasAttachments === "boolean") terms.push(`hasattachments:${hasAttachments}`);
+    if (importance) terms.push(`importance:${importance.toLowerCase()}`);
+    if (compiled) terms.push(compiled);
+
+    return { search: `"${terms.join(" AND ")}"`, filter: null };
+  }
+
+  const clauses = [];
+  if (internetMessageIds && internetMessageIds.length) {
+    const ids = internetMessageIds.map((id) => `internetMessageId eq '${escapeODataValue(id)}'`);
+    clauses.push(ids.length > 1 ? `(${ids.join(" or ")})` : ids[0]);
+  }
+  if (sender) clauses.push(`from/emailAddress/address eq '${escapeODataValue(sender)}'`);
+  if (receivedAfter) clauses.push(`receivedDateTime ge ${receivedAfter}T00:00:00Z`);
+  if (receivedBefore) clauses.push(`receivedDateTime le ${receivedBefore}T23:59:59Z`);
+  if (typeof hasAttachments === "boolean") clauses.push(`hasAttachments eq ${hasAttachments}`);
+  if (importance) clauses.push(`importance eq '${escapeODataValue(importance.toLowerCase())}'`);
+
+  return { search: null, filter: clauses.length ? clauses.join(" and ") : null };
+};
+
+const ensureFolder = (folder) => {
+  const selection = parseFolderSelection(folder, FOLDER_MAP);
+
+  if (selection.all) {
+    return selection;
+  }
+
+  if (selection.recoverable) {
+    return { ...selection, id: RECOVERABLE_FOLDER_MAP[selection.root] };
+  }
+
+  return { ...selection, id: selection.root ? FOLDER_MAP[selection.root] : "msgfolderroot" };
+};
+
+const resolveFolders = (folders) => folders.map(ensureFolder);
+
+// Unlike an EWS soft delete, a plain DELETE /messages/{id} moves the message
+// to Deleted Items, so both restorable modes leave it there. Archive mailboxes
+// are out of reach, so there is nothing to look in.
+const deletionFolder = (deleteMode, archive = false) =>
+  archive ? null : { name: "DeletedItems", id: FOLDER_MAP.deleteditems, archive };
+
+const buildTransform = (mailbox, folder) => (message) => ({
+  id: message?.id,
+  changeKey: message?.changeKey || null,
+  subject: message?.subject || "",
+  from: message?.from?.emailAddress?.address || null,
+  sender: message?.sender?.emailAddress?.address || null,
+  receivedAt: message?.receivedDateTime ? new Date(message.receivedDateTime).toISOString() : null,
+  internetMessageId: message?.internetMessageId || null,
+  hasAttachments: Boolean(message?.hasAttachments),
+  size: null,
+  itemClass: message?.singleValueExtendedProperties?.[0]?.value || null,
+  bodyPreview: message?.bodyPreview ? message.bodyPreview.substring(0, 500) : "",
+  urls: extractUrls(message?.body?.content),
+  mailbox,
+  folder
+});
+
+const userPath = (mailbox) => `/users/${encodeURIComponent(mailbox)}`;
+
+const findItemsInFolder = async (mailbox, folderDescriptor, query, limit, context = {}) => {
+  if (limit <= 0) {
+    return [];
+  }
+
+  const transform = buildTransform(mailbox, folderDescriptor.name);
+  const items = [];
+  const operation = context.operation || "ListMessages";
+
+  let payload = await graphRequest(
+    "GET",
+    `${userPath(mailbox)}/mailFolders/${encodeURIComponent(folderDescriptor.id)}/messages`,
+    {
+      params: {
+        $select: MESSAGE_FIELDS,
+        $expand: ITEM_CLASS_EXPAND,
+        $top: Math.min(limit, config.pageSize),
+        $search: query.search,
+        $filter: query.filter
+      },
+      operation
+    },
+    { ...context, mailbox }
+  );
+
+  for (;;) {
+    (payload?.value || []).forEach((message) => {
+      if (items.length < limit) {
+        items.push({ ref: message.id, metadata: transform(message) });
+      }
+    });
+
+    const nextLink = payload?.["@odata.nextLink"];
+    if (!nextLink || items.length >= limit) {
+      break;
+    }
+
+    payload = await graphRequest("GET", nextLink, { operation }, { ...context, mailbox });
+  }
+
+  return items;
+};
+
+const listChildFolders = async (mailbox, parentId, params, context = {}) => {
+  const folders = [];
+  let payload = await graphRequest(
+    "GET",
+    `${userPath(mailbox)}/mailFolders/${encodeURIComponent(parentId)}/childFolders`,
+    { params: { $select: "id,displayName,childFolderCount", $top: 100, ...params }, operation: "ListFolders" },
+    { ...context, mailbox }
+  );
+
+  for (;;) {
+    folders.push(...(payload?.value || []));
+
+    const nextLink = payload?.["@odata.nextLink"];
+    if (!nextLink) {
+      break;
+    }
+
+    payload = await graphRequest("GET", nextLink, { operation: "ListFolders" }, { ...context, mailbox });
+  }
+
+  return folders;
+};
+
+const findFolderByPath = async (mailbox, rootId, segments, context = {}) => {
+  let parentId = rootId;
+
+  for (const segment of segments) {
+    const [folder] = await listChildFolders(
+      mailbox,
+      parentId,
+      { $filter: `displayName eq '${escapeODataValue(segment)}'` },
+      context
+    );
+
+    if (!folder) {
+      return null;
+    }
+
+    parentId = folder.id;
+  }
+
+  return parentId;
+};
+
+const listMailFolders = async (mailbox, context = {}) => {
+  const folders = [];
+  const pending = [{ id: "msgfolderroot", path: null }];
+
+  while (pending.length) {
+    const parent = pending.shift();
+    const children = await listChildFolders(mailbox, parent.id, {}, context);
+
+    children.forEach((child) => {
+      const name = parent.path ? `${parent.path}/${child.displayName}` : child.displayName;
+      folders.push({ name, id: child.id });
+
+      if (child.childFolderCount) {
+        pending.push({ id: child.id, path: name });
+      }
+    });
+  }
+
+  return folders;
+};
+
+// Graph cannot open online archive mailboxes, so archive selections are
+// reported as unsupported instead of silently searching the primary mailbox.
+const expandFolders = async (mailbox, descriptors, context = {}) => {
+  const folders = [];
+  const missing = [];
+  let archive = null;
+
+  for (const descriptor of descriptors) {
+    if (descriptor.archive) {
+      archive = "unsupported";
+    } else if (descriptor.all) {
+      folders.push(...(await listMailFolders(mailbox, context)));
+    } else if (!descriptor.path.length) {
+      folders.push(descriptor);
+    } else {
+      const id = await findFolderByPath(mailbox, descriptor.id, descriptor.path, context);
+
+      if (id) {
+        folders.push({ name: descriptor.name, id });
+      } else {
+        missing.push(descriptor.name);
+      }
+    }
+  }
+
+  if (archive) {
+    logger.warn({ mailbox, requestId: context.requestId }, "Archive mailboxes are not reachable through Microsoft Graph");
+  }
+
+  return { folders: dedupeFolders(folders), missing, archive };
+};
+
+const getItemById = async (mailbox, itemId, context = {}) => {
+  const message = await graphRequest(
+    "GET",
+    `${userPath(mailbox)}/messages/${encodeURIComponent(itemId)}`,
+    { params: { $select: MESSAGE_FIELDS, $expand: ITEM_CLASS_EXPAND }, operation: "GetMessage" },
+    { ...context, mailbox }
+  );
+
+  return { ref: message.id, metadata: buildTransform(mailbox, null)(message) };
+};
+
+const getMimeContent = (mailbox, ref, context = {}) =>
+  graphRequest(
+    "GET",
+    `${userPath(mailbox)}/messages/${encodeURIComponent(ref)}/$value`,
+    { raw: true, operation: "GetMimeContent" },
+    { ...context, mailbox }
+  );
+
+// internetMessageHeaders is only returned when selected explicitly.
+const getHeaders = async (mailbox, ref, context = {}) => {
+  const message = await graphRequest(
+    "GET",
+    `${userPath(mailbox)}/messages/${encodeURIComponent(ref)}`,
+    { params: { $select: "internetMessageHeaders" }, operation: "GetMessageHeaders" },
+    { ...context, mailbox }
+  );
+
+  return (message.internetMessageHeaders || []).map(({ name, value }) => ({ name, value: value || "" }));
+};
+
+const buildItemRequest = (mailbox, ref, index, action, destinationId) => {
+  const base = `${userPath(mailbox)}/messages/${encodeURIComponent(ref)}`;
+
+  switch (action) {
+    case "harddelete":
+      return { id: String(index), method: "POST", url: `${base}/permanentDelete` };
+    case "movetodeleteditems":
+      return {
+        id: String(index),
+        method: "POST",
+        url: `${base}/move`,
+        headers: { "Content-Type": "application/json" },
+        body: { destinationId: "deleteditems" }
+      };
+    case "move":
+      return {
+        id: String(index),
+        method: "POST",
+        url: `${base}/move`,
+        headers: { "Content-Type": "application/json" },
+        body: { destinationId }
+      };
+    default:
+      return { id: String(index), method: "DELETE", url: base };
+  }
+};
+
+const headerValue = (headers, name) =>
+  Object.entries(headers || {}).find(([key]) => key.toLowerCase() === name)?.[1];
+
+// A throttled sub-request does not fail the batch itself, so the whole batch
+// goes through one retry loop that sends only the throttled requests again,
+// honouring the longest Retry-After among them. Those still throttled once
+// the retries run out are reported as failures.
+const sendBatchChunk = async (mailbox, requests, bodies, failures, context) => {
+  let pending = requests;
+
+  try {
+    await withRetry(
+      "Batch",
+      async () => {
+        const payload = await sendGraphRequest(
+          "POST",
+          "/$batch",
+          { body: { requests: pending }, operation: "Batch" },
+          { ...context, mailbox }
+        );
+        const throttled = [];
+
+        (payload?.responses || []).forEach((entry) => {
+          if (entry.status >= 200 && entry.status < 300) {
+            bodies[Number(entry.id)] = entry.body || null;
+          } else if (THROTTLING_STATUSES.has(entry.status)) {
+            throttled.push(entry);
+          } else {
+            failures.push({ status: entry.status, message: entry.body?.error?.message });
+          }
+        });
+
+        if (!throttled.length) {
+          return;
+        }
+
+        pending = pending.filter((request) => throttled.some((entry) => entry.id === request.id));
+        const error = wrapExchangeError("Microsoft Graph throttled batched requests", null, {
+          mailbox,
+          operation: "Batch",
+          status: throttled[0].status,
+          throttled: throttled.length
+        });
+        const retryAfter = throttled
+          .map((entry) => parseRetryAfter(headerValue(entry.headers, "retry-after")))
+          .filter((value) => value !== null);
+        error.retryAfterMs = retryAfter.length ? Math.max(...retryAfter) : null;
+        error.throttledResponses = throttled;
+        throw error;
+      },
+      classifyGraphError,
+      { ...context, mailbox }
+    );
+  } catch (error) {
+    if (!error.throttledResponses) {
+      throw error;
+    }
+    error.throttledResponses.forEach((entry) => {
+      failures.push({ status: entry.status, message: entry.body?.error?.message });
+    });
+  }
+};
+
+// Resolves to the response bodies in the order of `refs` (a moved message
+// comes back with its new id).
+const runBatch = async (mailbox, refs, action, destinationId, context = {}) => {
+  const bodies = [];
+  const failures = [];
+
+  for (let offset = 0; offset < refs.length; offset += BATCH_SIZE) {
+    const chunk = refs.slice(offset, offset + BATCH_SIZE);
+    await sendBatchChunk(
+      mailbox,
+      chunk.map((ref, index) => buildItemRequest(mailbox, ref, offset + index, action, destinationId)),
+      bodies,
+      failures,
+      context
+    );
+  }
+
+  if (failures.length) {
+    logger.error(
+      { mailbox, failures: failures.slice(0, 10), requestId: context.requestId },
+      "Graph batch completed with failures"
+    );
+    throw wrapExchangeError(action === "move" ? "Failed to move messages" : "Failed to delete messages", null, {
+      mailbox,
+      operation: "Batch",
+      succeeded: bodies.filter((body) => body !== undefined).length,
+      failed: failures.length,
+      cause: failures[0].message
+    });
+  }
+
+  return bodies;
+};
+
+// Graph only hides folders at creation time, and listing them needs
+// includeHiddenFolders.
+const ensureMailboxFolder = async (mailbox, { name, hidden = false, archive = false }, context = {}) => {
+  if (archive) {
+    const error = createError(400, "Archive mailboxes are not reachable through Microsoft Graph");
+    error.expose = true;
+    throw error;
+  }
+
+  const [existing] = await listChildFolders(
+    mailbox,
+    "msgfolderroot",
+    { $filter: `displayName eq '${escapeODataValue(name)}'`, includeHiddenFolders: "true" },
+    context
+  );
+
+  if (existing) {
+    return { name, id: existing.id, archive };
+  }
+
+  const created = await graphRequest(
+    "POST",
+    `${userPath(mailbox)}/mailFolders/msgfolderroot/childFolders`,
+    { body: { displayName: name, isHidden: hidden }, operation: "CreateFolder" },
+    { ...context, mailbox }
+  );
+
+  logger.info({ mailbox, folder: name, hidden, requestId: context.requestId }, "Created mailbox folder");
+  return { name, id: created.id, archive };
+};
+
+const listMailboxes = async (context = {}) => {
+  const mailboxes = [];
+  let payload = await graphRequest(
+    "GET",
+    "/users",
+    {
+      params: { $select: "id,displayName,mail,userPrincipalName", $top: 999 },
+      operation: "ListUsers"
+    },
+    context
+  );
+
+  for (;;) {
+    (payload?.value || []).forEach((user) => {
+      if (!user.mail) {
+        return;
+      }
+
+      mailboxes.push({
+        displayName: user.displayName,
+        smtpAddress: user.mail,
+        isExternal: false,
+        referenceId: user.id
+      });
+    });
+
+    const nextLink = payload?.["@odata.nextLink"];
+    if (!nextLink) {
+      break;
+    }
+
+    payload = await graphRequest("GET", nextLink, { operation: "ListUsers" }, context);
+  }
+
+  return mailboxes;
+};
+
+// transitiveMembers already flattens nested groups; only users own mailboxes.
+const expandGroup = async (smtpAddress, context = {}) => {
+  const lookup = await graphRequest(
+    "GET",
+    "/groups",
+    {
+      params: { $filter: `mail eq '${escapeODataValue(smtpAddress)}'`, $select: "id" },
+      operation: "FindGroup"
+    },
+    context
+  );
+  const group = lookup?.value?.[0];
+
+  if (!group) {
+    const error = createError(404, `Group not found: ${smtpAddress}`);
+    error.expose = true;
+    throw error;
+  }
+
+  const members = [];
+  let payload = await graphRequest(
+    "GET",
+    `/groups/${encodeURIComponent(group.id)}/transitiveMembers/microsoft.graph.user`,
+    {
+      params: { $select: "mail", $top: 999 },
+      operation: "ExpandGroup"
+    },
+    context
+  );
+
+  for (;;) {
+    (payload?.value || []).forEach((user) => {
+      if (user.mail) {
+        members.push(user.mail.toLowerCase());
+      }
+    });
+
+    const nextLink = payload?.["@odata.nextLink"];
+    if (!nextLink) {
+      break;
+    }
+
+    payload = await graphRequest("GET", nextLink, { operation: "ExpandGroup" }, context);
+  }
+
+  return members;
+};
+
+const openMailbox = async (smtpAddress, context = {}) => {
+  await acquireToken(context);
+
+  return {
+    mailbox: smtpAddress,
+    expandFolders: (folders, ctx = context) => expandFolders(smtpAddress, folders, ctx),
+    findItems: (folder, query, limit, ctx = context) => findItemsInFolder(smtpAddress, folder, query, limit, ctx),
+    getItem: (itemId, ctx = context) => getItemById(smtpAddress, itemId, ctx),
+    getMimeContent: (ref, ctx = context) => getMimeContent(smtpAddress, ref, ctx),
+    getHeaders: (ref, ctx = context) => getHeaders(smtpAddress, ref, ctx),
+    deleteItems: (refs, deleteMode, ctx = context) =>
+      runBatch(smtpAddress, refs, deleteMode, null, ctx).then((bodies) => bodies.length),
+    moveItems: (refs, folder, ctx = context) =>
+      runBatch(smtpAddress, refs, "move", folder.id, ctx).then((bodies) => bodies.map((body) => body?.id || null)),
+    ensureFolder: (options, ctx = context) => ensureMailboxFolder(smtpAddress, options, ctx),
+    close: () => {}
+  };
+};
+
+module.exports = {
+  name: "graph",
+  buildQuery,
+  resolveFolders,
+  deletionFolder,
+  listMailboxes,
+  expandGroup,
+  openMailbox
+};
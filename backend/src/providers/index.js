@@ -0,0 +1,56 @@
+const createError = require("http-errors");
+
+// Every mail provider exposes the same surface so the service layer never
+// needs to know which back end it is talking to:
+//   name                              identifier reported in logs and summaries
+//   buildQuery(filters)               compiles validated filters into the provider's query form
+//   resolveFolders(names)             validates folder names, paths ("Inbox/Vendors"), AllMailFolders and the
+//                                     opt-in Recoverable Items folders (flagged `recoverable`)
+//   deletionFolder(mode, archive)     folder where softDelete / moveToDeletedItems leave items, or null when
+//                                     the provider cannot reach it
+//   listMailboxes(context)            enumerates searchable mailboxes
+//   expandGroup(smtpAddress, context) resolves a distribution group, nested groups included, to member addresses
+//   openMailbox(smtpAddress, context) returns a session with
+//     expandFolders(folders, context)           -> { folders: [{ name, id, recoverable?, archive? }], missing: [name],
+//                                                  archive: "present" | "none" | "unsupported" | null } for this mailbox
+//     findItems(folder, query, limit, context)  -> [{ ref, metadata }]
+//     getItem(itemId, context)                  -> { ref, metadata }
+//     getMimeContent(ref, context)              -> Buffer with the raw RFC 822 message
+//     getHeaders(ref, context)                  -> [{ name, value }] transport headers in message order
+//     deleteItems(refs, deleteMode, context)    -> number of items deleted
+//     moveItems(refs, folder, context)          -> [new item id] in the order of refs (null when unknown)
+//     ensureFolder({ name, hidden, archive }, context) -> { name, id, archive } of a top-level folder, created if missing
+//     close()
+// Providers may also implement spawnPurge(options, context), returning a
+// ChildProcess-like emitter that replaces PS.ps1 for the /purge-sender flow.
+const PROVIDERS = {
+  ews: () => require("./ewsProvider"),
+  graph: () => require("./graphProvider"),
+  simulated: () => require("./simulatedProvider")
+};
+
+const providerName = (process.env.MAIL_PROVIDER || "ews").trim().toLowerCase();
+
+let activeProvider = null;
+
+const getMailProvider = () => {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const load = PROVIDERS[providerName];
+
+  if (!load) {
+    const error = createError(500, `Unsupported mail provider configured: ${providerName}`);
+    error.details = { setting: "MAIL_PROVIDER", supported: Object.keys(PROVIDERS) };
+    error.expose = true;
+    throw error;
+  }
+
+  activeProvider = load();
+  return activeProvider;
+};
+
+module.exports = {
+  getMailProvider
+};
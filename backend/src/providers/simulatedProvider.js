@@ -0,0 +1,896 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { randomUUID } = require("crypto");
+const createError = require("http-errors");
+
+const logger = require("../utils/logger");
+const { coerceInteger } = require("../utils/env");
+const { wrapExchangeError } = require("../utils/errors");
+const { withRetry } = require("../utils/retry");
+const { hasMailboxScope, applyMailboxScope } = require("../utils/mailboxScope");
+const { ARCHIVE_ROOT, parseFolderSelection, dedupeFolders } = require("../utils/folderPaths");
+const { extractUrls } = require("../utils/urlIndicators");
+const { parseHeaderBlock } = require("../utils/headerFilter");
+const { evaluateQuery } = require("../utils/booleanQuery");
+const { createSenderMatcher } = require("../utils/senderFilter");
+
+const FOLDER_MAP = {
+  inbox: "Inbox",
+  junkemail: "JunkEmail",
+  deleteditems: "DeletedItems",
+  sentitems: "SentItems",
+  drafts: "Drafts",
+  archive: "Archive"
+};
+
+const RECOVERABLE_FOLDER_MAP = {
+  recoverableitemsdeletions: "RecoverableItemsDeletions",
+  recoverableitemspurges: "RecoverableItemsPurges",
+  recoverableitemsversions: "RecoverableItemsVersions"
+};
+
+// Soft-deleted items land here, mirroring the Recoverable Items dumpster.
+const RECOVERABLE_FOLDER = "recoverableitemsdeletions";
+
+// Archive folders share the store with ids under "archive/", mirroring the
+// layout of the primary mailbox (including its own Recoverable Items).
+const ARCHIVE_PREFIX = `${ARCHIVE_ROOT}/`;
+
+const isArchiveFolder = (folderId) => folderId.startsWith(ARCHIVE_PREFIX);
+
+const isRecoverableFolder = (folderId) =>
+  Object.prototype.hasOwnProperty.call(
+    RECOVERABLE_FOLDER_MAP,
+    isArchiveFolder(folderId) ? folderId.slice(ARCHIVE_PREFIX.length) : folderId
+  );
+
+const deletionFolder = (deleteMode, archive = false) => {
+  const [key, name] =
+    deleteMode === "movetodeleteditems"
+      ? ["deleteditems", FOLDER_MAP.deleteditems]
+      : [RECOVERABLE_FOLDER, RECOVERABLE_FOLDER_MAP[RECOVERABLE_FOLDER]];
+
+  return archive
+    ? { name: `${FOLDER_MAP[ARCHIVE_ROOT]}/${name}`, id: `${ARCHIVE_PREFIX}${key}`, archive }
+    : { name, id: key, archive };
+};
+
+const deletionTarget = (message, deleteMode) => deletionFolder(deleteMode, isArchiveFolder(message.folderId)).id;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseRate = (value) => {
+  const parsed = Number.parseFloat(value);
+  if (Number.isNaN(parsed)) {
+    return 0;
+  }
+  return Math.min(1, Math.max(0, parsed));
+};
+
+const config = {
+  seedFile: process.env.SANDBOX_SEED_FILE
+    ? path.resolve(process.env.SANDBOX_SEED_FILE)
+    : path.join(__dirname, "../../sandbox/seed.json"),
+  latencyMs: Math.max(0, coerceInteger(process.env.SANDBOX_LATENCY_MS, 150)),
+  failureRate: parseRate(process.env.SANDBOX_FAILURE_RATE),
+  backOffMs: Math.max(0, coerceInteger(process.env.SANDBOX_BACKOFF_MS, 500))
+};
+
+let store = null;
+let groups = null;
+
+// Folder ids are lower-cased paths whose first segment uses the FOLDER_MAP key.
+const toFolderId = (root, path) => [root, ...path].filter(Boolean).join("/").toLowerCase();
+
+const toFolderName = (root, path) =>
+  [root ? FOLDER_MAP[root] || RECOVERABLE_FOLDER_MAP[root] : null, ...path].filter(Boolean).join("/");
+
+const registerFolder = (folders, value) => {
+  const { root, path } = parseFolderSelection(value, FOLDER_MAP);
+  const id = toFolderId(root, path);
+
+  if (!folders.has(id)) {
+    folders.set(id, toFolderName(root, path));
+  }
+
+  return id;
+};
+
+// Seed messages flagged hasAttachments without an attachment list get a
+// stand-in file, so their MIME source agrees with the flag.
+const placeholderAttachment = (internetMessageId) => ({
+  name: "statement.pdf",
+  contentType: "application/pdf",
+  content: `%PDF-1.4 sandbox attachment for ${internetMessageId}`
+});
+
+const loadStore = () => {
+  if (store) {
+    return store;
+  }
+
+  let seed;
+  try {
+    seed = JSON.parse(fs.readFileSync(config.seedFile, "utf8"));
+  } catch (error) {
+    const wrapped = createError(500, "Unable to load sandbox seed file");
+    wrapped.details = { seedFile: config.seedFile, cause: error.message };
+    wrapped.expose = true;
+    throw wrapped;
+  }
+
+  const now = Date.now();
+  store = new Map();
+
+  (seed.mailboxes || []).forEach((mailbox) => {
+    const folders = new Map(
+      [...Object.entries(FOLDER_MAP), ...Object.entries(RECOVERABLE_FOLDER_MAP)].filter(([id]) => id !== ARCHIVE_ROOT)
+    );
+    if (mailbox.archive) {
+      folders.set(`${ARCHIVE_PREFIX}inbox`, "Archive/Inbox");
+      folders.set(`${ARCHIVE_PREFIX}deleteditems`, "Archive/DeletedItems");
+    }
+    (mailbox.folders || []).forEach((folder) => registerFolder(folders, folder));
+
+    const messages = (mailbox.messages || []).map((message) => {
+      const receivedAt =
+        typeof message.receivedDaysAgo === "number"
+          ? new Date(now - message.receivedDaysAgo * DAY_MS).toISOString()
+          : new Date(message.receivedAt || now).toISOString();
+
+      const internetMessageId = message.internetMessageId || `<${randomUUID()}@sandbox.local>`;
+
+      return {
+        id: message.id || randomUUID(),
+        changeKey: randomUUID(),
+        folderId: registerFolder(folders, message.folder || "Inbox"),
+        subject: message.subject || "",
+        from: message.from || null,
+        sender: message.sender || message.from || null,
+        to: message.to || [mailbox.smtpAddress],
+        cc: message.cc || [],
+        bcc: message.bcc || [],
+        itemClass: message.itemClass || "IPM.Note",
+        receivedAt,
+        internetMessageId,
+        hasAttachments: Boolean(message.hasAttachments || message.attachments?.length),
+        importance: (message.importance || "normal").toLowerCase(),
+        size: message.size ?? null,
+        body: message.body || "",
+        html: message.html || null,
+        headers: message.headers || [],
+        attachments: message.attachments || (message.hasAttachments ? [placeholderAttachment(internetMessageId)] : [])
+      };
+    });
+
+    store.set(mailbox.smtpAddress.toLowerCase(), {
+      displayName: mailbox.displayName,
+      smtpAddress: mailbox.smtpAddress,
+      unavailable: Boolean(mailbox.unavailable),
+      archive: Boolean(mailbox.archive),
+      folders,
+      messages
+    });
+  });
+
+  groups = new Map(
+    (seed.groups || []).map((group) => [
+      group.smtpAddress.toLowerCase(),
+      {
+        displayName: group.displayName,
+        smtpAddress: group.smtpAddress,
+        members: (group.members || []).map((member) => member.toLowerCase())
+      }
+    ])
+  );
+
+  logger.info({ seedFile: config.seedFile, mailboxes: store.size }, "Sandbox mail store loaded");
+  return store;
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const classifySandboxError = (error) =>
+  error.cause?.name === "ErrorServerBusy" ? { throttled: true, retryAfterMs: error.cause.backOffMilliseconds } : null;
+
+// Every sandbox call pays a jittered latency and may fail at the configured
+// rate, so throttling and partial failures show up in the UI like they do
+// against a real server.
+const attemptCall = async (operation, mailbox, context = {}) => {
+  if (config.latencyMs) {
+    await delay(Math.round(config.latencyMs * (0.5 + Math.random())));
+  }
+
+  if (config.failureRate && Math.random() < config.failureRate) {
+    logger.warn({ operation, mailbox, requestId: context.requestId }, "Injected sandbox failure");
+    const cause = new Error("The server cannot service this request right now. Try again later.");
+    cause.name = "ErrorServerBusy";
+    cause.backOffMilliseconds = config.backOffMs;
+    throw wrapExchangeError("Simulated Exchange failure", cause, { mailbox, operation }, 503);
+  }
+};
+
+const simulateCall = (operation, mailbox, context = {}) =>
+  withRetry(operation, () => attemptCall(operation, mailbox, context), classifySandboxError, context);
+
+const toDatePart = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  return date.toISOString().split("T")[0];
+};
+
+const includesText = (haystack, needle) => String(haystack || "").toLowerCase().includes(String(needle).toLowerCase());
+
+const buildQuery = ({
+  query: model,
+  internetMessageIds,
+  sender,
+  senderTerms,
+  recipients,
+  recipientFields,
+  subject,
+  body,
+  urlHosts,
+  keywords,
+  receivedFrom,
+  receivedTo,
+  minSize,
+  maxSize,
+  hasAttachments,
+  importance,
+  kind
+}) => {
+  const query = {};
+
+  if (internetMessageIds && internetMessageIds.length) query.internetMessageIds = internetMessageIds;
+  if (sender) query.sender = sender.toLowerCase();
+  if (senderTerms && senderTerms.length) query.senderTerms = senderTerms;
+  if (recipients && recipients.length) {
+    query.recipients = recipients.map((address) => address.toLowerCase());
+    query.recipientFields = recipientFields && recipientFields.length ? recipientFields : ["to", "cc", "bcc"];
+  }
+  if (subject) query.subject = subject;
+  if (body) query.body = body;
+  if (urlHosts && urlHosts.length) query.urlHosts = urlHosts;
+  if (keywords && keywords.length) query.keywords = keywords.filter(Boolean);
+  if (toDatePart(receivedFrom)) query.receivedFrom = toDatePart(receivedFrom);
+  if (toDatePart(receivedTo)) query.receivedTo = toDatePart(receivedTo);
+  if (Number.isInteger(minSize)) query.minSize = minSize;
+  if (Number.isInteger(maxSize)) query.maxSize = maxSize;
+  if (typeof hasAttachments === "boolean") query.hasAttachments = hasAttachments;
+  if (importance) query.importance = importance.toLowerCase();
+  if (kind) query.kind = kind;
+  if (model) query.model = model;
+
+  return query;
+};
+
+const matchesCondition = (message) => ({ field, value }) => {
+  const receivedDay = toDatePart(message.receivedAt);
+
+  switch (field) {
+    case "sender":
+      return [message.from, message.sender].some((address) => String(address).toLowerCase() === value.toLowerCase());
+    case "subject":
+      return includesText(message.subject, value);
+    case "body":
+      return includesText(message.body, value);
+    case "keyword":
+      return includesText(`${message.subject} ${message.body}`, value);
+    case "receivedFrom":
+      return receivedDay >= toDatePart(value);
+    case "receivedTo":
+      return receivedDay <= toDatePart(value);
+    case "hasAttachments":
+      return message.hasAttachments === Boolean(value);
+    case "importance":
+      return message.importance === String(value).toLowerCase();
+    default:
+      return false;
+  }
+};
+
+const matchesQuery = (message, query) => {
+  if (query.internetMessageIds && !query.internetMessageIds.includes(message.internetMessageId)) return false;
+
+  if (query.sender) {
+    const addresses = [message.from, message.sender].filter(Boolean).map((value) => value.toLowerCase());
+    if (!addresses.includes(query.sender)) return false;
+  }
+
+  if (query.senderTerms) {
+    const addresses = `${message.from || ""} ${message.sender || ""}`;
+    if (!query.senderTerms.some((term) => includesText(addresses, term))) return false;
+  }
+
+  if (query.recipients) {
+    const addresses = query.recipientFields.flatMap((field) => message[field].map((value) => value.toLowerCase()));
+    if (!query.recipients.some((address) => addresses.includes(address))) return false;
+  }
+
+  if (query.subject && !includesText(message.subject, query.subject)) return false;
+  if (query.body && !includesText(message.body, query.body)) return false;
+  if (query.urlHosts && !query.urlHosts.some((host) => includesText(`${message.body} ${message.html || ""}`, host))) {
+    return false;
+  }
+
+  if (query.keywords) {
+    const text = `${message.subject} ${message.body}`;
+    if (!query.keywords.every((word) => includesText(text, word))) return false;
+  }
+
+  const receivedDay = toDatePart(message.receivedAt);
+  if (query.receivedFrom && receivedDay < query.receivedFrom) return false;
+  if (query.receivedTo && receivedDay > query.receivedTo) return false;
+
+  if (query.minSize !== undefined && (message.size ?? 0) < query.minSize) return false;
+  if (query.maxSize !== undefined && (message.size ?? 0) > query.maxSize) return false;
+  if (typeof query.hasAttachments === "boolean" && message.hasAttachments !== query.hasAttachments) return false;
+  if (query.importance && message.importance !== query.importance) return false;
+  if (query.kind === "meetings" && !message.itemClass.startsWith("IPM.Schedule.Meeting")) return false;
+  if (query.model && !evaluateQuery(query.model, matchesCondition(message))) return false;
+
+  return true;
+};
+
+const ensureFolder = (folder) => {
+  const selection = parseFolderSelection(folder, FOLDER_MAP);
+
+  if (selection.all) {
+    return selection;
+  }
+
+  return { ...selection, id: toFolderId(selection.root, selection.path) };
+};
+
+const resolveFolders = (folders) => folders.map(ensureFolder);
+
+const toMetadata = (mailbox, message, folder) => ({
+  id: message.id,
+  changeKey: message.changeKey,
+  subject: message.subject,
+  from: message.from,
+  sender: message.sender,
+  receivedAt: message.receivedAt,
+  internetMessageId: message.internetMessageId,
+  hasAttachments: message.hasAttachments,
+  size: message.size,
+  itemClass: message.itemClass,
+  bodyPreview: message.body.substring(0, 500),
+  urls: extractUrls(`${message.body}\n${message.html || ""}`),
+  mailbox,
+  folder
+});
+
+const textPart = (contentType, content) => [
+  `Content-Type: ${contentType}; charset=utf-8`,
+  "Content-Transfer-Encoding: 8bit",
+  "",
+  content
+];
+
+const attachmentPart = ({ name, contentType = "application/octet-stream", content = "" }) => [
+  `Content-Type: ${contentType}; name="${name}"`,
+  `Content-Disposition: attachment; filename="${name}"`,
+  "Content-Transfer-Encoding: base64",
+  "",
+  ...(Buffer.from(content).toString("base64").match(/.{1,76}/g) || [])
+];
+
+const multipart = (subtype, boundary, parts) => [
+  `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+  "",
+  ...parts.flatMap((part) => [`--${boundary}`, ...part]),
+  `--${boundary}--`
+];
+
+// Seeded transport headers come first, followed by the ones generated from
+// the message fields.
+const toHeaderLines = (mailbox, message) => [
+  ...message.headers,
+  `Message-ID: ${message.internetMessageId}`,
+  `Date: ${new Date(message.receivedAt).toUTCString()}`,
+  `From: ${message.from || ""}`,
+  ...(message.sender && message.sender !== message.from ? [`Sender: ${message.sender}`] : []),
+  `To: ${(message.to || [mailbox]).join(", ")}`,
+  ...(message.cc.length ? [`Cc: ${message.cc.join(", ")}`] : []),
+  `Subject: ${message.subject}`
+];
+
+// Seed messages have no MIME source, so one is built from them: the headers,
+// then the text body with any HTML alternative and attachments.
+const toMimeContent = (mailbox, message) => {
+  const text = textPart("text/plain", message.body);
+  const bodyPart = message.html
+    ? multipart("alternative", "sandbox-alternative", [text, textPart("text/html", message.html)])
+    : text;
+  const content = message.attachments.length
+    ? multipart("mixed", "sandbox-mixed", [bodyPart, ...message.attachments.map(attachmentPart)])
+    : bodyPart;
+
+  return Buffer.from(
+    [
+      ...toHeaderLines(mailbox, message),
+      "MIME-Version: 1.0",
+      ...content,
+      ""
+    ].join("\r\n"),
+    "utf8"
+  );
+};
+
+const getMailboxRecord = (smtpAddress) => {
+  const record = loadStore().get(String(smtpAddress).toLowerCase());
+
+  if (!record) {
+    const error = createError(404, `Mailbox not found in sandbox: ${smtpAddress}`);
+    error.expose = true;
+    throw error;
+  }
+
+  return record;
+};
+
+const listMailboxes = async (context = {}) => {
+  const records = loadStore();
+  await simulateCall("GetSearchableMailboxes", null, context);
+
+  return Array.from(records.values()).map((record) => ({
+    displayName: record.displayName,
+    smtpAddress: record.smtpAddress,
+    isExternal: false,
+    referenceId: record.smtpAddress
+  }));
+};
+
+// Members that are themselves groups are expanded; each group is visited once.
+const collectGroupMembers = (smtpAddress) => {
+  const members = new Set();
+  const visited = new Set();
+  const pending = [String(smtpAddress).toLowerCase()];
+
+  while (pending.length) {
+    const address = pending.shift();
+
+    if (visited.has(address)) {
+      continue;
+    }
+    visited.add(address);
+
+    const group = groups.get(address);
+    if (group) {
+      pending.push(...group.members);
+    } else {
+      members.add(address);
+    }
+  }
+
+  return members;
+};
+
+const expandGroup = async (smtpAddress, context = {}) => {
+  loadStore();
+  await simulateCall("ExpandGroup", null, context);
+
+  if (!groups.has(String(smtpAddress).toLowerCase())) {
+    const error = createError(404, `Group not found in sandbox: ${smtpAddress}`);
+    error.expose = true;
+    throw error;
+  }
+
+  return Array.from(collectGroupMembers(smtpAddress));
+};
+
+const openMailbox = async (smtpAddress, context = {}) => {
+  const record = getMailboxRecord(smtpAddress);
+  await simulateCall("OpenMailbox", smtpAddress, context);
+
+  if (record.unavailable) {
+    const cause = new Error("The mailbox database is temporarily unavailable.");
+    cause.name = "ErrorMailboxStoreUnavailable";
+    throw wrapExchangeError("Failed to initialise Exchange Web Services client", cause, {
+      mailbox: smtpAddress,
+      operation: context.operation || "OpenMailbox"
+    }, 503);
+  }
+
+  const findMessages = (refs) => {
+    const wanted = new Set(refs);
+    return record.messages.filter((message) => wanted.has(message.id));
+  };
+
+  return {
+    mailbox: record.smtpAddress,
+    expandFolders: async (descriptors, ctx = context) => {
+      const folders = [];
+      const missing = [];
+      let archive = null;
+
+      if (descriptors.some((descriptor) => descriptor.all || descriptor.archive || descriptor.path.length)) {
+        await simulateCall("FindFolders", record.smtpAddress, ctx);
+      }
+
+      descriptors.forEach((descriptor) => {
+        if (descriptor.archive) {
+          archive = record.archive ? "present" : "none";
+
+          if (!record.archive) {
+            return;
+          }
+        }
+
+        if (descriptor.all) {
+          record.folders.forEach((name, id) => {
+            if (!isRecoverableFolder(id) && !isArchiveFolder(id)) {
+              folders.push({ name, id });
+            }
+          });
+        } else if (descriptor.archive && !descriptor.path.length) {
+          record.folders.forEach((name, id) => {
+            if (isArchiveFolder(id) && !isRecoverableFolder(id)) {
+              folders.push({ name, id, archive: true });
+            }
+          });
+        } else if (record.folders.has(descriptor.id)) {
+          folders.push({
+            name: descriptor.name,
+            id: descriptor.id,
+            recoverable: Boolean(descriptor.recoverable),
+            archive: descriptor.archive
+          });
+        } else {
+          missing.push(descriptor.name);
+        }
+      });
+
+      return { folders: dedupeFolders(folders), missing, archive };
+    },
+    findItems: async (folder, query, limit, ctx = context) => {
+      if (limit <= 0) {
+        return [];
+      }
+
+      await simulateCall(ctx.operation || "FindItems", record.smtpAddress, ctx);
+
+      return record.messages
+        .filter((message) => message.folderId === folder.id && matchesQuery(message, query))
+        .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+        .slice(0, limit)
+        .map((message) => ({ ref: message.id, metadata: toMetadata(record.smtpAddress, message, folder.name) }));
+    },
+    getItem: async (itemId, ctx = context) => {
+      await simulateCall("GetItem", record.smtpAddress, ctx);
+      const [message] = findMessages([itemId]);
+
+      if (!message) {
+        const error = createError(404, "Message not found");
+        error.expose = true;
+        throw error;
+      }
+
+      return { ref: message.id, metadata: toMetadata(record.smtpAddress, message, record.folders.get(message.folderId) || null) };
+    },
+    getMimeContent: async (ref, ctx = context) => {
+      await simulateCall("GetItem", record.smtpAddress, ctx);
+      const [message] = findMessages([ref]);
+
+      if (!message) {
+        const error = createError(404, "Message not found");
+        error.expose = true;
+        throw error;
+      }
+
+      return toMimeContent(record.smtpAddress, message);
+    },
+    getHeaders: async (ref, ctx = context) => {
+      await simulateCall("GetItem", record.smtpAddress, ctx);
+      const [message] = findMessages([ref]);
+
+      if (!message) {
+        const error = createError(404, "Message not found");
+        error.expose = true;
+        throw error;
+      }
+
+      return parseHeaderBlock(toHeaderLines(record.smtpAddress, message).join("\r\n"));
+    },
+    deleteItems: async (refs, deleteMode, ctx = context) => {
+      await simulateCall("DeleteItems", record.smtpAddress, ctx);
+      const targets = findMessages(refs);
+
+      if (deleteMode === "harddelete") {
+        const removed = new Set(targets.map((message) => message.id));
+        record.messages = record.messages.filter((message) => !removed.has(message.id));
+      } else {
+        // Like a move, a soft delete gives the item a new id.
+        targets.forEach((message) => {
+          message.folderId = deletionTarget(message, deleteMode);
+          message.id = randomUUID();
+        });
+      }
+
+      return targets.length;
+    },
+    moveItems: async (refs, folder, ctx = context) => {
+      await simulateCall("MoveItems", record.smtpAddress, ctx);
+      const targets = new Map(findMessages(refs).map((message) => [message.id, message]));
+
+      // Exchange assigns moved items a new id; the sandbox does the same so
+      // callers cannot rely on ids surviving a move.
+      return refs.map((ref) => {
+        const message = targets.get(ref);
+        if (!message) {
+          return null;
+        }
+        message.folderId = folder.id;
+        message.id = randomUUID();
+        return message.id;
+      });
+    },
+    ensureFolder: async ({ name, archive = false }, ctx = context) => {
+      await simulateCall("CreateFolder", record.smtpAddress, ctx);
+      const id = registerFolder(record.folders, archive ? `${FOLDER_MAP[ARCHIVE_ROOT]}/${name}` : name);
+      return { name, id, archive };
+    },
+    close: () => {}
+  };
+};
+
+const formatTimestamp = (date = new Date()) => date.toISOString().replace("T", " ").substring(0, 19);
+
+const formatScriptDate = (value) => {
+  const [year, month, day] = toDatePart(value).split("-");
+  return `${month}/${day}/${year}`;
+};
+
+const matchesPurge = (message, criteria) => {
+  if (!criteria.matchSender([message.from, message.sender])) return false;
+
+  if (criteria.subjectEqual && message.subject.toLowerCase() !== criteria.subjectEqual.toLowerCase()) return false;
+  if (criteria.subjectContains && !includesText(message.subject, criteria.subjectContains)) return false;
+
+  const receivedDay = toDatePart(message.receivedAt);
+  return receivedDay >= criteria.fromDay && receivedDay <= criteria.toDay;
+};
+
+// Stands in for the PS.ps1 child process: emits the same log lines on a
+// ChildProcess-like emitter so the purge route, its SSE stream and the
+// affected-mailbox parsing behave exactly as they do against Exchange.
+const spawnPurge = (options, context = {}) => {
+  const child = new EventEmitter();
+  child.stdout = new EventEmitter();
+  child.stderr = new EventEmitter();
+  child.exitCode = null;
+
+  let killed = false;
+
+  child.kill = () => {
+    if (killed || child.exitCode !== null) {
+      return false;
+    }
+    killed = true;
+    return true;
+  };
+
+  const writeLog = (message, level = "INFO") => {
+    const line = `[${formatTimestamp()}] [${level}] ${message}\n`;
+    child.stdout.emit("data", Buffer.from(line));
+
+    if (options.logFile) {
+      fs.appendFile(options.logFile, line, "utf8", (error) => {
+        if (error) {
+          logger.warn({ error, requestId: context.requestId }, "Failed to write sandbox purge log");
+        }
+      });
+    }
+  };
+
+  const finish = (code, signal) => {
+    child.exitCode = code;
+    child.emit("close", code, signal);
+  };
+
+  const run = async () => {
+    const records = loadStore();
+    const now = new Date();
+    const fromDay = toDatePart(options.receivedFrom || new Date(now.getTime() - options.daysBack * DAY_MS));
+    const toDay = toDatePart(options.receivedTo || now);
+    const criteria = { ...options, fromDay, toDay, matchSender: createSenderMatcher(options.senders) };
+
+    writeLog("Checking prerequisites...");
+    writeLog("Prerequisites check completed successfully.");
+
+    const senderTerms = options.senders.map((entry) => `From:${entry.replace(/^@/, "")}`);
+    const queryParts = ["kind:email", senderTerms.length > 1 ? `(${senderTerms.join(" OR ")})` : senderTerms[0]];
+    queryParts.push(`Received>=${formatScriptDate(fromDay)}`);
+    queryParts.push(`Received<${formatScriptDate(new Date(new Date(toDay).getTime() + DAY_MS))}`);
+    if (options.subjectEqual) {
+      queryParts.push(`Subject:"${options.subjectEqual}"`);
+    } else if (options.subjectContains) {
+      queryParts.push(`Subject:"*${options.subjectContains}*"`);
+    }
+    const searchQuery = queryParts.join(" AND ");
+    writeLog(`Built search query: ${searchQuery}`);
+
+    // Stands in for the per-sender message tracking lookup.
+    options.senders.forEach((entry) => {
+      const matchEntry = createSenderMatcher([entry]);
+      const delivered = Array.from(records.values()).map(
+        (record) =>
+          record.messages.filter((message) => {
+            const receivedDay = toDatePart(message.receivedAt);
+            return matchEntry([message.from, message.sender]) && receivedDay >= fromDay && receivedDay <= toDay;
+          }).length
+      );
+      const total = delivered.reduce((sum, count) => sum + count, 0);
+      writeLog(`Sender ${entry}: ${total} message(s) delivered to ${delivered.filter(Boolean).length} mailbox(es)`);
+    });
+
+    let candidates = Array.from(records.values());
+
+    if (hasMailboxScope(options)) {
+      const expand = (list = []) => {
+        const members = new Set();
+        list.forEach((group) => {
+          if (!groups.has(group.toLowerCase())) {
+            writeLog(`Could not expand group ${group}: group not found`, "WARNING");
+            return;
+          }
+          collectGroupMembers(group).forEach((member) => members.add(member));
+        });
+        return members;
+      };
+
+      const total = candidates.length;
+      candidates = applyMailboxScope(candidates, options, {
+        includedMembers: expand(options.includeGroups),
+        excludedMembers: expand(options.excludeGroups)
+      });
+      writeLog(`Mailbox scope applied: ${candidates.length} of ${total} candidate mailbox(es) in scope.`);
+    }
+
+    writeLog("Verifying candidate mailboxes contain active messages matching the criteria (excluding Recoverable Items)...");
+    const verified = [];
+
+    for (const record of candidates) {
+      if (killed) return;
+
+      writeLog(`Checking mailbox ${record.smtpAddress} for active messages...`);
+      try {
+        await simulateCall("EstimateMailbox", record.smtpAddress, context);
+        if (record.unavailable) {
+          throw new Error("The mailbox database is temporarily unavailable.");
+        }
+      } catch (error) {
+        writeLog(`Error estimating mailbox ${record.smtpAddress}: ${error.cause?.message || error.message}`, "WARNING");
+        continue;
+      }
+
+      const matches = record.messages.filter(
+        (message) => !isRecoverableFolder(message.folderId) && matchesPurge(message, criteria)
+      );
+      if (matches.length) {
+        writeLog(`Mailbox ${record.smtpAddress}: ${matches.length} active items (Recoverable Items excluded)`);
+        verified.push({ record, matches });
+      }
+    }
+
+    writeLog(`Verification complete. ${verified.length} mailbox(es) currently contain active messages matching the criteria.`);
+    if (verified.length) {
+      writeLog(`Effected Emails: ${verified.map(({ record }) => record.smtpAddress).join(", ")}`);
+    }
+
+    const totalItems = verified.reduce((sum, entry) => sum + entry.matches.length, 0);
+
+    if (options.simulate) {
+      writeLog(`[WHATIF] Would create compliance search with query: ${searchQuery}`);
+      writeLog(`[WHATIF] Target mailboxes: ${verified.map(({ record }) => record.smtpAddress).join(", ")}`);
+      writeLog(`[WHATIF] Would delete ${totalItems} total items from ${verified.length} mailboxes`);
+    } else {
+      for (const { record, matches } of verified) {
+        if (killed) return;
+
+        try {
+          await simulateCall("PurgeMailbox", record.smtpAddress, context);
+        } catch (error) {
+          writeLog(`Error processing mailbox ${record.smtpAddress}: ${error.cause?.message || error.message}`, "WARNING");
+          continue;
+        }
+
+        const removed = new Set(matches.map((message) => message.id));
+
+        if (options.allowHardDelete) {
+          record.messages = record.messages.filter((message) => !removed.has(message.id));
+        } else {
+          record.messages.forEach((message) => {
+            if (removed.has(message.id)) {
+              message.folderId = deletionTarget(message, "softdelete");
+            }
+          });
+        }
+
+        writeLog(`Deleted ${matches.length} items from ${record.smtpAddress}`);
+      }
+      writeLog(`Deleted ${totalItems} total items from ${verified.length} mailboxes`);
+    }
+
+    // Mirrors Remove-RecoverableItemsCopies: every in-scope candidate is
+    // searched, since dumpster copies outlive the active messages.
+    if (options.purgeRecoverableItems) {
+      writeLog(
+        `[RECOVERABLE ITEMS] Processing Recoverable Items (Deletions, Purges, Versions) in ${candidates.length} mailbox(es)...`,
+        "WARNING"
+      );
+      let totalPurged = 0;
+
+      for (const record of candidates) {
+        if (killed) return;
+
+        try {
+          await simulateCall("PurgeRecoverableItems", record.smtpAddress, context);
+          if (record.unavailable) {
+            throw new Error("The mailbox database is temporarily unavailable.");
+          }
+        } catch (error) {
+          writeLog(
+            `[RECOVERABLE ITEMS] Error processing mailbox ${record.smtpAddress}: ${error.cause?.message || error.message}`,
+            "ERROR"
+          );
+          continue;
+        }
+
+        const copies = record.messages.filter(
+          (message) => isRecoverableFolder(message.folderId) && matchesPurge(message, criteria)
+        );
+        totalPurged += copies.length;
+
+        if (!copies.length) {
+          continue;
+        }
+
+        if (options.simulate) {
+          writeLog(`[RECOVERABLE ITEMS] [WHATIF] Found ${copies.length} items in Recoverable Items of ${record.smtpAddress}`);
+        } else {
+          const purged = new Set(copies.map((message) => message.id));
+          record.messages = record.messages.filter((message) => !purged.has(message.id));
+          writeLog(`[RECOVERABLE ITEMS] Purged ${copies.length} items from ${record.smtpAddress}`, "WARNING");
+        }
+      }
+
+      if (options.simulate) {
+        writeLog(`[RECOVERABLE ITEMS] [WHATIF] Would purge ${totalPurged} total items from Recoverable Items`);
+      } else {
+        writeLog(`[RECOVERABLE ITEMS] Purged ${totalPurged} total items from Recoverable Items`, "WARNING");
+      }
+    }
+
+    writeLog("Script execution completed.", "SUCCESS");
+  };
+
+  setImmediate(() => {
+    run()
+      .then(() => finish(killed ? null : 0, killed ? "SIGTERM" : null))
+      .catch((error) => {
+        logger.error({ error, requestId: context.requestId }, "Sandbox purge failed");
+        child.stderr.emit("data", Buffer.from(`${error.message}\n`));
+        finish(1, null);
+      });
+  });
+
+  return child;
+};
+
+module.exports = {
+  name: "simulated",
+  buildQuery,
+  resolveFolders,
+  deletionFolder,
+  listMailboxes,
+  expandGroup,
+  openMailbox,
+  spawnPurge
+};
@@ -8,7 +8,44 @@ const fs = require("fs");
 const logger = require("../utils/logger");
 const { appendLogEntry, readLogEntries } = require("../utils/logStore");
 
-const { searchMessages, deleteMessages, listMailboxes } = require("../services/exchangeService");
+const {
+  searchMessages,
+  deleteMessages,
+  listMailboxes,
+  refreshMailboxes,
+  listDeleteRuns,
+  getDeleteRun,
+  resumeDeleteRun,
+  restoreDeleteRun,
+  getMessageDetail,
+  getMessageMime
+} = require("../services/exchangeService");
+const { createJob, getJob } = require("../services/jobService");
+const {
+  createApproval,
+  listApprovals,
+  getApproval,
+  approveRequest,
+  rejectRequest,
+  checkApproval,
+  consumeApproval,
+  releaseApproval
+} = require("../services/approvalService");
+const { getMailProvider } = require("../providers");
+const { pickMailboxScope } = require("../utils/mailboxScope");
+const { hasAttachmentFilter } = require("../utils/attachmentFilter");
+const { parseIndicator } = require("../utils/urlIndicators");
+const { parseSenderEntry } = require("../utils/senderFilter");
+const { MESSAGE_CLASSES } = require("../utils/messageClass");
+const { HEADER_NAME_PATTERN } = require("../utils/headerFilter");
+const {
+  DELETE_MODE_NAMES,
+  getDeletePolicy,
+  assertDeleteModeAllowed,
+  assertHardDeleteAllowed
+} = require("../utils/deletePolicy");
+const { RECIPIENT_FIELDS } = require("../utils/queryBuilder");
+const { QUERY_FIELDS, MAX_QUERY_DEPTH, queryDepth, requiresQueryCondition } = require("../utils/booleanQuery");
 
 const router = express.Router();
 
@@ -17,19 +54,166 @@ const activePurges = new Map();
 const asyncHandler = (fn) => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
 
+// Addresses or wildcard patterns such as *@finance.contoso.com. Commas are
+// rejected because PS.ps1 receives each list as one comma-separated argument.
+const mailboxPatternSchema = Joi.string()
+  .trim()
+  .lowercase()
+  .max(320)
+  .pattern(/^[^\s,]+$/)
+  .messages({ "string.pattern.base": "{{#label}} must be a single address or wildcard pattern." });
+const groupAddressSchema = Joi.string().trim().lowercase().email({ tlds: { allow: false } });
+
+const scopeKeys = {
+  includeMailboxes: Joi.array().items(mailboxPatternSchema).max(1000),
+  excludeMailboxes: Joi.array().items(mailboxPatternSchema).max(1000),
+  includeGroups: Joi.array().items(groupAddressSchema).max(50),
+  excludeGroups: Joi.array().items(groupAddressSchema).max(50)
+};
+
+const attachmentKeys = {
+  attachmentHashes: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .lowercase()
+        .pattern(/^[a-f0-9]{64}$/)
+        .messages({ "string.pattern.base": "{{#label}} must be a SHA-256 hash in hex." })
+    )
+    .max(500),
+  attachmentNames: Joi.array().items(Joi.string().trim().max(255)).max(100),
+  fingerprintAttachments: Joi.boolean()
+};
+
+// Internet Message-IDs are stored with their angle brackets; bare ids are
+// wrapped so either form matches.
+const internetMessageIdSchema = Joi.string()
+  .trim()
+  .max(998)
+  .pattern(/^<?[^\s<>]+@[^\s<>]+>?$/)
+  .custom((value) => `<${value.replace(/^<|>$/g, "")}>`, "angle brackets")
+  .messages({ "string.pattern.base": "{{#label}} must be an Internet Message-ID such as <id@host>." });
+
+// URLs or domains, optionally defanged (hxxp://evil[.]com).
+const urlIndicatorSchema = Joi.string()
+  .trim()
+  .max(2048)
+  .custom((value, helpers) => (parseIndicator(value) ? value : helpers.error("string.uri")), "url indicator")
+  .messages({ "string.uri": "{{#label}} must be a URL or domain." });
+
+// Addresses, whole domains ("@badsite.com", subdomains included) or wildcard
+// patterns such as "billing-*@badsite.com".
+const senderEntrySchema = Joi.string()
+  .trim()
+  .lowercase()
+  .max(320)
+  .custom((value, helpers) => (parseSenderEntry(value) ? value : helpers.error("string.sender")), "sender entry")
+  .messages({ "string.sender": "{{#label}} must be an address, an @domain or a wildcard pattern with a domain." });
+
+// PS.ps1 can only search for addresses and domains, so purges take no patterns.
+const purgeSenderSchema = senderEntrySchema
+  .custom(
+    (value, helpers) => (parseSenderEntry(value).kind === "pattern" ? helpers.error("string.senderPattern") : value),
+    "purge sender entry"
+  )
+  .messages({ "string.senderPattern": "{{#label}} must be an address or an @domain; wildcards are not supported." });
+
+// Transport header filters such as { name: "Reply-To", value: "badsite.com" };
+// without a value the header only has to be present.
+const headerFilterSchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .max(128)
+    .pattern(HEADER_NAME_PATTERN)
+    .required()
+    .messages({ "string.pattern.base": "{{#label}} must be a header name such as Return-Path." }),
+  value: Joi.string().trim().max(512).allow("")
+});
+
+const queryConditionSchema = Joi.object({
+  field: Joi.string().valid(...QUERY_FIELDS).required(),
+  value: Joi.any()
+    .when("field", {
+      switch: [
+        { is: "sender", then: Joi.string().email({ tlds: { allow: false } }) },
+        { is: Joi.valid("receivedFrom", "receivedTo"), then: Joi.date().iso() },
+        { is: "hasAttachments", then: Joi.boolean() },
+        { is: "importance", then: Joi.string().lowercase().valid("low", "normal", "high") }
+      ],
+      otherwise: Joi.string().trim().min(1).max(256)
+    })
+    .required()
+});
+
+// Nested AND / OR / NOT groups; see utils/booleanQuery.js.
+const queryGroupSchema = Joi.object({
+  operator: Joi.string().lowercase().valid("and", "or", "not").required(),
+  conditions: Joi.array()
+    .items(Joi.alternatives().try(Joi.link("#queryGroup"), queryConditionSchema))
+    .min(1)
+    .max(50)
+    .required()
+})
+  .id("queryGroup")
+  .custom(
+    (value, helpers) =>
+      queryDepth(value) > MAX_QUERY_DEPTH
+        ? helpers.message(`{{#label}} may nest at most ${MAX_QUERY_DEPTH} groups`)
+        : value,
+    "query depth"
+  );
+
+// A query counts as targeted when every match must come from a named sender.
+// Header values are substrings that many messages share ("spf=fail"), so they
+// only count together with a subject or recipients.
+const hasTargetFilter = (value) =>
+  Boolean(
+    value.sender ||
+      value.senders?.length ||
+      (value.query && requiresQueryCondition(value.query, "sender")) ||
+      value.internetMessageIds?.length ||
+      value.urlIndicators?.length ||
+      (value.headers?.some((header) => header.value) && (value.subject || value.recipients?.length)) ||
+      hasAttachmentFilter(value)
+  );
+
 const filterBaseSchema = Joi.object({
+  query: queryGroupSchema,
+  internetMessageIds: Joi.array().items(internetMessageIdSchema).single().max(500),
+  urlIndicators: Joi.array().items(urlIndicatorSchema).single().max(100),
   sender: Joi.string().email({ tlds: { allow: false } }),
+  senders: Joi.array().items(senderEntrySchema).single().max(100),
+  // Distribution lists match by their own address, as it appears on To/Cc.
+  recipients: Joi.array().items(groupAddressSchema).single().max(100),
+  recipientFields: Joi.array()
+    .items(Joi.string().lowercase().valid(...RECIPIENT_FIELDS))
+    .single()
+    .unique()
+    .min(1),
   subject: Joi.string().max(256),
   receivedFrom: Joi.date().iso(),
   receivedTo: Joi.date().iso(),
-  maxPerMailbox: Joi.number().integer().min(1).max(2000)
+  minSize: Joi.number().integer().min(0),
+  maxSize: Joi.number().integer().min(0),
+  messageClasses: Joi.array()
+    .items(Joi.string().valid(...Object.keys(MESSAGE_CLASSES)))
+    .single()
+    .unique(),
+  headers: Joi.array().items(headerFilterSchema).single().max(20),
+  maxPerMailbox: Joi.number().integer().min(1).max(2000),
+  folders: Joi.array().items(Joi.string().trim().max(512)).max(50),
+  ...attachmentKeys,
+  ...scopeKeys
 })
   .custom((value, helpers) => {
-    const hasPrimaryFilter = Boolean(value.sender || value.subject);
+    const hasPrimaryFilter = Boolean(
+      value.subject || value.query || value.recipients?.length || value.headers?.length || hasTargetFilter(value)
+    );
 
     if (!hasPrimaryFilter) {
       return helpers.error("any.custom", {
-        message: "Sender email is required."
+        message:
+          "Sender, recipient, subject, query, message id, URL indicator, header or an attachment filter is required."
       });
     }
 
@@ -40,29 +224,79 @@ const filterBaseSchema = Joi.object({
       });
     }
 
+    if (value.minSize !== undefined && value.maxSize !== undefined && value.minSize > value.maxSize) {
+      return helpers.message("maxSize must be greater than or equal to minSize.");
+    }
+
     return value;
   }, "filter requirement")
+  // Message ids are matched exactly and cannot share a query with free text;
+  // Graph can only express size and message class filters as a search.
+  .without("internetMessageIds", [
+    "sender",
+    "senders",
+    "recipients",
+    "subject",
+    "urlIndicators",
+    "query",
+    "minSize",
+    "maxSize",
+    "messageClasses"
+  ])
+  .with("recipientFields", "recipients")
+  .nand("sender", "senders")
   .messages({
-    "any.custom": "Sender email must be provided.",
+    "any.custom":
+      "Sender, recipient, subject, query, message id, URL indicator, header or an attachment filter must be provided.",
     "date.max": "receivedTo must be greater than or equal to receivedFrom."
   });
 
+// A subject alone is too broad to delete by; deletes need a sender (possibly
+// inside the query), message ids, URL indicators, an attachment filter or a
+// header value narrowed by a subject or recipients.
 const deleteSchema = filterBaseSchema
-  .fork(["sender"], (schema) => schema.required())
   .keys({
-    simulate: Joi.boolean().default(true)
-  });
+    simulate: Joi.boolean().default(true),
+    confirmRecoverableItemsPurge: Joi.boolean().default(false),
+    // Defaults to the policy's default mode; see utils/deletePolicy.js.
+    deleteMode: Joi.string().valid(...DELETE_MODE_NAMES).insensitive(),
+    quarantineFolder: Joi.string()
+      .trim()
+      .max(255)
+      .pattern(/^[^/\\]+$/)
+      .messages({ "string.pattern.base": "{{#label}} must be a single folder name, not a path." }),
+    exportEvidence: Joi.boolean().default(false),
+    evidenceFormat: Joi.string().valid("directory", "zip"),
+    approvalId: Joi.string().guid()
+  })
+  .custom(
+    (value, helpers) =>
+      hasTargetFilter(value)
+        ? value
+        : helpers.message(
+            '"sender" or "senders" is required unless message ids, URL indicators, an attachment filter, or a header value ' +
+              "with a subject or recipients is given"
+          ),
+    "delete target requirement"
+  );
 
 const purgeSchema = Joi.object({
-  senderEmail: Joi.string().email({ tlds: { allow: false } }).required(),
+  senderEmail: Joi.string().email({ tlds: { allow: false } }),
+  senders: Joi.array().items(purgeSenderSchema).single().max(100),
   subjectContains: Joi.string().max(256).allow(""),
   subjectEqual: Joi.string().max(256).allow(""),
   receivedFrom: Joi.date().iso(),
   receivedTo: Joi.date().iso(),
   simulate: Joi.boolean().default(true),
   allowHardDelete: Joi.boolean().default(false),
+  // PS.ps1 can only soft delete, or hard delete with -AllowHardDelete.
+  deleteMode: Joi.string().valid("softDelete", "hardDelete").insensitive(),
+  purgeRecoverableItems: Joi.boolean().default(false),
+  confirmRecoverableItemsPurge: Joi.boolean().default(false),
   method: Joi.string().valid("ComplianceSearch", "SearchMailbox").default("ComplianceSearch"),
-  daysBack: Joi.number().integer().min(1).max(365).default(30)
+  daysBack: Joi.number().integer().min(1).max(365).default(30),
+  approvalId: Joi.string().guid(),
+  ...scopeKeys
 }).custom((value, helpers) => {
   if (value.subjectContains && value.subjectEqual) {
     return helpers.error("any.conflict", {
@@ -77,13 +311,79 @@ const purgeSchema = Joi.object({
     });
   }
 
-  return value;
-}, "purge validation");
+  if (value.purgeRecoverableItems && !value.simulate && !value.confirmRecoverableItemsPurge) {
+    return helpers.error("any.invalid", {
+      message: "Purging Recoverable Items is irreversible and requires confirmRecoverableItemsPurge."
+    });
+  }
+
+  if (value.deleteMode === "softDelete" && value.allowHardDelete) {
+    return helpers.error("any.invalid", { message: "allowHardDelete cannot be used with deleteMode softDelete." });
+  }
+
+  return value.deleteMode ? { ...value, allowHardDelete: value.deleteMode === "hardDelete" } : value;
+}, "purge validation")
+  .or("senderEmail", "senders")
+  .messages({
+    "any.invalid": "{{#message}}"
+  });
+
+// Resume and restore both address an existing delete run.
+const resumeSchema = Joi.object({
+  runId: Joi.string().guid().required()
+});
+
+const jobSchema = Joi.object({
+  type: Joi.string().valid("search", "delete", "resume", "restore").required(),
+  filters: Joi.when("type", {
+    switch: [
+      { is: "delete", then: deleteSchema },
+      { is: Joi.valid("resume", "restore"), then: resumeSchema }
+    ],
+    otherwise: filterBaseSchema
+  }).required()
+});
 
 const cancelSchema = Joi.object({
   requestId: Joi.string().required()
 });
 
+const assertDeletePolicy = (filters) => assertDeleteModeAllowed(filters.deleteMode || getDeletePolicy().defaultMode);
+
+// PS.ps1 soft-deletes unless -AllowHardDelete is given, so a purge is held to
+// the delete modes as well.
+const assertPurgePolicy = ({ allowHardDelete, purgeRecoverableItems, simulate }) => {
+  if (allowHardDelete) {
+    assertHardDeleteAllowed("Search-Mailbox cleanup (-AllowHardDelete)");
+  }
+  if (purgeRecoverableItems && !simulate) {
+    assertHardDeleteAllowed("Purging Recoverable Items");
+  }
+  assertDeleteModeAllowed(allowHardDelete ? "hardDelete" : "softDelete");
+};
+
+// Live runs need a second user: without an approvalId they only file an
+// approval request, with one they run the payload that was approved. The
+// approval is checked here but consumed only once the run starts, so a run
+// that fails validation or scoping leaves it usable.
+const resolveLiveRun = (type, body, req, assertAllowed) => {
+  if (body.simulate) {
+    assertAllowed(body);
+    return { payload: body, approval: null };
+  }
+  if (!body.approvalId) {
+    assertAllowed(body);
+    return { pending: createApproval(type, body, req.user, { requestId: req.requestId }) };
+  }
+
+  const approval = checkApproval(body.approvalId, type, req.user);
+  assertAllowed(approval.payload);
+  return {
+    payload: approval.payload,
+    approval: { id: approval.id, requestedBy: approval.requestedBy, approvedBy: approval.approvedBy }
+  };
+};
+
 const validateBody = (schema) => async (req, _res, next) => {
   try {
     const payload = await schema.validateAsync(req.body ?? {}, {
@@ -116,6 +416,15 @@ router.get(
   })
 );
 
+router.post(
+  "/mailboxes/refresh",
+  asyncHandler(async (req, res) => {
+    const data = await refreshMailboxes({ requestId: req.requestId });
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ ...data, requestId: req.requestId });
+  })
+);
+
 router.post(
   "/search",
   validateBody(filterBaseSchema),
@@ -130,12 +439,169 @@ router.post(
   "/delete",
   validateBody(deleteSchema),
   asyncHandler(async (req, res) => {
-    const data = await deleteMessages(req.validatedBody, { requestId: req.requestId });
+    const liveRun = resolveLiveRun("delete", req.validatedBody, req, assertDeletePolicy);
+    res.setHeader("x-request-id", req.requestId);
+
+    if (liveRun.pending) {
+      res.status(202).json({ approval: liveRun.pending, requestId: req.requestId });
+      return;
+    }
+
+    const data = await deleteMessages(liveRun.payload, {
+      requestId: req.requestId,
+      user: req.user,
+      approval: liveRun.approval
+    });
+    res.json({ ...data, requestId: req.requestId });
+  })
+);
+
+router.get(
+  "/messages/:mailbox/:id",
+  asyncHandler(async (req, res) => {
+    const message = await getMessageDetail(req.params.mailbox, req.params.id, { requestId: req.requestId });
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ message, requestId: req.requestId });
+  })
+);
+
+// The raw message is always served as a download and never rendered by the
+// browser, whatever it contains.
+router.get(
+  "/messages/:mailbox/:id/mime",
+  asyncHandler(async (req, res) => {
+    const { content, fileName } = await getMessageMime(req.params.mailbox, req.params.id, {
+      requestId: req.requestId
+    });
+    res.setHeader("x-request-id", req.requestId);
+    res.setHeader("Content-Type", "application/octet-stream");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Content-Security-Policy", "default-src 'none'; sandbox");
+    res.send(content);
+  })
+);
+
+router.get(
+  "/me",
+  asyncHandler(async (req, res) => {
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ user: req.user, requestId: req.requestId });
+  })
+);
+
+router.get(
+  "/delete-policy",
+  asyncHandler(async (req, res) => {
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ policy: getDeletePolicy(), requestId: req.requestId });
+  })
+);
+
+router.get(
+  "/delete-runs",
+  asyncHandler(async (req, res) => {
+    const runs = await listDeleteRuns();
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ runs, requestId: req.requestId });
+  })
+);
+
+router.get(
+  "/delete-runs/:runId",
+  asyncHandler(async (req, res) => {
+    const run = await getDeleteRun(req.params.runId);
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ run, requestId: req.requestId });
+  })
+);
+
+router.post(
+  "/delete-runs/:runId/resume",
+  asyncHandler(async (req, res) => {
+    const data = await resumeDeleteRun(req.params.runId, { requestId: req.requestId, user: req.user });
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ ...data, requestId: req.requestId });
+  })
+);
+
+router.post(
+  "/restore",
+  validateBody(resumeSchema),
+  asyncHandler(async (req, res) => {
+    const data = await restoreDeleteRun(req.validatedBody.runId, { requestId: req.requestId, user: req.user });
     res.setHeader("x-request-id", req.requestId);
     res.json({ ...data, requestId: req.requestId });
   })
 );
 
+router.post(
+  "/jobs",
+  validateBody(jobSchema),
+  asyncHandler(async (req, res) => {
+    const { type, filters } = req.validatedBody;
+    const liveRun =
+      type === "delete"
+        ? resolveLiveRun("delete", filters, req, assertDeletePolicy)
+        : { payload: filters, approval: null };
+    res.setHeader("x-request-id", req.requestId);
+
+    if (liveRun.pending) {
+      res.status(202).json({ approval: liveRun.pending, requestId: req.requestId });
+      return;
+    }
+
+    const job = createJob(type, liveRun.payload, {
+      requestId: req.requestId,
+      user: req.user,
+      approval: liveRun.approval
+    });
+    res.status(202).json({ job, requestId: req.requestId });
+  })
+);
+
+router.get(
+  "/approvals",
+  asyncHandler(async (req, res) => {
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ approvals: listApprovals(), requestId: req.requestId });
+  })
+);
+
+router.get(
+  "/approvals/:approvalId",
+  asyncHandler(async (req, res) => {
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ approval: getApproval(req.params.approvalId), requestId: req.requestId });
+  })
+);
+
+router.post(
+  "/approvals/:approvalId/approve",
+  asyncHandler(async (req, res) => {
+    const approval = approveRequest(req.params.approvalId, req.user, { requestId: req.requestId });
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ approval, requestId: req.requestId });
+  })
+);
+
+router.post(
+  "/approvals/:approvalId/reject",
+  asyncHandler(async (req, res) => {
+    const approval = rejectRequest(req.params.approvalId, req.user, { requestId: req.requestId });
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ approval, requestId: req.requestId });
+  })
+);
+
+router.get(
+  "/jobs/:jobId",
+  asyncHandler(async (req, res) => {
+    const job = getJob(req.params.jobId);
+    res.setHeader("x-request-id", req.requestId);
+    res.json({ job, requestId: req.requestId });
+  })
+);
 
 router.get(
   "/purge-logs",
@@ -210,12 +676,22 @@ router.post(
   "/purge-sender",
   validateBody(purgeSchema),
   asyncHandler(async (req, res, next) => {
-    if (!fs.existsSync(scriptPath)) {
+    const provider = getMailProvider();
+    const usesProviderPurge = typeof provider.spawnPurge === "function";
+
+    if (!usesProviderPurge && !fs.existsSync(scriptPath)) {
       throw createError(500, { message: "Purge script not found on server." });
     }
 
+    const liveRun = resolveLiveRun("purge", req.validatedBody, req, assertPurgePolicy);
+
+    if (liveRun.pending) {
+      res.setHeader("x-request-id", req.requestId);
+      res.status(202).json({ approval: liveRun.pending, requestId: req.requestId });
+      return;
+    }
+
     const {
-      senderEmail,
       subjectContains,
       subjectEqual,
       receivedFrom,
@@ -223,8 +699,19 @@ router.post(
       simulate,
       method,
       daysBack,
-      allowHardDelete
-    } = req.validatedBody;
+      allowHardDelete,
+      purgeRecoverableItems
+    } = liveRun.payload;
+    const scope = pickMailboxScope(liveRun.payload);
+    // PS.ps1 takes every sender as one comma-separated -SenderEmail value.
+    const senders = Array.from(
+      new Set(
+        [liveRun.payload.senderEmail, ...(liveRun.payload.senders || [])]
+          .filter(Boolean)
+          .map((entry) => entry.toLowerCase())
+      )
+    );
+    const senderEmail = senders.join(",");
 
     const subjectMode = subjectEqual ? "equals" : subjectContains ? "contains" : "none";
     const subjectValue = subjectEqual || subjectContains || null;
@@ -261,6 +748,16 @@ router.post(
       scriptArgs.push("-ToDate", toDateFormatted);
     }
 
+    const scopeArgs = {
+      includeMailboxes: "-IncludeMailboxes",
+      excludeMailboxes: "-ExcludeMailboxes",
+      includeGroups: "-IncludeGroups",
+      excludeGroups: "-ExcludeGroups"
+    };
+    Object.entries(scope).forEach(([field, values]) => {
+      scriptArgs.push(scopeArgs[field], values.join(","));
+    });
+
     scriptArgs.push("-LogFile", logPath);
 
     if (simulate) {
@@ -273,6 +770,10 @@ router.post(
       scriptArgs.push("-AllowHardDelete");
     }
 
+    if (purgeRecoverableItems) {
+      scriptArgs.push("-PurgeRecoverableItems");
+    }
+
     // Detect if the client requested a streaming response (SSE)
     const wantsStream =
       String(req.query.stream || "").toLowerCase() === "true" ||
@@ -304,9 +805,30 @@ router.post(
       sse: null
     };
 
-    const child = spawn("powershell.exe", scriptArgs, {
-      cwd: path.dirname(scriptPath)
-    });
+    if (liveRun.approval) {
+      consumeApproval(liveRun.approval.id, "purge", req.user, { requestId: req.requestId });
+    }
+
+    const child = usesProviderPurge
+      ? provider.spawnPurge(
+          {
+            senders,
+            subjectContains,
+            subjectEqual,
+            receivedFrom,
+            receivedTo,
+            daysBack,
+            simulate,
+            allowHardDelete,
+            purgeRecoverableItems,
+            ...scope,
+            logFile: logPath
+          },
+          { requestId: req.requestId }
+        )
+      : spawn("powershell.exe", scriptArgs, {
+          cwd: path.dirname(scriptPath)
+        });
 
     purgeContext.child = child;
     purgeContext.sse = wantsStream ? sse : null;
@@ -330,13 +852,15 @@ router.post(
         startedAt: startedAt.toISOString(),
         simulate,
         allowHardDelete,
+        purgeRecoverableItems,
         method,
         daysBack,
         subjectMode,
         subjectValue,
         // include processed date filters for visibility
         receivedFrom: fromDateFormatted || null,
-        receivedTo: toDateFormatted || null
+        receivedTo: toDateFormatted || null,
+        scope
       });
     }
 
@@ -355,6 +879,9 @@ router.post(
     child.on("error", (error) => {
       activePurges.delete(req.requestId);
       purgeContext.child = null;
+      if (liveRun.approval) {
+        releaseApproval(liveRun.approval.id, { requestId: req.requestId });
+      }
 
       if (wantsStream) {
         sse("error", { message: "Failed to launch PowerShell", details: { error: error.message } });
@@ -389,6 +916,23 @@ router.post(
         affectedMailboxes.add(match3[2].trim());
       }
 
+      // Recoverable Items purges carry their own marker so the audit log can
+      // tell irreversible dumpster purges apart from regular deletions.
+      const recoverableItemsMailboxes = new Set();
+      const regex4 = /\[RECOVERABLE ITEMS\] (?:Purged|\[WHATIF\] Found) ([1-9]\d*) items (?:from|in Recoverable Items of) (.*)/g;
+      let match4;
+      while ((match4 = regex4.exec(stdoutText)) !== null) {
+        recoverableItemsMailboxes.add(match4[2].trim());
+        affectedMailboxes.add(match4[2].trim());
+      }
+
+      // PS.ps1 reports "Sender <entry>: N message(s) delivered to M mailbox(es)".
+      const senderMatches = [];
+      const regex5 = /\[INFO\] Sender (\S+): (\d+) message\(s\) delivered to (\d+) mailbox\(es\)/g;
+      let match5;
+      while ((match5 = regex5.exec(stdoutText)) !== null) {
+        senderMatches.push({ sender: match5[1], matches: Number(match5[2]), mailboxes: Number(match5[3]) });
+      }
 
       const executionMode = simulate ? "simulation" : allowHardDelete ? "hard-delete" : "soft-delete";
       const exitCode = typeof code === "number" ? code : null;
@@ -409,15 +953,18 @@ router.post(
 
       const requestPayload = {
         senderEmail,
+        senders,
         subjectContains: subjectContains || null,
         subjectEqual: subjectEqual || null,
         simulate,
         allowHardDelete,
+        purgeRecoverableItems,
         mode: executionMode,
         method,
         daysBack,
         receivedFrom: receivedFrom ? new Date(receivedFrom).toISOString() : null,
-        receivedTo: receivedTo ? new Date(receivedTo).toISOString() : null
+        receivedTo: receivedTo ? new Date(receivedTo).toISOString() : null,
+        ...scope
       };
 
       const logEntry = {
@@ -431,6 +978,8 @@ router.post(
         simulate,
         allowHardDelete,
         mode: executionMode,
+        recoverableItemsPurge: purgeRecoverableItems && !simulate,
+        recoverableItemsMailboxes: Array.from(recoverableItemsMailboxes),
         method,
         daysBack,
         exitCode,
@@ -444,7 +993,11 @@ router.post(
         stdoutLength: stdoutText.length,
         stderrLength: stderrText.length,
         requestPayload,
-        affectedMailboxes: Array.from(affectedMailboxes)
+        affectedMailboxes: Array.from(affectedMailboxes),
+        senderMatches,
+        approvalId: liveRun.approval?.id || null,
+        requestedBy: liveRun.approval?.requestedBy || req.user,
+        approvedBy: liveRun.approval?.approvedBy || null
       };
 
       let persistedLog = logEntry;
@@ -0,0 +1,250 @@
+const { randomUUID } = require("crypto");
+const createError = require("http-errors");
+
+const { coerceInteger } = require("../utils/env");
+const logger = require("../utils/logger");
+const { isOidcEnabled } = require("../utils/oidc");
+
+// Live deletions (`delete` runs and `purge` script runs) only execute once a
+// second user approved them. A request expires when it is neither decided nor,
+// once approved, executed within APPROVAL_TTL_MS.
+const config = {
+  ttlMs: Math.max(60000, coerceInteger(process.env.APPROVAL_TTL_MS, 60 * 60 * 1000)),
+  retentionMs: Math.max(60000, coerceInteger(process.env.APPROVAL_RETENTION_MS, 24 * 60 * 60 * 1000)),
+  trustUserHeader: process.env.AUTH_USER_HEADER_TRUSTED === "true"
+};
+
+const approvals = new Map();
+
+const sameUser = (a, b) => Boolean(a && b && a.id.toLowerCase() === b.id.toLowerCase());
+
+const expireApprovals = () => {
+  const now = Date.now();
+  const cutoff = now - config.retentionMs;
+
+  approvals.forEach((approval, id) => {
+    if ((approval.status === "pending" || approval.status === "approved") && Date.parse(approval.expiresAt) <= now) {
+      approval.status = "expired";
+      approval.updatedAt = approval.expiresAt;
+      logger.info({ approvalId: id, type: approval.type }, "Approval request expired");
+    }
+    if (Date.parse(approval.updatedAt) < cutoff) {
+      approvals.delete(id);
+    }
+  });
+};
+
+const serializeApproval = (approval) => ({ ...approval });
+
+const approvalError = (status, message, approval) => {
+  const error = createError(status, message);
+  error.details = approval ? { approvalId: approval.id, status: approval.status } : undefined;
+  error.expose = true;
+  return error;
+};
+
+const requireUser = (user, action) => {
+  if (!user) {
+    const error = createError(401, `${action} requires an identified user`);
+    error.details = { settings: ["OIDC_ISSUER", "AUTH_USER_HEADER"] };
+    error.expose = true;
+    throw error;
+  }
+};
+
+// Anyone who reaches the API directly can set AUTH_USER_HEADER, and so file
+// and approve the same deletion under two names. Without OIDC the header only
+// counts for approvals once AUTH_USER_HEADER_TRUSTED says a proxy sets it.
+const requireTrustedUser = (user, action) => {
+  requireUser(user, action);
+
+  if (!isOidcEnabled() && !config.trustUserHeader) {
+    const error = createError(403, `${action} requires OIDC sign-in or a trusted AUTH_USER_HEADER`);
+    error.details = { settings: ["OIDC_ISSUER", "AUTH_USER_HEADER_TRUSTED"] };
+    error.expose = true;
+    throw error;
+  }
+};
+
+const findApproval = (approvalId) => {
+  expireApprovals();
+  const approval = approvals.get(approvalId);
+
+  if (!approval) {
+    throw approvalError(404, `Approval request not found: ${approvalId}`);
+  }
+  return approval;
+};
+
+const createApproval = (type, payload, user, context = {}) => {
+  requireTrustedUser(user, "Requesting a live deletion");
+  expireApprovals();
+
+  const now = new Date();
+  const approval = {
+    id: randomUUID(),
+    type,
+    status: "pending",
+    requestId: context.requestId,
+    requestedBy: user,
+    requestedAt: now.toISOString(),
+    approvedBy: null,
+    rejectedBy: null,
+    decidedAt: null,
+    executedAt: null,
+    expiresAt: new Date(now.getTime() + config.ttlMs).toISOString(),
+    updatedAt: now.toISOString(),
+    payload
+  };
+
+  approvals.set(approval.id, approval);
+  logger.info(
+    { approvalId: approval.id, type, requestedBy: user.id, requestId: context.requestId },
+    "Approval requested for live deletion"
+  );
+  return serializeApproval(approval);
+};
+
+const listApprovals = () => {
+  expireApprovals();
+  return Array.from(approvals.values())
+    .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt))
+    .map(serializeApproval);
+};
+
+const getApproval = (approvalId) => serializeApproval(findApproval(approvalId));
+
+// The approver has to be someone other than the requester; an approved
+// request gets a fresh TTL to be executed in.
+const approveRequest = (approvalId, user, context = {}) => {
+  requireTrustedUser(user, "Approving a deletion");
+  const approval = findApproval(approvalId);
+
+  if (approval.status !== "pending") {
+    throw approvalError(409, `Approval request is ${approval.status}`, approval);
+  }
+  if (sameUser(approval.requestedBy, user)) {
+    throw approvalError(
+      403,
+      "A deletion must be approved by a different user than the one who requested it",
+      approval
+    );
+  }
+
+  const now = new Date();
+  Object.assign(approval, {
+    status: "approved",
+    approvedBy: user,
+    decidedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + config.ttlMs).toISOString(),
+    updatedAt: now.toISOString()
+  });
+  logger.info(
+    {
+      approvalId,
+      type: approval.type,
+      requestedBy: approval.requestedBy.id,
+      approvedBy: user.id,
+      requestId: context.requestId
+    },
+    "Live deletion approved"
+  );
+  return serializeApproval(approval);
+};
+
+// Either user may reject; for the requester it withdraws the request.
+const rejectRequest = (approvalId, user, context = {}) => {
+  requireUser(user, "Rejecting a deletion");
+  const approval = findApproval(approvalId);
+
+  if (approval.status !== "pending" && approval.status !== "approved") {
+    throw approvalError(409, `Approval request is ${approval.status}`, approval);
+  }
+
+  const now = new Date().toISOString();
+  Object.assign(approval, { status: "rejected", rejectedBy: user, decidedAt: now, updatedAt: now });
+  logger.info(
+    { approvalId, type: approval.type, rejectedBy: user.id, requestId: context.requestId },
+    "Live deletion rejected"
+  );
+  return serializeApproval(approval);
+};
+
+const findRunnableApproval = (approvalId, type, user) => {
+  requireUser(user, "Running an approved deletion");
+  const approval = findApproval(approvalId);
+
+  if (approval.type !== type) {
+    throw approvalError(400, `Approval request is for a ${approval.type}, not a ${type}`, approval);
+  }
+  if (approval.status !== "approved") {
+    throw approvalError(409, `Approval request is ${approval.status}`, approval);
+  }
+  if (!sameUser(approval.requestedBy, user) && !sameUser(approval.approvedBy, user)) {
+    throw approvalError(403, "Only the requester or the approver can run an approved deletion", approval);
+  }
+  return approval;
+};
+
+// Returns an approved request the user may run without using it up, so the
+// payload can be validated and scoped first.
+const checkApproval = (approvalId, type, user) => serializeApproval(findRunnableApproval(approvalId, type, user));
+
+// Marks an approved request as executed and returns it; each approval runs
+// once, started by the requester or the approver, with the payload that was
+// approved. Callers consume it only once the run has actually started.
+const consumeApproval = (approvalId, type, user, context = {}) => {
+  const approval = findRunnableApproval(approvalId, type, user);
+  const now = new Date().toISOString();
+  Object.assign(approval, { status: "executed", executedAt: now, updatedAt: now });
+  logger.info(
+    { approvalId, type, executedBy: user.id, requestId: context.requestId },
+    "Approved live deletion started"
+  );
+  return serializeApproval(approval);
+};
+
+// Hands an approval back when the run it was consumed for could not start.
+const releaseApproval = (approvalId, context = {}) => {
+  const approval = approvals.get(approvalId);
+
+  if (!approval || approval.status !== "executed") {
+    return;
+  }
+
+  Object.assign(approval, { status: "approved", executedAt: null, updatedAt: new Date().toISOString() });
+  logger.warn(
+    { approvalId, type: approval.type, requestId: context.requestId },
+    "Approved live deletion did not start"
+  );
+};
+
+// Resuming or restoring a live run acts on the deletion that was approved for
+// it, so only the same two users may do it.
+const assertRunUser = (run, user, action, verb) => {
+  requireUser(user, `${action} a live deletion`);
+
+  if (!sameUser(run.requestedBy, user) && !sameUser(run.approval?.approvedBy, user)) {
+    const error = createError(403, `Only the requester or the approver can ${verb} a live deletion`);
+    error.details = { runId: run.id, approvalId: run.approval?.id || null };
+    error.expose = true;
+    throw error;
+  }
+};
+
+const assertMayResume = (run, user) => assertRunUser(run, user, "Resuming", "resume");
+
+const assertMayRestore = (run, user) => assertRunUser(run, user, "Restoring", "restore");
+
+module.exports = {
+  createApproval,
+  listApprovals,
+  getApproval,
+  approveRequest,
+  rejectRequest,
+  checkApproval,
+  consumeApproval,
+  releaseApproval,
+  assertMayResume,
+  assertMayRestore
+};
@@ -1,414 +1,646 @@
-const {
-  AffectedTaskOccurrence,
-  BasePropertySet,
-  BodyType,
-  ConnectingIdType,
-  DeleteMode,
-  EmailMessageSchema,
-  ExchangeService,
-  ExchangeVersion,
-  ImpersonatedUserId,
-  ItemTraversal,
-  ItemView,
-  PropertySet,
-  SortDirection,
-  Uri,
-  WebCredentials,
-  WellKnownFolderName,
-  SendCancellationsMode
-} = require("ews-javascript-api");
+const { randomUUID } = require("crypto");
 const createError = require("http-errors");
 const PQueue = require("p-queue").default;
 
-const { buildAqsQuery } = require("../utils/queryBuilder");
+const { getMailProvider } = require("../providers");
+const { coerceInteger, parseList } = require("../utils/env");
 const logger = require("../utils/logger");
-
-const SERVICE_VERSION_MAP = {
-  exchange2010: ExchangeVersion.Exchange2010_SP2,
-  exchange2013: ExchangeVersion.Exchange2013,
-  exchange2016: ExchangeVersion.Exchange2016,
-  exchange2019: ExchangeVersion.Exchange2019
+const { saveRun, readRun, listRuns } = require("../utils/runStore");
+const { appendLogEntry } = require("../utils/logStore");
+const { EVIDENCE_FORMATS, createEvidenceWriter, toFileName } = require("../utils/evidenceStore");
+const { parseMessage } = require("../utils/messageParser");
+const { hasAttachmentFilter, pickAttachmentFilter, createAttachmentMatcher } = require("../utils/attachmentFilter");
+const { createUrlMatcher, toIndicatorHosts } = require("../utils/urlIndicators");
+const { createSenderMatcher, toSenderSearchTerms } = require("../utils/senderFilter");
+const { createMessageClassMatcher, toSearchKind } = require("../utils/messageClass");
+const { createHeaderMatcher } = require("../utils/headerFilter");
+const { getDeletePolicy, assertDeleteModeAllowed, assertHardDeleteAllowed } = require("../utils/deletePolicy");
+const { createRetryStats } = require("../utils/retry");
+const { createConcurrencyController } = require("../utils/concurrency");
+const {
+  hasMailboxScope,
+  pickMailboxScope,
+  applyMailboxScope,
+  findUnmatchedEntries
+} = require("../utils/mailboxScope");
+const { ALL_MAIL_FOLDERS, ARCHIVE_ROOT, pickRecoverableFolders } = require("../utils/folderPaths");
+const { assertMayRestore, assertMayResume, consumeApproval } = require("./approvalService");
+
+const DELETE_MODES = ["softdelete", "movetodeleteditems", "harddelete", "quarantine"];
+
+// Everything but a hard delete leaves the items somewhere they can be moved back from.
+const RESTORABLE_MODES = ["softdelete", "movetodeleteditems", "quarantine"];
+
+// Delete runs share the purge log with PS.ps1 runs and use its mode names.
+const LOG_MODES = {
+  softdelete: "soft-delete",
+  movetodeleteditems: "move-to-deleted-items",
+  harddelete: "hard-delete",
+  quarantine: "quarantine"
 };
 
-const DELETE_MODE_MAP = {
-  softdelete: DeleteMode.SoftDelete,
-  movetodeleteditems: DeleteMode.MoveToDeletedItems,
-  harddelete: DeleteMode.HardDelete
+const config = {
+  defaultFolders: parseList(process.env.DEFAULT_FOLDERS, ["Inbox", "JunkEmail"]),
+  maxPerMailbox: Math.max(1, coerceInteger(process.env.DEFAULT_MAX_RESULTS, 200)),
+  maxConcurrency: Math.max(1, coerceInteger(process.env.EWS_MAX_CONCURRENCY, 4)),
+  minConcurrency: Math.max(1, coerceInteger(process.env.EWS_MIN_CONCURRENCY, 1)),
+  mailboxCacheTtlMs: Math.max(0, coerceInteger(process.env.MAILBOX_CACHE_TTL_MS, 10 * 60 * 1000)),
+  quarantineFolder: (process.env.QUARANTINE_FOLDER || "Exchange Remover Quarantine").trim(),
+  quarantineHidden: process.env.QUARANTINE_FOLDER_HIDDEN !== "false",
+  attachmentScanLimit: Math.max(1, coerceInteger(process.env.ATTACHMENT_SCAN_LIMIT, 1000)),
+  evidenceFormat: EVIDENCE_FORMATS.includes(process.env.EVIDENCE_FORMAT) ? process.env.EVIDENCE_FORMAT : "directory"
 };
 
-const FOLDER_MAP = {
-  inbox: WellKnownFolderName.Inbox,
-  junkemail: WellKnownFolderName.JunkEmail,
-  deleteditems: WellKnownFolderName.DeletedItems,
-  sentitems: WellKnownFolderName.SentItems,
-  drafts: WellKnownFolderName.Drafts,
-  archive: WellKnownFolderName.ArchiveRoot
+const mergeContext = (context = {}, extra = {}) => ({ ...context, ...extra });
+
+// Delete runs executing in this process; a persisted run that is still marked
+// running but is not listed here was interrupted by a restart.
+const activeRuns = new Set();
+const activeRestores = new Set();
+
+// Every copy of a known message should be found wherever the user filed it,
+// so message-id lookups walk all mail folders unless folders are given.
+const resolveFolders = (provider, folders, internetMessageIds = []) => {
+  const fallbackFolders = internetMessageIds.length ? [ALL_MAIL_FOLDERS] : config.defaultFolders;
+  const targetFolders = Array.isArray(folders) && folders.length ? folders : fallbackFolders;
+  return provider.resolveFolders(targetFolders);
 };
 
-const coerceInteger = (value, fallback) => {
-  const parsed = Number.parseInt(value, 10);
-  return Number.isNaN(parsed) ? fallback : parsed;
+const mailboxCache = {
+  mailboxes: null,
+  refreshedAt: 0,
+  pending: null
 };
 
-const parseList = (value, fallback) => {
-  if (!value) {
-    return fallback;
+// The searchable-mailbox directory changes rarely but is needed by every run,
+// so it is cached for MAILBOX_CACHE_TTL_MS and concurrent lookups share one call.
+const getSearchableMailboxes = async (context = {}, { refresh = false } = {}) => {
+  const fresh =
+    mailboxCache.mailboxes && Date.now() - mailboxCache.refreshedAt < config.mailboxCacheTtlMs;
+
+  if (!refresh && fresh) {
+    return mailboxCache.mailboxes;
   }
 
-  return value
-    .split(",")
-    .map((entry) => entry.trim())
-    .filter(Boolean);
-};
+  if (!mailboxCache.pending) {
+    mailboxCache.pending = getMailProvider()
+      .listMailboxes(context)
+      .then((mailboxes) => {
+        mailboxCache.mailboxes = mailboxes;
+        mailboxCache.refreshedAt = Date.now();
+        logger.info({ requestId: context.requestId, count: mailboxes.length }, "Mailbox directory refreshed");
+        return mailboxes;
+      })
+      .finally(() => {
+        mailboxCache.pending = null;
+      });
+  }
 
-const config = {
-  ewsUrl: process.env.EWS_URL,
-  autodiscoverEmail: process.env.EWS_AUTODISCOVER_EMAIL,
-  username: process.env.EWS_USERNAME,
-  password: process.env.EWS_PASSWORD,
-  domain: process.env.EWS_DOMAIN,
-  version: (process.env.EWS_VERSION || "Exchange2016").toLowerCase(),
-  ignoreSsl: process.env.EWS_IGNORE_SSL === "true",
-  defaultFolders: parseList(process.env.DEFAULT_FOLDERS, ["Inbox", "JunkEmail"]),
-  maxPerMailbox: Math.max(1, coerceInteger(process.env.DEFAULT_MAX_RESULTS, 200)),
-  pageSize: Math.max(1, Math.min(coerceInteger(process.env.EWS_PAGE_SIZE, 50), 200)),
-  maxConcurrency: Math.max(1, coerceInteger(process.env.EWS_MAX_CONCURRENCY, 4))
+  return mailboxCache.pending;
 };
 
-const mergeContext = (context = {}, extra = {}) => ({ ...context, ...extra });
+const findDirectoryMailbox = async (smtpAddress, context = {}) => {
+  const target = String(smtpAddress || "").toLowerCase();
+  const mailbox = (await getSearchableMailboxes(context)).find((entry) => entry.smtpAddress.toLowerCase() === target);
 
-const sanitizeServiceConfig = () => ({
-  ewsUrl: config.ewsUrl,
-  autodiscoverEmail: config.autodiscoverEmail,
-  username: config.username,
-  domain: config.domain,
-  version: config.version,
-  ignoreSsl: config.ignoreSsl
-});
+  if (!mailbox) {
+    const error = createError(404, `Mailbox not found: ${smtpAddress}`);
+    error.expose = true;
+    throw error;
+  }
 
-const wrapExchangeError = (message, error, details = {}, status = 502) => {
-  const wrapped = createError(status, message);
-  wrapped.details = details;
-  wrapped.cause = error;
-  wrapped.expose = true;
-  return wrapped;
+  return mailbox;
 };
 
-const ensureCredentialsConfigured = () => {
-  if (!config.username || !config.password) {
-    const missing = [];
-    if (!config.username) missing.push("EWS_USERNAME");
-    if (!config.password) missing.push("EWS_PASSWORD");
+const refreshMailboxes = async (context = {}) => {
+  const mailboxes = await getSearchableMailboxes(context, { refresh: true });
+  return { mailboxes, refreshedAt: new Date(mailboxCache.refreshedAt).toISOString() };
+};
 
-    const error = createError(500, "EWS credentials are not configured");
-    error.details = { missing };
-    error.expose = true;
-    throw error;
+const expandGroups = async (groups = [], context = {}) => {
+  const provider = getMailProvider();
+  const members = new Set();
+
+  for (const group of groups) {
+    const addresses = await provider.expandGroup(group, mergeContext(context, { operation: "ExpandGroup" }));
+    addresses.forEach((address) => members.add(String(address).toLowerCase()));
   }
+
+  return members;
 };
 
-const resolveServiceVersion = () => SERVICE_VERSION_MAP[config.version] || ExchangeVersion.Exchange2016;
+// Narrows the directory to the requested include/exclude scope. Explicit
+// entries that match nothing are reported back rather than silently ignored.
+const resolveMailboxScope = async (mailboxes, filters, context = {}) => {
+  if (!hasMailboxScope(filters)) {
+    return { mailboxes, scope: null };
+  }
+
+  const requested = pickMailboxScope(filters);
+  const [includedMembers, excludedMembers] = await Promise.all([
+    expandGroups(requested.includeGroups, context),
+    expandGroups(requested.excludeGroups, context)
+  ]);
+  const scoped = applyMailboxScope(mailboxes, requested, { includedMembers, excludedMembers });
+  const scope = {
+    ...requested,
+    directorySize: mailboxes.length,
+    inScope: scoped.length,
+    unmatched: findUnmatchedEntries(mailboxes, requested.includeMailboxes)
+  };
 
-const createService = async (context = {}) => {
-  ensureCredentialsConfigured();
+  logger.info({ requestId: context.requestId, ...scope }, "Mailbox scope resolved");
 
-  if (!config.ewsUrl && !config.autodiscoverEmail) {
-    const error = createError(500, "Either EWS_URL or EWS_AUTODISCOVER_EMAIL must be supplied in the environment.");
-    error.details = { operation: "configuration" };
+  if (!scoped.length) {
+    const error = createError(400, "No mailboxes match the requested scope");
+    error.details = scope;
     error.expose = true;
     throw error;
   }
 
-  if (config.ignoreSsl) {
-    process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
-  }
+  return { mailboxes: scoped, scope };
+};
 
-  const operation = context.operation || "ExchangeService";
-  const sanitized = sanitizeServiceConfig();
+// Runs start at EWS_MAX_CONCURRENCY and back off when Exchange throttles.
+const createMailboxQueue = (context = {}) => {
+  const queue = new PQueue({ concurrency: config.maxConcurrency });
+  const throttle = createConcurrencyController(queue, {
+    min: Math.min(config.minConcurrency, config.maxConcurrency),
+    max: config.maxConcurrency,
+    context
+  });
+  return { queue, throttle };
+};
 
-  try {
-    const service = new ExchangeService(resolveServiceVersion());
+// Lets callers such as background jobs observe per-mailbox completion.
+const createProgressReporter = (context, total) => {
+  let done = 0;
+  context.onProgress?.({ total, done, result: null });
 
-    if (config.domain) {
-      service.Credentials = new WebCredentials(config.username, config.password, config.domain);
-    } else {
-      service.Credentials = new WebCredentials(config.username, config.password);
-    }
+  return (result) => {
+    done += 1;
+    context.onProgress?.({ total, done, result });
+    return result;
+  };
+};
 
-    if (config.ewsUrl) {
-      service.Url = new Uri(config.ewsUrl);
-    } else if (config.autodiscoverEmail) {
-      await service.AutodiscoverUrl(
-        config.autodiscoverEmail,
-        (url) => url && url.toLowerCase().startsWith("https://")
-      );
-    }
+const checkpointMailbox = async (run, mailbox, result, context = {}) => {
+  const entry = run.mailboxes[mailbox.smtpAddress];
+
+  if (result?.retries) {
+    entry.retries = (entry.retries || 0) + result.retries.total;
+  }
 
-    logger.debug({ requestId: context.requestId, operation, config: sanitized }, "Exchange service initialised");
-    return service;
+  if (result?.error) {
+    Object.assign(entry, { status: "failed", error: result.error });
+  } else {
+    Object.assign(entry, {
+      status: "done",
+      matched: result ? result.totalMatches : 0,
+      deleted: result ? result.deleted : 0,
+      recoverablePurged: result ? result.recoverablePurged : 0,
+      quarantined: result?.quarantined?.length ? result.quarantined : undefined,
+      removed: result?.removed?.length ? result.removed : undefined,
+      evidenceExported: result?.evidenceExported || undefined,
+      error: null
+    });
+  }
+  entry.completedAt = new Date().toISOString();
+
+  try {
+    await saveRun(run);
   } catch (error) {
     logger.error(
-      { error, requestId: context.requestId, operation, config: sanitized },
-      "Failed to initialise Exchange service"
+      { error, runId: run.id, mailbox: mailbox.smtpAddress, requestId: context.requestId },
+      "Failed to checkpoint delete run"
     );
-    throw wrapExchangeError("Failed to initialise Exchange Web Services client", error, {
-      ...sanitized,
-      operation
-    });
   }
+
+  return result;
 };
 
-const ensureFolder = (folder) => {
-  const normalized = folder.toLowerCase();
-  const resolved = FOLDER_MAP[normalized];
+const describeRun = (run) => {
+  const entries = Object.values(run.mailboxes);
+  const count = (status) => entries.filter((entry) => entry.status === status).length;
+  const interrupted = run.status === "running" && !activeRuns.has(run.id);
 
-  if (!resolved) {
-    const error = createError(400, `Unsupported folder specified: ${folder}`);
-    error.expose = true;
-    throw error;
-  }
+  return {
+    ...run,
+    status: interrupted ? "interrupted" : run.status,
+    progress: {
+      total: entries.length,
+      pending: count("pending"),
+      done: count("done"),
+      failed: count("failed"),
+      matched: entries.reduce((sum, entry) => sum + entry.matched, 0),
+      deleted: entries.reduce((sum, entry) => sum + entry.deleted, 0),
+      recoverablePurged: entries.reduce((sum, entry) => sum + (entry.recoverablePurged || 0), 0),
+      restored: entries.reduce((sum, entry) => sum + (entry.restored || 0), 0)
+    }
+  };
+};
 
-  return { name: folder, id: resolved };
-};
-
-const resolveFolders = (folders) => {
-  const targetFolders = Array.isArray(folders) && folders.length ? folders : config.defaultFolders;
-  return targetFolders.map(ensureFolder);
-};
-
-const propertySet = new PropertySet(BasePropertySet.IdOnly, [
-  EmailMessageSchema.Subject,
-  EmailMessageSchema.From,
-  EmailMessageSchema.Sender,
-  EmailMessageSchema.DateTimeReceived,
-  EmailMessageSchema.InternetMessageId,
-  EmailMessageSchema.HasAttachments,
-  EmailMessageSchema.Body,
-  EmailMessageSchema.Size
-]);
-
-propertySet.RequestedBodyType = BodyType.Text;
-
-const buildTransform = (mailbox, folder) => (item) => ({
-  id: item?.Id?.UniqueId,
-  changeKey: item?.Id?.ChangeKey,
-  subject: item?.Subject || "",
-  from: item?.From?.Address || null,
-  sender: item?.Sender?.Address || null,
-  receivedAt: item?.DateTimeReceived ? new Date(item.DateTimeReceived).toISOString() : null,
-  internetMessageId: item?.InternetMessageId || null,
-  hasAttachments: Boolean(item?.HasAttachments),
-  size: item?.Size ?? null,
-    bodyPreview: item?.Body?.Text ? item.Body.Text.substring(0, 500) : "",
-  mailbox,
-  folder
+const describeRunFilters = (run) => ({
+  senderEmail: run.filters.sender || (run.filters.senders || []).join(",") || null,
+  subjectMode: run.filters.subject ? "contains" : "none",
+  subjectValue: run.filters.subject || null,
+  receivedFrom: run.filters.receivedFrom || null,
+  receivedTo: run.filters.receivedTo || null
 });
 
-const findItemsInFolder = async (service, folderDescriptor, query, limit, mailbox, context = {}) => {
-  if (limit <= 0) {
-    return [];
+const appendAuditEntry = async (entry, context = {}) => {
+  try {
+    return await appendLogEntry(entry);
+  } catch (error) {
+    logger.error({ error, runId: entry.runId, requestId: context.requestId }, "Failed to persist audit log entry");
+    return null;
   }
+};
 
-  const { id: folderId, name: folderName } = folderDescriptor;
-  const items = [];
-  let view = new ItemView(Math.min(limit, config.pageSize));
-  view.PropertySet = propertySet;
-  view.Traversal = ItemTraversal.Shallow;
-  view.OrderBy.Add(EmailMessageSchema.DateTimeReceived, SortDirection.Descending);
-
-  const transform = buildTransform(mailbox, folderName);
+const countByFolder = (matches) => {
+  const counts = new Map();
+  matches.forEach((match) => counts.set(match.folder, (counts.get(match.folder) || 0) + 1));
+  return Array.from(counts, ([folder, count]) => ({ folder, matches: count }));
+};
 
-  try {
-    let results = await service.FindItems(folderId, query, view);
-    const appendResults = (findResults) => {
-      if (!findResults?.Items) {
-        return;
+// Per-entry totals for a senders list, including entries nothing matched.
+const countBySender = (senders, mailboxResults) => {
+  const counts = new Map(senders.map((entry) => [entry, { sender: entry, matches: 0, mailboxes: 0 }]));
+  mailboxResults.forEach((result) => {
+    const matched = new Set(result.matches.map((match) => match.matchedSender));
+    matched.forEach((entry) => {
+      if (counts.has(entry)) {
+        counts.get(entry).mailboxes += 1;
       }
+    });
+    result.matches.forEach(({ matchedSender }) => {
+      if (counts.has(matchedSender)) {
+        counts.get(matchedSender).matches += 1;
+      }
+    });
+  });
+  return Array.from(counts.values());
+};
 
-      findResults.Items.forEach((item) => {
-        if (items.length >= limit) {
-          return;
-        }
+// `archive` is "present", "none" or "unsupported" once an archive folder was
+// selected, and null otherwise.
+const summarizeArchive = (statuses, mailboxResults) => {
+  if (!statuses.size) {
+    return null;
+  }
 
-        items.push({
-          item,
-          metadata: transform(item)
-        });
-      });
-    };
+  const entries = Array.from(statuses);
+  return {
+    mailboxesWithArchive: entries.filter(([, status]) => status === "present").length,
+    mailboxesWithoutArchive: entries.filter(([, status]) => status === "none").map(([mailbox]) => mailbox),
+    unsupported: entries.some(([, status]) => status === "unsupported"),
+    totalMatches: mailboxResults.reduce((sum, mailbox) => sum + (mailbox.archiveMatches || 0), 0)
+  };
+};
+
+// Bulk selections (AllMailFolders, Archive) skip the quarantine folder so
+// quarantined items are not matched again; naming it explicitly still works.
+const isSkippedQuarantineFolder = (folder, selectedFolders, context = {}) => {
+  const target = String(context.quarantine?.folder || config.quarantineFolder).toLowerCase();
+  const name = folder.name.toLowerCase();
+
+  return (
+    (name === target || name === `${ARCHIVE_ROOT}/${target}`) &&
+    !selectedFolders.some((selected) => selected.name.toLowerCase() === name)
+  );
+};
+
+const fingerprintAttachments = async (session, entry, context = {}) => {
+  const { attachments } = await parseMessage(await session.getMimeContent(entry.ref, context));
+  return attachments.map(({ filename, contentType, size, sha256 }) => ({ filename, contentType, size, sha256 }));
+};
 
-    appendResults(results);
+// Attachments are fingerprinted when the caller asks for them or when an
+// attachment filter has to be applied locally; with a filter only messages
+// holding a matching attachment are kept.
+const inspectAttachments = async (session, items, context = {}) => {
+  const { matcher = null, fingerprint = false } = context.attachments || {};
 
-    while (results?.MoreAvailable && items.length < limit) {
-      const remaining = limit - items.length;
-      view = new ItemView(Math.min(remaining, config.pageSize));
-      view.PropertySet = propertySet;
-      view.Traversal = ItemTraversal.Shallow;
-      view.OrderBy.Add(EmailMessageSchema.DateTimeReceived, SortDirection.Descending);
-      view.Offset = results.NextPageOffset;
+  if (!matcher && !fingerprint) {
+    return items;
+  }
 
-      results = await service.FindItems(folderId, query, view);
-      appendResults(results);
+  const kept = [];
+  for (const item of items) {
+    if (!item.metadata.hasAttachments) {
+      if (!matcher) {
+        kept.push(item);
+      }
+      continue;
     }
 
-    return items.slice(0, limit);
-  } catch (error) {
-    logger.error(
-      { error, mailbox, folder: folderName, requestId: context.requestId },
-      "EWS FindItems call failed"
-    );
-    throw wrapExchangeError(
-      "Failed to search mailbox folder",
-      error,
-      { mailbox, folder: folderName, operation: context.operation || "FindItems" }
+    const attachments = (await fingerprintAttachments(session, item, context)).map((attachment) =>
+      matcher ? { ...attachment, matched: matcher(attachment) } : attachment
     );
+
+    if (!matcher || attachments.some((attachment) => attachment.matched)) {
+      kept.push({ ...item, metadata: { ...item.metadata, attachments } });
+    }
   }
+
+  return kept;
 };
 
-const impersonateMailbox = (service, mailbox) => {
-  service.ImpersonatedUserId = new ImpersonatedUserId(ConnectingIdType.SmtpAddress, mailbox);
+// The server-side search only finds the indicator hosts somewhere in the
+// body; a message is kept when one of its extracted links really matches.
+const matchUrls = (items, matcher) => {
+  if (!matcher) {
+    return items;
+  }
+
+  return items.flatMap((item) => {
+    const matchedUrls = (item.metadata.urls || []).filter(matcher);
+    return matchedUrls.length ? [{ ...item, metadata: { ...item.metadata, matchedUrls } }] : [];
+  });
 };
 
-const getSearchableMailboxes = async (context = {}) => {
-  const service = await createService(mergeContext(context, { operation: "GetSearchableMailboxes" }));
+// Server-side searches only narrow a senders list down to its domains, and
+// "from:badsite.com" also finds look-alikes; the matched entry is recorded so
+// the summary can count messages per sender.
+const matchSenders = (items, matcher) => {
+  if (!matcher) {
+    return items;
+  }
 
-  try {
-    const response = await service.GetSearchableMailboxes("");
+  return items.flatMap((item) => {
+    const matchedSender = matcher([item.metadata.from, item.metadata.sender]);
+    return matchedSender ? [{ ...item, metadata: { ...item.metadata, matchedSender } }] : [];
+  });
+};
 
-    if (!response?.SearchableMailboxes) {
-      return [];
-    }
+const matchMessageClasses = (items, matcher) =>
+  matcher ? items.filter((item) => matcher(item.metadata.itemClass)) : items;
 
-    return response.SearchableMailboxes.filter((entry) => entry.IsSearchable).map((entry) => ({
-      displayName: entry.DisplayName,
-      smtpAddress: entry.PrimarySmtpAddress,
-      isExternal: entry.IsExternalMailbox,
-      referenceId: entry.ReferenceId
-    }));
-  } catch (error) {
-    logger.error(
-      { error, requestId: context.requestId },
-      "Unable to enumerate searchable mailboxes"
-    );
-    throw wrapExchangeError("Unable to enumerate searchable mailboxes", error, {
-      operation: "GetSearchableMailboxes"
-    });
+// Transport headers are not searchable, so they are fetched per candidate
+// after the cheaper filters ran; the matched headers go into the results.
+const matchHeaders = async (session, items, matcher, context = {}) => {
+  if (!matcher) {
+    return items;
+  }
+
+  const kept = [];
+  for (const item of items) {
+    const matchedHeaders = matcher(await session.getHeaders(item.ref, context));
+    if (matchedHeaders) {
+      kept.push({ ...item, metadata: { ...item.metadata, matchedHeaders } });
+    }
   }
+
+  return kept;
 };
 
-const collectMatchesForMailbox = async (mailbox, folders, query, limit, context = {}) => {
-  const service = await createService(
-    mergeContext(context, { operation: "CollectMatches", mailbox: mailbox.smtpAddress })
+const collectFromMailbox = async (session, selectedFolders, query, limit, context = {}) => {
+  const entries = [];
+  const { folders: expanded, missing, archive = null } = await session.expandFolders(
+    selectedFolders,
+    mergeContext(context, { mailbox: session.mailbox })
   );
-  impersonateMailbox(service, mailbox.smtpAddress);
+  const folders = expanded.filter((folder) => !isSkippedQuarantineFolder(folder, selectedFolders, context));
 
-  const matches = [];
+  if (missing.length) {
+    logger.info(
+      { mailbox: session.mailbox, missing, requestId: context.requestId },
+      "Selected folders not present in mailbox"
+    );
+  }
+
+  // Locally filtered queries (attachments, links, senders, item classes, headers) scan
+  // up to ATTACHMENT_SCAN_LIMIT candidates per folder, since many server-side
+  // matches are dropped afterwards.
+  const urlMatcher = context.urlMatcher || null;
+  const senderMatcher = context.senderMatcher || null;
+  const messageClassMatcher = context.messageClassMatcher || null;
+  const headerMatcher = context.headerMatcher || null;
+  const filtered = Boolean(
+    context.attachments?.matcher || urlMatcher || senderMatcher || messageClassMatcher || headerMatcher
+  );
 
   for (const folder of folders) {
-    const items = await findItemsInFolder(
-      service,
+    const folderContext = mergeContext(context, { mailbox: session.mailbox, folder: folder.name });
+    const candidates = await session.findItems(
       folder,
       query,
-      limit - matches.length,
-      mailbox.smtpAddress,
-      mergeContext(context, { mailbox: mailbox.smtpAddress, folder: folder.name })
+      filtered ? Math.max(config.attachmentScanLimit, limit - entries.length) : limit - entries.length,
+      folderContext
+    );
+    const located = await matchHeaders(
+      session,
+      matchUrls(matchSenders(matchMessageClasses(candidates, messageClassMatcher), senderMatcher), urlMatcher),
+      headerMatcher,
+      folderContext
+    );
+    const items = (await inspectAttachments(session, located, folderContext)).slice(0, limit - entries.length);
+
+    entries.push(
+      ...items.map((item) =>
+        folder.recoverable || folder.archive
+          ? { ...item, recoverable: Boolean(folder.recoverable), archive: Boolean(folder.archive) }
+          : item
+      )
     );
 
-    items.forEach((entry) => {
-      matches.push(entry.metadata);
-    });
-
-    if (matches.length >= limit) {
+    if (entries.length >= limit) {
       break;
     }
   }
 
-  return matches;
+  return { entries, missingFolders: missing, archive };
 };
 
-const deleteForMailbox = async (mailbox, folders, query, limit, deleteMode, simulate, context = {}) => {
-  const service = await createService(
-    mergeContext(context, { operation: "DeleteForMailbox", mailbox: mailbox.smtpAddress })
+const collectMatchesForMailbox = async (mailbox, folders, query, limit, context = {}) => {
+  const session = await getMailProvider().openMailbox(
+    mailbox.smtpAddress,
+    mergeContext(context, { operation: "CollectMatches" })
   );
-  impersonateMailbox(service, mailbox.smtpAddress);
 
-  const matches = [];
-  const deletableIds = [];
+  try {
+    const { entries, missingFolders, archive } = await collectFromMailbox(session, folders, query, limit, context);
+    return {
+      matches: entries.map((entry) => entry.metadata),
+      archiveMatches: entries.filter((entry) => entry.archive).length,
+      missingFolders,
+      archive
+    };
+  } finally {
+    session.close();
+  }
+};
+
+const describeOriginal = (entry) => ({
+  internetMessageId: entry.metadata.internetMessageId || null,
+  originalItemId: entry.metadata.id,
+  originalFolder: entry.metadata.folder
+});
 
-  for (const folder of folders) {
-    const items = await findItemsInFolder(
-      service,
-      folder,
-      query,
-      limit - matches.length,
-      mailbox.smtpAddress,
-      mergeContext(context, { mailbox: mailbox.smtpAddress, folder: folder.name })
-    );
+// Quarantined items are moved instead of deleted. Each record keeps the
+// original folder and item id so a false positive can be put back.
+const quarantineEntries = async (session, entries, archive, context = {}) => {
+  if (!entries.length) {
+    return [];
+  }
 
-    items.forEach((entry) => {
-      matches.push(entry.metadata);
-      deletableIds.push(entry.item.Id);
-    });
+  const { folder: name, hidden } = context.quarantine || {
+    folder: config.quarantineFolder,
+    hidden: config.quarantineHidden
+  };
+  const folder = await session.ensureFolder({ name, hidden, archive }, context);
+  const movedIds = await session.moveItems(
+    entries.map((entry) => entry.ref),
+    folder,
+    context
+  );
 
-    if (matches.length >= limit) {
-      break;
-    }
+  return entries.map((entry, index) => ({
+    itemId: movedIds[index],
+    ...describeOriginal(entry),
+    quarantineFolder: folder.name,
+    archive
+  }));
+};
+
+// Evidence is captured before anything is removed; a message that cannot be
+// exported fails its mailbox, so nothing is deleted without a copy.
+const exportEvidence = async (session, entries, context = {}) => {
+  for (const entry of entries) {
+    const content = await session.getMimeContent(entry.ref, context);
+    await context.evidence.add({ mailbox: session.mailbox, ...describeOriginal(entry) }, content);
   }
 
-  if (!simulate && deletableIds.length) {
-    try {
-      await service.DeleteItems(
-        deletableIds,
+  return entries.length;
+};
+
+const deleteForMailbox = async (mailbox, folders, query, limit, deleteMode, simulate, context = {}) => {
+  const session = await getMailProvider().openMailbox(
+    mailbox.smtpAddress,
+    mergeContext(context, { operation: "DeleteForMailbox" })
+  );
+
+  try {
+    const { entries, missingFolders, archive } = await collectFromMailbox(session, folders, query, limit, context);
+    const matches = entries.map((entry) => entry.metadata);
+    const primary = entries.filter((entry) => !entry.recoverable && !entry.archive);
+    const archived = entries.filter((entry) => entry.archive);
+    const recoverable = entries.filter((entry) => entry.recoverable);
+    let primaryDeleted = 0;
+    let archiveDeleted = 0;
+    let quarantined = [];
+    let removed = [];
+    const evidenceExported =
+      !simulate && context.evidence ? await exportEvidence(session, entries, context) : 0;
+
+    if (!simulate && deleteMode === "quarantine") {
+      const primaryMoved = await quarantineEntries(session, primary, false, context);
+      const archiveMoved = await quarantineEntries(session, archived, true, context);
+      quarantined = [...primaryMoved, ...archiveMoved];
+      primaryDeleted = primaryMoved.length;
+      archiveDeleted = archiveMoved.length;
+    } else if (!simulate) {
+      primaryDeleted = await session.deleteItems(
+        primary.map((entry) => entry.ref),
         deleteMode,
-        SendCancellationsMode.SendToNone,
-        AffectedTaskOccurrence.AllOccurrences
+        context
       );
-    } catch (error) {
-      logger.error(
-        { error, mailbox: mailbox.smtpAddress, requestId: context.requestId },
-        "Failed to delete items via EWS"
+      archiveDeleted = archived.length
+        ? await session.deleteItems(
+            archived.map((entry) => entry.ref),
+            deleteMode,
+            context
+          )
+        : 0;
+
+      if (RESTORABLE_MODES.includes(deleteMode)) {
+        removed = [...primary, ...archived].map((entry) => ({
+          ...describeOriginal(entry),
+          archive: Boolean(entry.archive)
+        }));
+      }
+    }
+
+    // Copies already in Recoverable Items can only be purged, whatever the
+    // requested delete mode.
+    let recoverablePurged = 0;
+    if (!simulate && recoverable.length) {
+      recoverablePurged = await session.deleteItems(
+        recoverable.map((entry) => entry.ref),
+        "harddelete",
+        context
+      );
+      logger.warn(
+        { mailbox: session.mailbox, purged: recoverablePurged, runId: context.runId, requestId: context.requestId },
+        "RECOVERABLE ITEMS PURGED"
       );
-      throw wrapExchangeError("Failed to delete messages", error, {
-        mailbox: mailbox.smtpAddress,
-        operation: "DeleteItems"
-      });
     }
-  }
 
-  return {
-    matches,
-    deleted: simulate ? 0 : deletableIds.length
-  };
+    return {
+      matches,
+      archiveMatches: archived.length,
+      missingFolders,
+      archive,
+      deleted: primaryDeleted + archiveDeleted,
+      archiveDeleted,
+      recoverablePurged,
+      quarantined,
+      removed,
+      evidenceExported
+    };
+  } finally {
+    session.close();
+  }
 };
 
 const searchMessages = async (filters, context = {}) => {
   const {
+    internetMessageIds = [],
+    query: queryModel,
+    urlIndicators = [],
     sender,
+    senders = [],
+    recipients = [],
+    recipientFields,
+    messageClasses = [],
+    headers = [],
     subject,
     body,
     keywords,
     receivedFrom,
     receivedTo,
+    minSize,
+    maxSize,
     hasAttachments,
     importance,
     folders,
-    maxPerMailbox
+    maxPerMailbox,
+    fingerprintAttachments: fingerprint = true
   } = filters;
 
   logger.info(
     {
       requestId: context.requestId,
+      query: queryModel,
+      internetMessageIds,
+      urlIndicators,
       sender,
+      senders,
+      recipients,
+      headers,
       subject,
       receivedFrom,
       receivedTo,
-      folders
+      folders,
+      ...pickAttachmentFilter(filters),
+      ...pickMailboxScope(filters)
     },
     "Search request received"
   );
 
-  const mailboxes = await getSearchableMailboxes(context);
-  const resolvedFolders = resolveFolders(folders);
+  const provider = getMailProvider();
+  const { mailboxes, scope } = await resolveMailboxScope(await getSearchableMailboxes(context), filters, context);
+  const resolvedFolders = resolveFolders(provider, folders, internetMessageIds);
   const limit = Math.max(1, Math.min(maxPerMailbox || config.maxPerMailbox, 1000));
 
   if (!mailboxes.length) {
@@ -424,20 +656,61 @@ const searchMessages = async (filters, context = {}) => {
     };
   }
 
-  const query = buildAqsQuery({ sender, subject, body, keywords, receivedFrom, receivedTo, hasAttachments, importance });
-  const queue = new PQueue({ concurrency: config.maxConcurrency });
+  const query = provider.buildQuery({
+    query: queryModel,
+    internetMessageIds,
+    sender,
+    senderTerms: toSenderSearchTerms(senders),
+    recipients,
+    recipientFields,
+    subject,
+    body,
+    urlHosts: toIndicatorHosts(urlIndicators),
+    keywords,
+    receivedFrom,
+    receivedTo,
+    minSize,
+    maxSize,
+    hasAttachments: hasAttachmentFilter(filters) ? true : hasAttachments,
+    importance,
+    kind: toSearchKind(messageClasses)
+  });
+  const attachments = { matcher: createAttachmentMatcher(filters), fingerprint };
+  const urlMatcher = createUrlMatcher(urlIndicators);
+  const senderMatcher = createSenderMatcher(senders);
+  const messageClassMatcher = createMessageClassMatcher(messageClasses);
+  const headerMatcher = createHeaderMatcher(headers);
+  const { queue, throttle } = createMailboxQueue(context);
+  const reportProgress = createProgressReporter(context, mailboxes.length);
+  const archiveStatuses = new Map();
 
   const tasks = mailboxes.map((mailbox) =>
     queue.add(async () => {
+      const retryStats = createRetryStats();
+
       try {
-        const matches = await collectMatchesForMailbox(
+        const { matches, archiveMatches, missingFolders, archive } = await collectMatchesForMailbox(
           mailbox,
           resolvedFolders,
           query,
           limit,
-          mergeContext(context, { mailbox: mailbox.smtpAddress, operation: "SearchMessages" })
+          mergeContext(context, {
+            mailbox: mailbox.smtpAddress,
+            operation: "SearchMessages",
+            retryStats,
+            throttle,
+            attachments,
+            urlMatcher,
+            senderMatcher,
+            messageClassMatcher,
+            headerMatcher
+          })
         );
 
+        if (archive) {
+          archiveStatuses.set(mailbox.smtpAddress, archive);
+        }
+
         if (!matches.length) {
           return null;
         }
@@ -446,6 +719,12 @@ const searchMessages = async (filters, context = {}) => {
           mailbox: mailbox.smtpAddress,
           displayName: mailbox.displayName,
           totalMatches: matches.length,
+          primaryMatches: matches.length - archiveMatches,
+          archiveMatches,
+          archive,
+          folderMatches: countByFolder(matches),
+          missingFolders,
+          retries: retryStats,
           matches
         };
       } catch (error) {
@@ -457,10 +736,11 @@ const searchMessages = async (filters, context = {}) => {
           error: error.message,
           mailbox: mailbox.smtpAddress,
           displayName: mailbox.displayName,
+          retries: retryStats,
           details: error.details
         };
       }
-    })
+    }).then(reportProgress)
   );
 
   const results = await Promise.all(tasks);
@@ -487,7 +767,11 @@ const searchMessages = async (filters, context = {}) => {
     summary: {
       totalMailboxesScanned: mailboxes.length,
       mailboxesWithMatches: mailboxResults.length,
-      totalMessages
+      totalMessages,
+      concurrency: throttle.snapshot(),
+      scope,
+      archive: summarizeArchive(archiveStatuses, mailboxResults),
+      senderMatches: senders.length ? countBySender(senders, mailboxResults) : undefined
     },
     query,
     results: mailboxResults.sort((a, b) => a.mailbox.localeCompare(b.mailbox)),
@@ -497,37 +781,74 @@ const searchMessages = async (filters, context = {}) => {
 
 const deleteMessages = async (filters, context = {}) => {
   const {
+    internetMessageIds = [],
+    query: queryModel,
+    urlIndicators = [],
     sender,
+    senders = [],
+    recipients = [],
+    recipientFields,
+    messageClasses = [],
+    headers = [],
     subject,
     body,
     receivedFrom,
     receivedTo,
+    minSize,
+    maxSize,
     folders,
     maxPerMailbox,
-    deleteMode = "softDelete",
-    simulate = true
+    deleteMode = getDeletePolicy().defaultMode,
+    simulate = true,
+    confirmRecoverableItemsPurge = false,
+    quarantineFolder,
+    exportEvidence: captureEvidence = false,
+    evidenceFormat
   } = filters;
 
   logger.info(
     {
       requestId: context.requestId,
+      query: queryModel,
+      internetMessageIds,
+      urlIndicators,
       sender,
+      senders,
+      recipients,
+      headers,
       subject,
       receivedFrom,
       receivedTo,
       folders,
       deleteMode,
-      simulate
+      simulate,
+      ...pickAttachmentFilter(filters),
+      ...pickMailboxScope(filters)
     },
     "Delete request received"
   );
 
-  const mailboxes = await getSearchableMailboxes(context);
-  const resolvedFolders = resolveFolders(folders);
-  const limit = Math.max(1, Math.min(maxPerMailbox || config.maxPerMailbox, 2000));
+  assertDeleteModeAllowed(deleteMode);
+  resolveFolders(getMailProvider(), folders, internetMessageIds);
+  const recoverableFolders = pickRecoverableFolders(folders);
+
+  if (recoverableFolders.length && !simulate && !confirmRecoverableItemsPurge) {
+    const error = createError(
+      400,
+      "Purging Recoverable Items is irreversible and requires confirmRecoverableItemsPurge"
+    );
+    error.details = { recoverableFolders };
+    error.expose = true;
+    throw error;
+  }
+
+  if (recoverableFolders.length && !simulate) {
+    assertHardDeleteAllowed("Purging Recoverable Items");
+  }
+
+  const { mailboxes, scope } = await resolveMailboxScope(await getSearchableMailboxes(context), filters, context);
   const modeKey = deleteMode.toLowerCase();
-  const mode = DELETE_MODE_MAP[modeKey] || DeleteMode.SoftDelete;
-  const effectiveModeKey = DELETE_MODE_MAP[modeKey] ? modeKey : "softdelete";
+  const effectiveModeKey = DELETE_MODES.includes(modeKey) ? modeKey : "softdelete";
 
   if (!mailboxes.length) {
     return {
@@ -545,22 +866,234 @@ const deleteMessages = async (filters, context = {}) => {
     };
   }
 
-  const query = buildAqsQuery({ sender, subject, body, receivedFrom, receivedTo });
-  const queue = new PQueue({ concurrency: config.maxConcurrency });
+  const run = {
+    id: randomUUID(),
+    requestId: context.requestId,
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    status: "running",
+    filters: {
+      query: queryModel,
+      internetMessageIds,
+      urlIndicators,
+      sender,
+      senders,
+      recipients,
+      recipientFields,
+      subject,
+      body,
+      receivedFrom,
+      receivedTo,
+      minSize,
+      maxSize,
+      messageClasses,
+      headers,
+      folders,
+      maxPerMailbox,
+      ...pickAttachmentFilter(filters),
+      ...pickMailboxScope(filters)
+    },
+    scope,
+    deleteMode: effectiveModeKey,
+    simulate,
+    // Live runs carry the two users of their approval into the audit log.
+    approval: context.approval || null,
+    requestedBy: context.approval?.requestedBy || context.user || null,
+    recoverableItemsPurge: recoverableFolders.length > 0 && !simulate,
+    quarantine:
+      effectiveModeKey === "quarantine"
+        ? { folder: quarantineFolder || config.quarantineFolder, hidden: config.quarantineHidden }
+        : null,
+    evidence: captureEvidence && !simulate ? { format: evidenceFormat || config.evidenceFormat, exports: [] } : null,
+    mailboxes: Object.fromEntries(
+      mailboxes.map((mailbox) => [
+        mailbox.smtpAddress,
+        { displayName: mailbox.displayName, status: "pending", matched: 0, deleted: 0, error: null, completedAt: null }
+      ])
+    )
+  };
+
+  // Only a run that actually starts uses up its approval.
+  if (context.approval) {
+    consumeApproval(context.approval.id, "delete", context.user, { requestId: context.requestId });
+  }
+
+  if (run.recoverableItemsPurge) {
+    logger.warn(
+      { runId: run.id, requestId: context.requestId, sender, recoverableFolders, mailboxes: mailboxes.length },
+      "RECOVERABLE ITEMS PURGE confirmed"
+    );
+  }
+
+  return executeDeleteRun(run, mailboxes, mergeContext(context, { runId: run.id }));
+};
+
+const finalizeEvidence = async (run, evidence, context = {}) => {
+  let evidenceExport = null;
+
+  try {
+    evidenceExport = await evidence.finalize();
+    run.evidence.exports = [...(run.evidence.exports || []), evidenceExport];
+  } catch (error) {
+    logger.error({ error, runId: run.id, requestId: context.requestId }, "Failed to finalize evidence export");
+    run.evidence.error = error.message;
+  }
+
+  await saveRun(run).catch((error) => {
+    logger.error({ error, runId: run.id, requestId: context.requestId }, "Failed to persist delete run");
+  });
+  return evidenceExport;
+};
+
+const appendDeleteLog = (run, data, startedAt, evidenceExport, context = {}) =>
+  appendAuditEntry(
+    {
+      timestamp: startedAt,
+      requestId: context.requestId,
+      action: "delete",
+      mode: run.simulate ? "simulation" : LOG_MODES[run.deleteMode],
+      runId: run.id,
+      ...describeRunFilters(run),
+      simulate: run.simulate,
+      status: run.status,
+      completedAt: run.completedAt,
+      durationMs: new Date(run.completedAt).getTime() - new Date(startedAt).getTime(),
+      deleted: data.summary.totalDeleted,
+      evidence: evidenceExport,
+      affectedMailboxes: data.results.filter((result) => result.deleted).map((result) => result.mailbox),
+      senderMatches: data.summary.senderMatches,
+      failedMailboxes: data.failures.map((failure) => failure.mailbox),
+      // A resume is its caller's action; the approval's users are only
+      // credited with the run they started.
+      approvalId: run.approval?.id || null,
+      requestedBy: run.resumeCount ? null : run.requestedBy || null,
+      approvedBy: run.resumeCount ? null : run.approval?.approvedBy || null,
+      resumedBy: run.resumeCount ? context.user || null : null,
+      requestPayload: {
+        runId: run.id,
+        ...run.filters,
+        deleteMode: run.deleteMode,
+        simulate: run.simulate,
+        exportEvidence: Boolean(run.evidence),
+        resumeCount: run.resumeCount || 0
+      }
+    },
+    context
+  );
+
+// Each execution of a run (the first one and every resume) writes its own
+// evidence export, since a finished zip cannot be appended to.
+const executeDeleteRun = async (run, mailboxes, context = {}) => {
+  activeRuns.add(run.id);
+  const startedAt = new Date().toISOString();
+
+  try {
+    const exportName = run.resumeCount ? `${run.id}-resume-${run.resumeCount}` : run.id;
+    const evidence = run.evidence ? await createEvidenceWriter(exportName, run.evidence.format) : null;
+    await saveRun(run);
+
+    const data = await processDeleteRun(run, mailboxes, mergeContext(context, { evidence }));
+    const evidenceExport = evidence ? await finalizeEvidence(run, evidence, context) : null;
+    const logEntry = await appendDeleteLog(run, data, startedAt, evidenceExport, context);
+
+    return { ...data, summary: { ...data.summary, evidence: run.evidence }, logEntry };
+  } finally {
+    activeRuns.delete(run.id);
+  }
+};
+
+const processDeleteRun = async (run, mailboxes, context = {}) => {
+  const {
+    internetMessageIds = [],
+    query: queryModel,
+    urlIndicators = [],
+    sender,
+    senders = [],
+    recipients = [],
+    recipientFields,
+    messageClasses = [],
+    headers = [],
+    subject,
+    body,
+    receivedFrom,
+    receivedTo,
+    minSize,
+    maxSize,
+    folders,
+    maxPerMailbox
+  } = run.filters;
+  const { deleteMode: effectiveModeKey, simulate } = run;
+
+  const provider = getMailProvider();
+  const resolvedFolders = resolveFolders(provider, folders, internetMessageIds);
+  const limit = Math.max(1, Math.min(maxPerMailbox || config.maxPerMailbox, 2000));
+  const query = provider.buildQuery({
+    query: queryModel,
+    internetMessageIds,
+    sender,
+    senderTerms: toSenderSearchTerms(senders),
+    recipients,
+    recipientFields,
+    subject,
+    body,
+    urlHosts: toIndicatorHosts(urlIndicators),
+    receivedFrom,
+    receivedTo,
+    minSize,
+    maxSize,
+    hasAttachments: hasAttachmentFilter(run.filters) ? true : undefined,
+    kind: toSearchKind(messageClasses)
+  });
+  const attachments = { matcher: createAttachmentMatcher(run.filters), fingerprint: false };
+  const urlMatcher = createUrlMatcher(urlIndicators);
+  const senderMatcher = createSenderMatcher(senders);
+  const messageClassMatcher = createMessageClassMatcher(messageClasses);
+  const headerMatcher = createHeaderMatcher(headers);
+  const { queue, throttle } = createMailboxQueue(context);
+  const reportProgress = createProgressReporter(context, mailboxes.length);
+  const archiveStatuses = new Map();
 
   const tasks = mailboxes.map((mailbox) =>
     queue.add(async () => {
+      const retryStats = createRetryStats();
+
       try {
-        const { matches, deleted } = await deleteForMailbox(
+        const {
+          matches,
+          archiveMatches,
+          missingFolders,
+          archive,
+          deleted,
+          archiveDeleted,
+          recoverablePurged,
+          quarantined,
+          removed,
+          evidenceExported
+        } = await deleteForMailbox(
           mailbox,
           resolvedFolders,
           query,
           limit,
-          mode,
+          effectiveModeKey,
           simulate,
-          mergeContext(context, { mailbox: mailbox.smtpAddress, operation: "DeleteMessages" })
+          mergeContext(context, {
+            mailbox: mailbox.smtpAddress,
+            operation: "DeleteMessages",
+            retryStats,
+            throttle,
+            quarantine: run.quarantine || null,
+            attachments,
+            urlMatcher,
+            senderMatcher,
+            messageClassMatcher,
+            headerMatcher
+          })
         );
 
+        if (archive) {
+          archiveStatuses.set(mailbox.smtpAddress, archive);
+        }
+
         if (!matches.length) {
           return null;
         }
@@ -569,8 +1102,19 @@ const deleteMessages = async (filters, context = {}) => {
           mailbox: mailbox.smtpAddress,
           displayName: mailbox.displayName,
           totalMatches: matches.length,
+          primaryMatches: matches.length - archiveMatches,
+          archiveMatches,
+          archive,
           deleted,
+          archiveDeleted,
+          recoverablePurged,
+          quarantined,
+          removed,
+          evidenceExported,
+          retries: retryStats,
           folders: [...new Set(matches.map((match) => match.folder))],
+          folderMatches: countByFolder(matches),
+          missingFolders,
           matches
         };
       } catch (error) {
@@ -582,10 +1126,13 @@ const deleteMessages = async (filters, context = {}) => {
           error: error.message,
           mailbox: mailbox.smtpAddress,
           displayName: mailbox.displayName,
+          retries: retryStats,
           details: error.details
         };
       }
     })
+      .then((result) => checkpointMailbox(run, mailbox, result, context))
+      .then(reportProgress)
   );
 
   const results = await Promise.all(tasks);
@@ -593,6 +1140,7 @@ const deleteMessages = async (filters, context = {}) => {
   const mailboxResults = [];
   const failures = [];
   let totalDeleted = 0;
+  let totalRecoverablePurged = 0;
 
   results.forEach((result) => {
     if (!result) {
@@ -605,19 +1153,36 @@ const deleteMessages = async (filters, context = {}) => {
     }
 
     totalDeleted += result.deleted;
+    totalRecoverablePurged += result.recoverablePurged;
     mailboxResults.push(result);
   });
 
   const totalMatches = mailboxResults.reduce((sum, mailbox) => sum + mailbox.totalMatches, 0);
 
+  run.status = Object.values(run.mailboxes).some((entry) => entry.status !== "done")
+    ? "completed_with_failures"
+    : "completed";
+  run.completedAt = new Date().toISOString();
+  await saveRun(run).catch((error) => {
+    logger.error({ error, runId: run.id, requestId: context.requestId }, "Failed to persist delete run");
+  });
+
   return {
+    runId: run.id,
     summary: {
       totalMailboxesScanned: mailboxes.length,
       mailboxesWithMatches: mailboxResults.length,
       totalMatches,
       totalDeleted,
+      totalRecoverablePurged,
+      recoverableItemsPurge: Boolean(run.recoverableItemsPurge),
+      quarantine: run.quarantine || null,
       mode: effectiveModeKey,
-      simulate
+      simulate,
+      concurrency: throttle.snapshot(),
+      scope: run.scope || null,
+      archive: summarizeArchive(archiveStatuses, mailboxResults),
+      senderMatches: senders.length ? countBySender(senders, mailboxResults) : undefined
     },
     query,
     results: mailboxResults.sort((a, b) => a.mailbox.localeCompare(b.mailbox)),
@@ -625,10 +1190,450 @@ const deleteMessages = async (filters, context = {}) => {
   };
 };
 
+// Only mailboxes in the searchable directory can be opened this way.
+const fetchMessageMime = async (smtpAddress, itemId, context = {}) => {
+  const mailbox = await findDirectoryMailbox(smtpAddress, context);
+  const session = await getMailProvider().openMailbox(
+    mailbox.smtpAddress,
+    mergeContext(context, { operation: "GetMessage" })
+  );
+
+  try {
+    const { ref, metadata } = await session.getItem(itemId, context);
+    const content = await session.getMimeContent(ref, context);
+    return { metadata, content };
+  } finally {
+    session.close();
+  }
+};
+
+const getMessageDetail = async (smtpAddress, itemId, context = {}) => {
+  const { metadata, content } = await fetchMessageMime(smtpAddress, itemId, context);
+  return { ...metadata, ...(await parseMessage(content)) };
+};
+
+const getMessageMime = async (smtpAddress, itemId, context = {}) => {
+  const { metadata, content } = await fetchMessageMime(smtpAddress, itemId, context);
+  return { content, fileName: `${toFileName(metadata.mailbox, metadata.internetMessageId, metadata.id)}.eml` };
+};
+
+const listDeleteRuns = async () => {
+  const runs = await listRuns({ limit: 100 });
+  return runs.map(describeRun);
+};
+
+const getDeleteRun = async (runId) => {
+  const run = await readRun(runId);
+
+  if (!run) {
+    const error = createError(404, `Delete run not found: ${runId}`);
+    error.expose = true;
+    throw error;
+  }
+
+  return describeRun(run);
+};
+
+const resumeDeleteRun = async (runId, context = {}) => {
+  if (activeRuns.has(runId) || activeRestores.has(runId)) {
+    const error = createError(409, "Delete run is still in progress");
+    error.expose = true;
+    throw error;
+  }
+
+  activeRuns.add(runId);
+
+  let run;
+  let remaining;
+  try {
+    run = await readRun(runId);
+
+    if (!run) {
+      const error = createError(404, `Delete run not found: ${runId}`);
+      error.expose = true;
+      throw error;
+    }
+
+    remaining = Object.entries(run.mailboxes)
+      .filter(([, entry]) => entry.status !== "done")
+      .map(([smtpAddress, entry]) => ({ smtpAddress, displayName: entry.displayName }));
+
+    if (!remaining.length) {
+      const error = createError(409, "Delete run has no unfinished mailboxes");
+      error.expose = true;
+      throw error;
+    }
+
+    if (!run.simulate) {
+      assertMayResume(run, context.user);
+    }
+
+    // The policy may have been tightened since the run started.
+    assertDeleteModeAllowed(run.deleteMode);
+    if (run.recoverableItemsPurge) {
+      assertHardDeleteAllowed("Purging Recoverable Items");
+    }
+  } finally {
+    activeRuns.delete(runId);
+  }
+
+  logger.info(
+    {
+      requestId: context.requestId,
+      runId,
+      remaining: remaining.length,
+      deleteMode: run.deleteMode,
+      simulate: run.simulate
+    },
+    "Resuming delete run"
+  );
+
+  remaining.forEach(({ smtpAddress }) => {
+    Object.assign(run.mailboxes[smtpAddress], { status: "pending", error: null, completedAt: null });
+  });
+  run.status = "running";
+  run.completedAt = null;
+  run.resumedAt = new Date().toISOString();
+  run.resumeCount = (run.resumeCount || 0) + 1;
+
+  const data = await executeDeleteRun(run, remaining, mergeContext(context, { runId }));
+  return { ...data, resumed: true };
+};
+
+// Quarantined items are fetched by their recorded id. Soft-deleted and moved
+// items get new ids, so they are found again by Internet Message-ID in the
+// folder the delete mode left them in.
+const locateRemovedItems = async (session, records, run, query, context = {}) => {
+  const located = [];
+
+  if (run.deleteMode === "quarantine") {
+    for (const record of records) {
+      try {
+        const { ref } = await session.getItem(record.itemId, context);
+        located.push({ record, ref });
+      } catch (error) {
+        logger.warn(
+          { mailbox: session.mailbox, itemId: record.itemId, runId: run.id, requestId: context.requestId },
+          "Quarantined message no longer present"
+        );
+      }
+    }
+
+    return located;
+  }
+
+  const provider = getMailProvider();
+
+  for (const archive of [false, true]) {
+    const wanted = records.filter((record) => record.archive === archive && record.internetMessageId);
+    const folder = wanted.length ? provider.deletionFolder(run.deleteMode, archive) : null;
+
+    if (!folder) {
+      continue;
+    }
+
+    const items = await session.findItems(
+      folder,
+      query,
+      Math.min(wanted.length + config.maxPerMailbox, 2000),
+      mergeContext(context, { folder: folder.name })
+    );
+    const refsByMessageId = new Map();
+    items.forEach((item) => {
+      const key = item.metadata.internetMessageId;
+      refsByMessageId.set(key, [...(refsByMessageId.get(key) || []), item.ref]);
+    });
+
+    wanted.forEach((record) => {
+      const ref = refsByMessageId.get(record.internetMessageId)?.shift();
+      if (ref) {
+        located.push({ record, ref });
+      }
+    });
+  }
+
+  return located;
+};
+
+const restoreForMailbox = async (smtpAddress, records, run, query, context = {}) => {
+  const provider = getMailProvider();
+  const session = await provider.openMailbox(smtpAddress, mergeContext(context, { operation: "RestoreForMailbox" }));
+
+  try {
+    const located = await locateRemovedItems(session, records, run, query, context);
+    const byFolder = new Map();
+    located.forEach((entry) => {
+      const key = `${entry.record.archive}:${entry.record.originalFolder}`;
+      byFolder.set(key, [...(byFolder.get(key) || []), entry]);
+    });
+
+    const missingFolders = [];
+    let restored = 0;
+
+    for (const entries of byFolder.values()) {
+      const { originalFolder } = entries[0].record;
+      const {
+        folders: [target]
+      } = await session.expandFolders(provider.resolveFolders([originalFolder]), context);
+
+      if (!target) {
+        missingFolders.push(originalFolder);
+        continue;
+      }
+
+      const movedIds = await session.moveItems(
+        entries.map((entry) => entry.ref),
+        target,
+        context
+      );
+      const restoredAt = new Date().toISOString();
+      entries.forEach(({ record }, index) => Object.assign(record, { restoredAt, restoredItemId: movedIds[index] }));
+      restored += entries.length;
+    }
+
+    return { restored, notFound: records.length - located.length, missingFolders };
+  } finally {
+    session.close();
+  }
+};
+
+const appendRestoreLog = (run, restore, results, context = {}) =>
+  appendAuditEntry(
+    {
+      timestamp: restore.startedAt,
+      requestId: context.requestId,
+      action: "restore",
+      mode: "restore",
+      runId: run.id,
+      restoreId: restore.id,
+      deleteMode: run.deleteMode,
+      ...describeRunFilters(run),
+      simulate: false,
+      status: restore.status,
+      completedAt: restore.completedAt,
+      durationMs: new Date(restore.completedAt).getTime() - new Date(restore.startedAt).getTime(),
+      restored: restore.restored,
+      notFound: restore.notFound,
+      restoredMailboxes: results.map(({ mailbox, restored, notFound, error }) => ({
+        mailbox,
+        restored,
+        notFound,
+        error
+      })),
+      affectedMailboxes: results.filter((result) => result.restored).map((result) => result.mailbox),
+      approvalId: run.approval?.id || null,
+      restoredBy: restore.restoredBy,
+      requestPayload: { runId: run.id }
+    },
+    context
+  );
+
+// Moves the messages a delete run removed back to the folders they were
+// found in. Restored records are marked, so running it again only retries
+// what is still missing.
+const restoreDeleteRun = async (runId, context = {}) => {
+  if (activeRuns.has(runId) || activeRestores.has(runId)) {
+    const error = createError(409, "Delete run is still in progress");
+    error.expose = true;
+    throw error;
+  }
+
+  activeRestores.add(runId);
+
+  try {
+    const run = await readRun(runId);
+
+    if (!run) {
+      const error = createError(404, `Delete run not found: ${runId}`);
+      error.expose = true;
+      throw error;
+    }
+
+    if (run.simulate || !RESTORABLE_MODES.includes(run.deleteMode)) {
+      const error = createError(
+        409,
+        run.simulate ? "Simulated delete runs have nothing to restore" : "Hard-deleted messages cannot be restored"
+      );
+      error.expose = true;
+      throw error;
+    }
+
+    assertMayRestore(run, context.user);
+
+    const recordKey = run.deleteMode === "quarantine" ? "quarantined" : "removed";
+    const pending = Object.entries(run.mailboxes)
+      .map(([smtpAddress, entry]) => ({
+        smtpAddress,
+        entry,
+        records: (entry[recordKey] || []).filter((record) => !record.restoredAt)
+      }))
+      .filter(({ records }) => records.length);
+
+    if (!pending.length) {
+      const error = createError(409, "Delete run has no recorded messages left to restore");
+      error.expose = true;
+      throw error;
+    }
+
+    const restore = {
+      id: randomUUID(),
+      requestId: context.requestId,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      status: "running",
+      mailboxes: pending.length,
+      restored: 0,
+      notFound: 0,
+      restoredBy: context.user || null
+    };
+    run.restores = [...(run.restores || []), restore];
+    await saveRun(run);
+
+    logger.info(
+      {
+        requestId: context.requestId,
+        runId,
+        restoreId: restore.id,
+        mailboxes: pending.length,
+        deleteMode: run.deleteMode
+      },
+      "Restoring delete run"
+    );
+
+    const {
+      query: queryModel,
+      internetMessageIds,
+      urlIndicators,
+      sender,
+      senders,
+      recipients,
+      recipientFields,
+      subject,
+      body,
+      receivedFrom,
+      receivedTo,
+      minSize,
+      maxSize,
+      messageClasses
+    } = run.filters;
+    const query = getMailProvider().buildQuery({
+      query: queryModel,
+      internetMessageIds,
+      sender,
+      senderTerms: toSenderSearchTerms(senders),
+      recipients,
+      recipientFields,
+      subject,
+      body,
+      urlHosts: toIndicatorHosts(urlIndicators),
+      receivedFrom,
+      receivedTo,
+      minSize,
+      maxSize,
+      hasAttachments: hasAttachmentFilter(run.filters) ? true : undefined,
+      kind: toSearchKind(messageClasses)
+    });
+    const { queue, throttle } = createMailboxQueue(context);
+    const reportProgress = createProgressReporter(context, pending.length);
+
+    const tasks = pending.map(({ smtpAddress, entry, records }) =>
+      queue
+        .add(async () => {
+          const retryStats = createRetryStats();
+
+          try {
+            const { restored, notFound, missingFolders } = await restoreForMailbox(
+              smtpAddress,
+              records,
+              run,
+              query,
+              mergeContext(context, { mailbox: smtpAddress, operation: "RestoreMessages", retryStats, throttle })
+            );
+
+            return {
+              mailbox: smtpAddress,
+              displayName: entry.displayName,
+              requested: records.length,
+              restored,
+              notFound,
+              missingFolders,
+              retries: retryStats
+            };
+          } catch (error) {
+            logger.error(
+              { error, mailbox: smtpAddress, runId, requestId: context.requestId },
+              "Unable to restore messages for mailbox"
+            );
+            return {
+              error: error.message,
+              mailbox: smtpAddress,
+              displayName: entry.displayName,
+              retries: retryStats,
+              details: error.details
+            };
+          }
+        })
+        .then(async (result) => {
+          entry.restored = entry[recordKey].filter((record) => record.restoredAt).length;
+          await saveRun(run).catch((error) => {
+            logger.error(
+              { error, runId, mailbox: smtpAddress, requestId: context.requestId },
+              "Failed to checkpoint restore"
+            );
+          });
+          return result;
+        })
+        .then(reportProgress)
+    );
+
+    const results = await Promise.all(tasks);
+    const mailboxResults = results.filter((result) => !result.error);
+    const failures = results.filter((result) => result.error);
+
+    Object.assign(restore, {
+      status: failures.length ? "completed_with_failures" : "completed",
+      completedAt: new Date().toISOString(),
+      restored: mailboxResults.reduce((sum, result) => sum + result.restored, 0),
+      notFound: mailboxResults.reduce((sum, result) => sum + result.notFound, 0),
+      failed: failures.length
+    });
+    await saveRun(run).catch((error) => {
+      logger.error({ error, runId, requestId: context.requestId }, "Failed to persist restore");
+    });
+
+    const logEntry = await appendRestoreLog(run, restore, results, context);
+
+    return {
+      runId,
+      restoreId: restore.id,
+      summary: {
+        totalMailboxes: pending.length,
+        totalRestored: restore.restored,
+        totalNotFound: restore.notFound,
+        failed: failures.length,
+        mode: run.deleteMode,
+        concurrency: throttle.snapshot()
+      },
+      results: mailboxResults.sort((a, b) => a.mailbox.localeCompare(b.mailbox)),
+      failures,
+      logEntry
+    };
+  } finally {
+    activeRestores.delete(runId);
+  }
+};
+
 module.exports = {
   searchMessages,
   deleteMessages,
-  listMailboxes: (context) => getSearchableMailboxes(context)
+  listDeleteRuns,
+  getDeleteRun,
+  resumeDeleteRun,
+  restoreDeleteRun,
+  getMessageDetail,
+  getMessageMime,
+  listMailboxes: (context) => getSearchableMailboxes(context),
+  refreshMailboxes
 };
 
 
@@ -0,0 +1,149 @@
+const { randomUUID } = require("crypto");
+const createError = require("http-errors");
+
+const { searchMessages, deleteMessages, resumeDeleteRun, restoreDeleteRun } = require("./exchangeService");
+const { coerceInteger } = require("../utils/env");
+const logger = require("../utils/logger");
+
+const JOB_RUNNERS = {
+  search: searchMessages,
+  delete: deleteMessages,
+  resume: ({ runId }, context) => resumeDeleteRun(runId, context),
+  restore: ({ runId }, context) => restoreDeleteRun(runId, context)
+};
+
+const config = {
+  retentionMs: Math.max(60000, coerceInteger(process.env.JOB_RETENTION_MS, 6 * 60 * 60 * 1000))
+};
+
+const jobs = new Map();
+
+const pruneExpiredJobs = () => {
+  const cutoff = Date.now() - config.retentionMs;
+
+  jobs.forEach((job, id) => {
+    if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+      jobs.delete(id);
+    }
+  });
+};
+
+const toJobError = (error) => {
+  const status = error.status || error.statusCode || 500;
+  const expose = typeof error.expose === "boolean" ? error.expose : status < 500;
+
+  return {
+    message: expose ? error.message || "Unexpected server error" : "Unexpected server error",
+    status,
+    details: expose ? error.details : undefined
+  };
+};
+
+const recordProgress = (job, { total, done, result }) => {
+  job.progress = { total, done };
+
+  if (!result) {
+    return;
+  }
+
+  if (result.error) {
+    job.failures.push(result);
+  } else {
+    job.results.push(result);
+  }
+};
+
+const serializeJob = (job) => {
+  const finished = job.status === "completed";
+
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    requestId: job.requestId,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    progress: job.progress,
+    results: finished ? job.result.results : job.results,
+    failures: finished ? job.result.failures : job.failures,
+    result: finished ? job.result : null,
+    error: job.error
+  };
+};
+
+const runJob = async (job, filters) => {
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+
+  try {
+    job.result = await JOB_RUNNERS[job.type](filters, {
+      requestId: job.requestId,
+      jobId: job.id,
+      user: job.user,
+      approval: job.approval,
+      onProgress: (update) => recordProgress(job, update)
+    });
+    job.status = "completed";
+    logger.info({ jobId: job.id, requestId: job.requestId, type: job.type }, "Job completed");
+  } catch (error) {
+    job.status = "failed";
+    job.error = toJobError(error);
+    logger.error({ error, jobId: job.id, requestId: job.requestId, type: job.type }, "Job failed");
+  } finally {
+    job.completedAt = new Date().toISOString();
+  }
+};
+
+const createJob = (type, filters, context = {}) => {
+  if (!JOB_RUNNERS[type]) {
+    const error = createError(400, `Unsupported job type: ${type}`);
+    error.expose = true;
+    throw error;
+  }
+
+  pruneExpiredJobs();
+
+  const job = {
+    id: randomUUID(),
+    type,
+    status: "queued",
+    requestId: context.requestId,
+    user: context.user || null,
+    approval: context.approval || null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    progress: { total: null, done: 0 },
+    results: [],
+    failures: [],
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  logger.info({ jobId: job.id, requestId: job.requestId, type }, "Job queued");
+
+  setImmediate(() => {
+    runJob(job, filters);
+  });
+
+  return serializeJob(job);
+};
+
+const getJob = (jobId) => {
+  const job = jobs.get(jobId);
+
+  if (!job) {
+    const error = createError(404, `Job not found: ${jobId}`);
+    error.expose = true;
+    throw error;
+  }
+
+  return serializeJob(job);
+};
+
+module.exports = {
+  createJob,
+  getJob
+};
@@ -0,0 +1,45 @@
+const ATTACHMENT_FILTER_FIELDS = ["attachmentHashes", "attachmentNames"];
+
+const hasAttachmentFilter = (filters = {}) =>
+  ATTACHMENT_FILTER_FIELDS.some((field) => Array.isArray(filters[field]) && filters[field].length > 0);
+
+const pickAttachmentFilter = (filters = {}) =>
+  Object.fromEntries(
+    ATTACHMENT_FILTER_FIELDS.filter((field) => Array.isArray(filters[field]) && filters[field].length).map(
+      (field) => [field, filters[field]]
+    )
+  );
+
+// File name patterns use `*` and `?` like mailbox scopes and ignore case.
+const toNameMatcher = (pattern) => {
+  const source = String(pattern)
+    .trim()
+    .toLowerCase()
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  const expression = new RegExp(`^${source}$`);
+
+  return (name) => expression.test(String(name).toLowerCase());
+};
+
+// Neither hashes nor file names can be searched server-side, so an attachment
+// matches when its SHA-256 is listed or its file name fits any pattern.
+const createAttachmentMatcher = (filters = {}) => {
+  if (!hasAttachmentFilter(filters)) {
+    return null;
+  }
+
+  const hashes = new Set((filters.attachmentHashes || []).map((hash) => hash.toLowerCase()));
+  const names = (filters.attachmentNames || []).map(toNameMatcher);
+
+  return (attachment) =>
+    hashes.has(attachment.sha256) || Boolean(attachment.filename && names.some((matches) => matches(attachment.filename)));
+};
+
+module.exports = {
+  ATTACHMENT_FILTER_FIELDS,
+  hasAttachmentFilter,
+  pickAttachmentFilter,
+  createAttachmentMatcher
+};
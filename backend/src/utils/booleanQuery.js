@@ -0,0 +1,76 @@
+// A query is a group { operator: "and" | "or" | "not", conditions: [...] }
+// whose conditions are { field, value } pairs or nested groups. A "not" group
+// negates the AND of its conditions.
+const QUERY_FIELDS = [
+  "sender",
+  "subject",
+  "body",
+  "keyword",
+  "receivedFrom",
+  "receivedTo",
+  "hasAttachments",
+  "importance"
+];
+
+const MAX_QUERY_DEPTH = 5;
+
+const isGroup = (node) => Array.isArray(node?.conditions);
+
+// formatCondition turns one { field, value } into a provider term; groups are
+// parenthesized whenever they join more than one term.
+const compileQuery = (node, formatCondition) => {
+  if (!isGroup(node)) {
+    return formatCondition(node);
+  }
+
+  const parts = node.conditions.map((child) => compileQuery(child, formatCondition)).filter(Boolean);
+  if (!parts.length) {
+    return null;
+  }
+
+  const operator = String(node.operator).toLowerCase();
+  const joined = parts.length > 1 ? `(${parts.join(operator === "or" ? " OR " : " AND ")})` : parts[0];
+  return operator === "not" ? `NOT ${joined}` : joined;
+};
+
+const evaluateQuery = (node, matchesCondition) => {
+  if (!isGroup(node)) {
+    return matchesCondition(node);
+  }
+
+  const results = node.conditions.map((child) => evaluateQuery(child, matchesCondition));
+  const operator = String(node.operator).toLowerCase();
+
+  if (operator === "or") {
+    return results.some(Boolean);
+  }
+  return operator === "not" ? !results.every(Boolean) : results.every(Boolean);
+};
+
+const queryDepth = (node) => (isGroup(node) ? 1 + Math.max(0, ...node.conditions.map(queryDepth)) : 0);
+
+// True when every message the query can match has to satisfy a condition on
+// field: the condition sits in an AND group (or in every branch of an OR) and
+// never below a NOT, so "NOT sender:x" or "sender:x OR subject:y" do not count.
+const requiresQueryCondition = (node, field) => {
+  if (!isGroup(node)) {
+    return node?.field === field;
+  }
+
+  const operator = String(node.operator).toLowerCase();
+  if (operator === "not") {
+    return false;
+  }
+  return operator === "or"
+    ? node.conditions.every((child) => requiresQueryCondition(child, field))
+    : node.conditions.some((child) => requiresQueryCondition(child, field));
+};
+
+module.exports = {
+  QUERY_FIELDS,
+  MAX_QUERY_DEPTH,
+  compileQuery,
+  evaluateQuery,
+  queryDepth,
+  requiresQueryCondition
+};
@@ -0,0 +1,46 @@
+const logger = require("./logger");
+
+// Halves the queue's concurrency whenever the server throttles a call and
+// grows it back one slot at a time after a streak of successful calls.
+const createConcurrencyController = (queue, { min = 1, max, recoverAfter = 10, context = {} } = {}) => {
+  const ceiling = Math.max(min, max || queue.concurrency);
+  let successes = 0;
+  let lowest = queue.concurrency;
+
+  const resize = (next, reason) => {
+    logger.info(
+      { from: queue.concurrency, to: next, reason, requestId: context.requestId },
+      "Adjusting mailbox concurrency"
+    );
+    queue.concurrency = next;
+    lowest = Math.min(lowest, next);
+  };
+
+  return {
+    onThrottle: () => {
+      successes = 0;
+      const next = Math.max(min, Math.floor(queue.concurrency / 2));
+
+      if (next < queue.concurrency) {
+        resize(next, "throttled");
+      }
+    },
+    onSuccess: () => {
+      if (queue.concurrency >= ceiling) {
+        return;
+      }
+
+      successes += 1;
+
+      if (successes >= recoverAfter) {
+        successes = 0;
+        resize(queue.concurrency + 1, "recovered");
+      }
+    },
+    snapshot: () => ({ current: queue.concurrency, lowest, max: ceiling })
+  };
+};
+
+module.exports = {
+  createConcurrencyController
+};
@@ -0,0 +1,70 @@
+const createError = require("http-errors");
+const { parseList } = require("./env");
+
+const DELETE_MODE_NAMES = ["softDelete", "moveToDeletedItems", "hardDelete", "quarantine"];
+
+const toModeName = (value) =>
+  DELETE_MODE_NAMES.find((mode) => mode.toLowerCase() === String(value).trim().toLowerCase()) || null;
+
+// Hard deletes skip Recoverable Items, so listing hardDelete in
+// ALLOWED_DELETE_MODES is not enough: ALLOW_HARD_DELETE=true has to enable it.
+// Setting it empty allows no mode at all.
+const hardDeleteEnabled = process.env.ALLOW_HARD_DELETE === "true";
+const configuredModes = (
+  process.env.ALLOWED_DELETE_MODES === undefined ? DELETE_MODE_NAMES : parseList(process.env.ALLOWED_DELETE_MODES, [])
+).map(toModeName);
+const allowedModes = DELETE_MODE_NAMES.filter(
+  (mode) => configuredModes.includes(mode) && (mode !== "hardDelete" || hardDeleteEnabled)
+);
+
+// A hard delete is never the implicit choice; it has to be asked for.
+const defaultMode = allowedModes.find((mode) => mode !== "hardDelete") || null;
+
+const getDeletePolicy = () => ({ allowedModes, defaultMode, hardDeleteEnabled });
+
+const assertDeleteModeAllowed = (deleteMode) => {
+  const mode = toModeName(deleteMode);
+
+  if (!allowedModes.length) {
+    const error = createError(403, "Deletes are disabled by server policy");
+    error.details = { allowedModes, setting: "ALLOWED_DELETE_MODES" };
+    error.expose = true;
+    throw error;
+  }
+
+  if (!deleteMode) {
+    const error = createError(400, "deleteMode is required by server policy");
+    error.details = { allowedModes };
+    error.expose = true;
+    throw error;
+  }
+
+  if (!allowedModes.includes(mode)) {
+    const error = createError(403, `Delete mode ${mode || deleteMode} is disabled by server policy`);
+    error.details = {
+      deleteMode: mode || deleteMode,
+      allowedModes,
+      setting: mode === "hardDelete" && !hardDeleteEnabled ? "ALLOW_HARD_DELETE" : "ALLOWED_DELETE_MODES"
+    };
+    error.expose = true;
+    throw error;
+  }
+};
+
+// Anything else that removes items for good (Recoverable Items purges,
+// PS.ps1 -AllowHardDelete) falls under the same switch.
+const assertHardDeleteAllowed = (operation) => {
+  if (!hardDeleteEnabled) {
+    const error = createError(403, `${operation} is permanent and hard deletes are disabled by server policy`);
+    error.details = { setting: "ALLOW_HARD_DELETE" };
+    error.expose = true;
+    throw error;
+  }
+};
+
+module.exports = {
+  DELETE_MODE_NAMES,
+  getDeletePolicy,
+  assertDeleteModeAllowed,
+  assertHardDeleteAllowed
+};
@@ -0,0 +1,20 @@
+const coerceInteger = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const parseList = (value, fallback) => {
+  if (!value) {
+    return fallback;
+  }
+
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+};
+
+module.exports = {
+  coerceInteger,
+  parseList
+};
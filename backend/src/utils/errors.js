@@ -0,0 +1,13 @@
+const createError = require("http-errors");
+
+const wrapExchangeError = (message, error, details = {}, status = 502) => {
+  const wrapped = createError(status, message);
+  wrapped.details = details;
+  wrapped.cause = error;
+  wrapped.expose = true;
+  return wrapped;
+};
+
+module.exports = {
+  wrapExchangeError
+};
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { createHash } = require("crypto");
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
+const yazl = require("yazl");
+
+const rootDir = path.join(__dirname, "../../data");
+const resolvedEvidenceDir = process.env.EVIDENCE_DIR
+  ? path.resolve(process.env.EVIDENCE_DIR)
+  : path.join(rootDir, "evidence");
+
+const EVIDENCE_FORMATS = ["directory", "zip"];
+
+const sha256 = (content) => createHash("sha256").update(content).digest("hex");
+
+// Files are named <mailbox>_<InternetMessageId>.eml; characters that are not
+// safe in file or zip entry names are replaced.
+const toFileName = (mailbox, internetMessageId, fallbackId) => {
+  const messageId = String(internetMessageId || fallbackId || "message").replace(/^<|>$/g, "");
+  return `${mailbox}_${messageId}`.replace(/[^A-Za-z0-9@._+-]/g, "_").slice(0, 200);
+};
+
+// One writer collects the messages of a delete run (or of one resume of it)
+// into a directory or a zip archive. finalize() writes the SHA-256 manifest
+// next to them.
+const createEvidenceWriter = async (name, format = "directory") => {
+  const exportName = path.basename(name);
+  const createdAt = new Date().toISOString();
+  const files = [];
+  const usedNames = new Set();
+  const directory = path.join(resolvedEvidenceDir, exportName);
+  const archivePath = path.join(resolvedEvidenceDir, `${exportName}.zip`);
+  let zip = null;
+  let written = null;
+  let writeError = null;
+
+  // The archive has to be open before anything is exported, and once writing
+  // it fails every later add() fails too, so no mailbox is deleted from
+  // without its copy.
+  if (format === "zip") {
+    await fsp.mkdir(resolvedEvidenceDir, { recursive: true });
+    const archive = fs.createWriteStream(archivePath);
+    await once(archive, "open");
+    zip = new yazl.ZipFile();
+    written = pipeline(zip.outputStream, archive);
+    written.catch((error) => {
+      writeError = error;
+    });
+  } else {
+    await fsp.mkdir(directory, { recursive: true });
+  }
+
+  const reserveName = (mailbox, internetMessageId, fallbackId) => {
+    const base = toFileName(mailbox, internetMessageId, fallbackId);
+    let candidate = `${base}.eml`;
+    for (let index = 2; usedNames.has(candidate.toLowerCase()); index += 1) {
+      candidate = `${base}_${index}.eml`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  };
+
+  const add = async ({ mailbox, internetMessageId, originalItemId, originalFolder }, content) => {
+    if (writeError) {
+      throw writeError;
+    }
+
+    const file = reserveName(mailbox, internetMessageId, originalItemId);
+
+    if (zip) {
+      zip.addBuffer(content, file);
+    } else {
+      await fsp.writeFile(path.join(directory, file), content);
+    }
+
+    const record = {
+      file,
+      mailbox,
+      internetMessageId,
+      originalItemId,
+      originalFolder,
+      size: content.length,
+      sha256: sha256(content)
+    };
+    files.push(record);
+    return record;
+  };
+
+  const finalize = async () => {
+    let archive = null;
+
+    if (zip) {
+      zip.end();
+      await written;
+      archive = { path: archivePath, sha256: sha256(await fsp.readFile(archivePath)) };
+    }
+
+    const manifest = { name: exportName, format, createdAt, archive, files };
+    const manifestPath = zip
+      ? path.join(resolvedEvidenceDir, `${exportName}.manifest.json`)
+      : path.join(directory, "manifest.json");
+    const manifestText = `${JSON.stringify(manifest, null, 2)}\n`;
+    await fsp.writeFile(manifestPath, manifestText, "utf8");
+
+    return {
+      name: exportName,
+      format,
+      location: zip ? archivePath : directory,
+      manifest: manifestPath,
+      manifestSha256: sha256(manifestText),
+      files: files.length,
+      createdAt
+    };
+  };
+
+  return { add, finalize };
+};
+
+module.exports = {
+  EVIDENCE_FORMATS,
+  createEvidenceWriter,
+  toFileName
+};
@@ -0,0 +1,67 @@
+const createError = require("http-errors");
+
+const ALL_MAIL_FOLDERS = "AllMailFolders";
+
+// "Archive" and paths below it ("Archive/2023") address the user's archive
+// mailbox. On its own it means every mail folder in the archive.
+const ARCHIVE_ROOT = "archive";
+
+// Recoverable Items subfolders are never part of AllMailFolders and are only
+// searched when named explicitly; deleting from them is irreversible.
+const RECOVERABLE_FOLDERS = ["RecoverableItemsDeletions", "RecoverableItemsPurges", "RecoverableItemsVersions"];
+
+const findRecoverableFolder = (value) =>
+  RECOVERABLE_FOLDERS.find((name) => name.toLowerCase() === String(value || "").trim().toLowerCase());
+
+// Folder selections are a well-known name ("Inbox"), a path below a
+// well-known folder or the top of the mailbox ("Inbox/Vendors",
+// "Projects/Phishing"), AllMailFolders for every mail folder of the primary
+// mailbox, or one of the Recoverable Items folders. `root` is the provider's FOLDER_MAP key (the
+// lower-cased name for Recoverable Items), or null when the path starts at the
+// mailbox top.
+const parseFolderSelection = (value, wellKnownFolders) => {
+  const raw = String(value || "").trim();
+
+  if (raw.toLowerCase() === ALL_MAIL_FOLDERS.toLowerCase()) {
+    return { name: ALL_MAIL_FOLDERS, all: true };
+  }
+
+  const recoverable = findRecoverableFolder(raw);
+  if (recoverable) {
+    return { name: recoverable, root: recoverable.toLowerCase(), path: [], recoverable: true };
+  }
+
+  const segments = raw.split("/").map((segment) => segment.trim());
+
+  if (!raw || segments.some((segment) => !segment)) {
+    const error = createError(400, `Invalid folder path specified: ${value}`);
+    error.expose = true;
+    throw error;
+  }
+
+  const first = segments[0].toLowerCase();
+  const root = Object.prototype.hasOwnProperty.call(wellKnownFolders, first) ? first : null;
+
+  return {
+    name: segments.join("/"),
+    root,
+    path: root ? segments.slice(1) : segments,
+    archive: root === ARCHIVE_ROOT
+  };
+};
+
+// AllMailFolders usually overlaps explicitly selected folders.
+const dedupeFolders = (folders) =>
+  Array.from(new Map(folders.map((folder) => [folder.name.toLowerCase(), folder])).values());
+
+const pickRecoverableFolders = (folders = []) =>
+  folders.map(findRecoverableFolder).filter(Boolean);
+
+module.exports = {
+  ALL_MAIL_FOLDERS,
+  ARCHIVE_ROOT,
+  RECOVERABLE_FOLDERS,
+  parseFolderSelection,
+  dedupeFolders,
+  pickRecoverableFolders
+};
@@ -0,0 +1,58 @@
+// Header names are any printable ASCII except the colon (RFC 5322).
+const HEADER_NAME_PATTERN = /^[!-9;-~]+$/;
+
+// Splits a raw transport header block into { name, value } pairs in message
+// order, joining folded continuation lines first.
+const parseHeaderBlock = (text) =>
+  String(text || "")
+    .replace(/\r?\n[ \t]+/g, " ")
+    .split(/\r?\n/)
+    .flatMap((line) => {
+      const separator = line.indexOf(":");
+      const name = line.slice(0, separator).trim();
+
+      if (separator <= 0 || !HEADER_NAME_PATTERN.test(name)) {
+        return [];
+      }
+      return [{ name, value: line.slice(separator + 1).trim() }];
+    });
+
+// Filters are { name, value } pairs; names compare case-insensitively and a
+// value is a case-insensitive substring, so "spf=fail" finds a failed SPF
+// check inside Authentication-Results. Without a value the header only has to
+// be present. Every filter must match; the matcher returns the headers that
+// did, or null.
+const createHeaderMatcher = (filters = []) => {
+  const expected = filters
+    .filter((filter) => filter?.name)
+    .map(({ name, value }) => ({ name: name.toLowerCase(), value: value ? value.toLowerCase() : null }));
+
+  if (!expected.length) {
+    return null;
+  }
+
+  return (headers) => {
+    const matched = new Set();
+
+    for (const filter of expected) {
+      const found = headers.filter(
+        (header) =>
+          header.name.toLowerCase() === filter.name &&
+          (!filter.value || header.value.toLowerCase().includes(filter.value))
+      );
+
+      if (!found.length) {
+        return null;
+      }
+      found.forEach((header) => matched.add(header));
+    }
+
+    return headers.filter((header) => matched.has(header));
+  };
+};
+
+module.exports = {
+  HEADER_NAME_PATTERN,
+  parseHeaderBlock,
+  createHeaderMatcher
+};
@@ -1,11 +1,17 @@
 const pino = require('pino');
 
+const requestStore = require('./requestStore');
+
 const logger = pino({
   transport: {
     target: 'pino-pretty',
     options: { colorize: true, singleLine: true }
   },
-  level: process.env.LOG_LEVEL || 'info'
+  level: process.env.LOG_LEVEL || 'info',
+  mixin: () => {
+    const user = requestStore.getStore()?.user;
+    return user ? { user: user.id } : {};
+  }
 });
 
 module.exports = logger;
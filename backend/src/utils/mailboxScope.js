@@ -0,0 +1,60 @@
+const SCOPE_FIELDS = ["includeMailboxes", "excludeMailboxes", "includeGroups", "excludeGroups"];
+
+// Scope entries are SMTP addresses or wildcard patterns where `*` matches any
+// run of characters and `?` a single character, compared case-insensitively.
+const toAddressMatcher = (entry) => {
+  const normalized = String(entry).trim().toLowerCase();
+
+  if (!/[*?]/.test(normalized)) {
+    return (address) => address === normalized;
+  }
+
+  const source = normalized
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".");
+  const pattern = new RegExp(`^${source}$`);
+
+  return (address) => pattern.test(address);
+};
+
+const hasMailboxScope = (filters = {}) =>
+  SCOPE_FIELDS.some((field) => Array.isArray(filters[field]) && filters[field].length > 0);
+
+const pickMailboxScope = (filters = {}) =>
+  Object.fromEntries(
+    SCOPE_FIELDS.filter((field) => Array.isArray(filters[field]) && filters[field].length).map((field) => [
+      field,
+      filters[field]
+    ])
+  );
+
+// Expanded group members arrive as sets of lower-cased addresses.
+const applyMailboxScope = (mailboxes, scope, { includedMembers, excludedMembers }) => {
+  const includeMatchers = (scope.includeMailboxes || []).map(toAddressMatcher);
+  const excludeMatchers = (scope.excludeMailboxes || []).map(toAddressMatcher);
+  const restricted = includeMatchers.length > 0 || (scope.includeGroups || []).length > 0;
+
+  return mailboxes.filter((mailbox) => {
+    const address = String(mailbox.smtpAddress).toLowerCase();
+    const included =
+      !restricted || includedMembers.has(address) || includeMatchers.some((matches) => matches(address));
+    const excluded = excludedMembers.has(address) || excludeMatchers.some((matches) => matches(address));
+
+    return included && !excluded;
+  });
+};
+
+const findUnmatchedEntries = (mailboxes, entries = []) => {
+  const addresses = mailboxes.map((mailbox) => String(mailbox.smtpAddress).toLowerCase());
+  return entries.filter((entry) => !addresses.some(toAddressMatcher(entry)));
+};
+
+module.exports = {
+  SCOPE_FIELDS,
+  toAddressMatcher,
+  hasMailboxScope,
+  pickMailboxScope,
+  applyMailboxScope,
+  findUnmatchedEntries
+};
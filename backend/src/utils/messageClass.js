@@ -0,0 +1,43 @@
+// Item classes are matched by prefix, so "IPM.Schedule.Meeting.Resp" covers
+// accepted (.Pos), tentative (.Tent) and declined (.Neg) responses alike.
+const MESSAGE_CLASSES = {
+  email: "IPM.Note",
+  meetingRequest: "IPM.Schedule.Meeting.Request",
+  meetingResponse: "IPM.Schedule.Meeting.Resp",
+  meetingCancellation: "IPM.Schedule.Meeting.Canceled",
+  ndr: "REPORT.IPM.Note.NDR",
+  deliveryReceipt: "REPORT.IPM.Note.DR",
+  readReceipt: "REPORT.IPM.Note.IPNRN",
+  nonReadReceipt: "REPORT.IPM.Note.IPNNRN"
+};
+
+const MEETING_CLASSES = ["meetingRequest", "meetingResponse", "meetingCancellation"];
+
+// A prefix only counts up to a dot boundary, so "IPM.Note" also covers
+// "IPM.Note.SMIME" but not "IPM.Notification". Items without a class are mail.
+const matchesPrefix = (itemClass, prefix) => {
+  const value = String(itemClass || "IPM.Note").toLowerCase();
+  const expected = prefix.toLowerCase();
+  return value === expected || value.startsWith(`${expected}.`);
+};
+
+const createMessageClassMatcher = (keys = []) => {
+  const prefixes = keys.map((key) => MESSAGE_CLASSES[key]).filter(Boolean);
+
+  if (!prefixes.length) {
+    return null;
+  }
+
+  return (itemClass) => prefixes.some((prefix) => matchesPrefix(itemClass, prefix));
+};
+
+// Search indexes only know coarse kinds, so the server-side query can narrow
+// meeting items down but everything else is decided by the item class.
+const toSearchKind = (keys = []) =>
+  keys.length && keys.every((key) => MEETING_CLASSES.includes(key)) ? "meetings" : null;
+
+module.exports = {
+  MESSAGE_CLASSES,
+  createMessageClassMatcher,
+  toSearchKind
+};
@@ -0,0 +1,50 @@
+const { createHash } = require("crypto");
+const { simpleParser } = require("mailparser");
+
+const sha256 = (content) => createHash("sha256").update(content).digest("hex");
+
+// Folded continuation lines are joined so every header is a single value.
+const unfold = (value) => value.replace(/\r?\n[ \t]+/g, " ").trim();
+
+const toHeaderList = (headerLines) =>
+  headerLines.map(({ line }) => {
+    const separator = line.indexOf(":");
+    return { name: line.slice(0, separator).trim(), value: unfold(line.slice(separator + 1)) };
+  });
+
+const valuesOf = (headers, name) =>
+  headers.filter((header) => header.name.toLowerCase() === name).map((header) => header.value);
+
+// Headers keep their order in the message, so `received` lists the last hop
+// first. The HTML body is returned as sent and must never be rendered
+// unsandboxed.
+const parseMessage = async (mime) => {
+  const parsed = await simpleParser(mime, { skipImageLinks: true, skipTextLinks: true, skipTextToHtml: true });
+  const headers = toHeaderList(parsed.headerLines);
+
+  return {
+    headers,
+    transport: {
+      returnPath: valuesOf(headers, "return-path")[0] || null,
+      received: valuesOf(headers, "received"),
+      authenticationResults: valuesOf(headers, "authentication-results")
+    },
+    body: {
+      text: parsed.text || null,
+      html: typeof parsed.html === "string" ? parsed.html : null
+    },
+    attachments: parsed.attachments.map((attachment) => ({
+      filename: attachment.filename || null,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      contentId: attachment.contentId || null,
+      inline: attachment.contentDisposition === "inline",
+      sha256: sha256(attachment.content)
+    })),
+    mime: { size: mime.length, sha256: sha256(mime) }
+  };
+};
+
+module.exports = {
+  parseMessage
+};
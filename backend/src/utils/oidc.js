@@ -0,0 +1,215 @@
+const crypto = require("crypto");
+const createError = require("http-errors");
+
+const { coerceInteger } = require("./env");
+const logger = require("./logger");
+
+const config = {
+  issuer: (process.env.OIDC_ISSUER || "").trim().replace(/\/+$/, ""),
+  audience: (process.env.OIDC_AUDIENCE || "").trim(),
+  userClaim: (process.env.OIDC_USER_CLAIM || "preferred_username").trim(),
+  clockSkewSeconds: Math.max(0, coerceInteger(process.env.OIDC_CLOCK_SKEW_SECONDS, 60)),
+  jwksRefreshMs: 30000
+};
+
+// The frontend's own client id is the audience of its ID tokens, so the API
+// needs an audience of its own rather than falling back to it.
+if (config.issuer && !config.audience) {
+  throw new Error("OIDC_AUDIENCE must be set when OIDC_ISSUER is");
+}
+
+// Asymmetric algorithms only; "none" and the HMAC family would let anyone
+// holding the audience mint tokens.
+const ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS384: { hash: "sha384", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  PS512: { hash: "sha512", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+  ES512: { hash: "sha512", dsaEncoding: "ieee-p1363" }
+};
+
+const state = {
+  metadata: null,
+  keys: new Map(),
+  keysFetchedAt: 0
+};
+
+const isOidcEnabled = () => Boolean(config.issuer);
+
+const tokenError = (message, description = message) => {
+  const error = createError(401, message);
+  error.expose = true;
+  error.authenticate = `Bearer error="invalid_token", error_description="${description.replace(/"/g, "'")}"`;
+  return error;
+};
+
+const providerError = (message, cause) => {
+  const error = createError(503, message);
+  error.details = { issuer: config.issuer };
+  error.cause = cause;
+  error.expose = true;
+  return error;
+};
+
+const fetchJson = async (url) => {
+  let response;
+  try {
+    response = await fetch(url, { headers: { Accept: "application/json" } });
+  } catch (error) {
+    throw providerError("Identity provider is unreachable", error);
+  }
+
+  if (!response.ok) {
+    throw providerError(`Identity provider returned ${response.status} for ${url}`);
+  }
+  return response.json();
+};
+
+const getMetadata = async () => {
+  if (state.metadata) {
+    return state.metadata;
+  }
+
+  const metadata = await fetchJson(`${config.issuer}/.well-known/openid-configuration`);
+  if (String(metadata.issuer || "").replace(/\/+$/, "") !== config.issuer || !metadata.jwks_uri) {
+    throw providerError("Identity provider metadata does not match OIDC_ISSUER");
+  }
+
+  state.metadata = metadata;
+  return metadata;
+};
+
+// Signing keys are cached by kid and fetched again when a token names an
+// unknown one, so key rotation at the provider needs no restart.
+const refreshKeys = async () => {
+  const { jwks_uri: jwksUri } = await getMetadata();
+  const { keys = [] } = await fetchJson(jwksUri);
+
+  state.keys = new Map(
+    keys
+      .filter((jwk) => !jwk.use || jwk.use === "sig")
+      .flatMap((jwk) => {
+        try {
+          return [[jwk.kid || "", { jwk, key: crypto.createPublicKey({ key: jwk, format: "jwk" }) }]];
+        } catch (error) {
+          logger.warn({ kid: jwk.kid, error: error.message }, "Skipping unusable OIDC signing key");
+          return [];
+        }
+      })
+  );
+  state.keysFetchedAt = Date.now();
+  logger.info({ issuer: config.issuer, keys: state.keys.size }, "Loaded OIDC signing keys");
+};
+
+const findKey = async (kid = "") => {
+  if (!state.keys.has(kid) && Date.now() - state.keysFetchedAt > config.jwksRefreshMs) {
+    await refreshKeys();
+  }
+
+  const entry = state.keys.get(kid) || (!kid && state.keys.size === 1 ? state.keys.values().next().value : null);
+  if (!entry) {
+    throw tokenError("Token is signed with an unknown key");
+  }
+  return entry;
+};
+
+const decodeSegment = (segment) => {
+  try {
+    return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (_) {
+    throw tokenError("Malformed bearer token");
+  }
+};
+
+// ID tokens are signed by the same keys and may carry the same audience; an
+// access token says what it is in its typ header (RFC 9068) or at least
+// carries the scopes it was granted.
+const isAccessToken = (header, claims) =>
+  String(header.typ || "").toLowerCase() === "at+jwt" ||
+  (claims.token_use ? claims.token_use === "access" : Boolean(claims.scope || claims.scp));
+
+const checkClaims = (claims) => {
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = [].concat(claims.aud || []);
+
+  if (String(claims.iss || "").replace(/\/+$/, "") !== config.issuer) {
+    throw tokenError("Token was issued by another issuer");
+  }
+  if (!audiences.includes(config.audience)) {
+    throw tokenError("Token is not meant for this API");
+  }
+  if (typeof claims.exp !== "number" || claims.exp + config.clockSkewSeconds <= now) {
+    throw tokenError("Token has expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - config.clockSkewSeconds > now) {
+    throw tokenError("Token is not valid yet");
+  }
+};
+
+// Verifies a compact JWS access token against the issuer's keys and returns
+// its claims.
+const verifyAccessToken = async (token) => {
+  const segments = String(token).split(".");
+  if (segments.length !== 3) {
+    throw tokenError("Malformed bearer token");
+  }
+
+  const header = decodeSegment(segments[0]);
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw tokenError(`Token algorithm ${header.alg} is not accepted`);
+  }
+
+  const { jwk, key } = await findKey(header.kid);
+  if (jwk.alg && jwk.alg !== header.alg) {
+    throw tokenError("Token algorithm does not match its key");
+  }
+
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${segments[0]}.${segments[1]}`),
+    {
+      key,
+      padding: algorithm.padding,
+      saltLength: algorithm.padding ? crypto.constants.RSA_PSS_SALTLEN_DIGEST : undefined,
+      dsaEncoding: algorithm.dsaEncoding
+    },
+    Buffer.from(segments[2], "base64url")
+  );
+  if (!valid) {
+    throw tokenError("Token signature is invalid");
+  }
+
+  const claims = decodeSegment(segments[1]);
+  if (!isAccessToken(header, claims)) {
+    throw tokenError("Token is not an access token");
+  }
+  checkClaims(claims);
+  return claims;
+};
+
+// Tokens without an identity claim are refused: they would all share one
+// user and defeat the second-user check on approvals.
+const toUser = (claims) => {
+  const identity = [claims[config.userClaim], claims.email, claims.sub].find(
+    (value) => typeof value === "string" && value.trim()
+  );
+
+  if (!identity) {
+    throw tokenError("Token does not identify a user");
+  }
+
+  const id = identity.trim().toLowerCase();
+  return { id, name: claims.name || id, subject: claims.sub };
+};
+
+module.exports = {
+  isOidcEnabled,
+  verifyAccessToken,
+  toUser,
+  tokenError
+};
@@ -1,6 +1,12 @@
+const { compileQuery } = require('./booleanQuery');
+
 const DEFAULT_QUERY = 'kind:email';
+const RECIPIENT_FIELDS = ['to', 'cc', 'bcc'];
 
-const escapeValue = (value) => value.replace(/"/g, '\\"');
+// AQS has no escape character inside a quoted phrase, so quotes and
+// backslashes are dropped; otherwise a value could close its phrase and
+// inject clauses of its own.
+const escapeValue = (value) => String(value).replace(/["\\]/g, ' ').replace(/\s+/g, ' ').trim();
 
 const toDatePart = (value) => {
   if (!value) return null;
@@ -11,15 +17,46 @@ const toDatePart = (value) => {
   return date.toISOString().split('T')[0];
 };
 
+const toAqsCondition = ({ field, value }) => {
+  switch (field) {
+    case 'sender':
+      return `from:"${escapeValue(value)}"`;
+    case 'subject':
+      return `subject:"${escapeValue(value)}"`;
+    case 'body':
+      return `body:"${escapeValue(value)}"`;
+    case 'keyword':
+      return `"${escapeValue(value)}"`;
+    case 'receivedFrom':
+      return toDatePart(value) ? `received>=${toDatePart(value)}` : null;
+    case 'receivedTo':
+      return toDatePart(value) ? `received<=${toDatePart(value)}` : null;
+    case 'hasAttachments':
+      return `hasattachment:${Boolean(value)}`;
+    case 'importance':
+      return `importance:${String(value).toLowerCase()}`;
+    default:
+      return null;
+  }
+};
+
 const buildAqsQuery = ({
+  query,
   sender,
+  senderTerms,
+  recipients,
+  recipientFields,
   subject,
   body,
+  urlHosts,
   keywords,
   receivedFrom,
   receivedTo,
+  minSize,
+  maxSize,
   hasAttachments,
-  importance
+  importance,
+  kind
 }) => {
   const clauses = [];
 
@@ -27,6 +64,19 @@ const buildAqsQuery = ({
     clauses.push(`from:"${escapeValue(sender)}"`);
   }
 
+  if (senderTerms && senderTerms.length) {
+    const senderClauses = senderTerms.map((term) => `from:"${escapeValue(term)}"`);
+    clauses.push(senderClauses.length > 1 ? `(${senderClauses.join(' OR ')})` : senderClauses[0]);
+  }
+
+  if (recipients && recipients.length) {
+    const fields = recipientFields && recipientFields.length ? recipientFields : RECIPIENT_FIELDS;
+    const recipientClauses = recipients.flatMap((address) =>
+      fields.map((field) => `${field}:"${escapeValue(address)}"`)
+    );
+    clauses.push(recipientClauses.length > 1 ? `(${recipientClauses.join(' OR ')})` : recipientClauses[0]);
+  }
+
   if (subject) {
     clauses.push(`subject:"${escapeValue(subject)}"`);
   }
@@ -35,6 +85,11 @@ const buildAqsQuery = ({
     clauses.push(`body:"${escapeValue(body)}"`);
   }
 
+  if (urlHosts && urlHosts.length) {
+    const hostClauses = urlHosts.map((host) => `body:"${escapeValue(host)}"`);
+    clauses.push(hostClauses.length > 1 ? `(${hostClauses.join(' OR ')})` : hostClauses[0]);
+  }
+
   if (keywords && keywords.length) {
     const keywordString = keywords
       .filter(Boolean)
@@ -55,6 +110,14 @@ const buildAqsQuery = ({
     clauses.push(`received<=${receivedBefore}`);
   }
 
+  if (Number.isInteger(minSize)) {
+    clauses.push(`size>=${minSize}`);
+  }
+
+  if (Number.isInteger(maxSize)) {
+    clauses.push(`size<=${maxSize}`);
+  }
+
   if (typeof hasAttachments === 'boolean') {
     clauses.push(`hasattachment:${hasAttachments}`);
   }
@@ -63,9 +126,20 @@ const buildAqsQuery = ({
     clauses.push(`importance:${importance.toLowerCase()}`);
   }
 
+  if (kind) {
+    clauses.push(`kind:${kind}`);
+  }
+
+  const compiled = query ? compileQuery(query, toAqsCondition) : null;
+  if (compiled) {
+    clauses.push(compiled);
+  }
+
   return clauses.length ? clauses.join(' AND ') : DEFAULT_QUERY;
 };
 
 module.exports = {
-  buildAqsQuery
+  RECIPIENT_FIELDS,
+  buildAqsQuery,
+  toDatePart
 };
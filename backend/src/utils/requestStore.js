@@ -0,0 +1,7 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Holds the current request's id and user for everything that runs on its
+// behalf, including jobs it queued, so log lines can carry them.
+const requestStore = new AsyncLocalStorage();
+
+module.exports = requestStore;
@@ -0,0 +1,87 @@
+const logger = require("./logger");
+const { coerceInteger } = require("./env");
+
+const config = {
+  maxRetries: Math.max(0, coerceInteger(process.env.EWS_MAX_RETRIES, 4)),
+  baseDelayMs: Math.max(50, coerceInteger(process.env.EWS_RETRY_BASE_DELAY_MS, 500)),
+  maxDelayMs: Math.max(1000, coerceInteger(process.env.EWS_RETRY_MAX_DELAY_MS, 30000))
+};
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A back-off hint from the server wins; otherwise exponential back-off with
+// jitter so throttled workers do not retry in lockstep.
+const computeDelay = (attempt, retryAfterMs) => {
+  if (retryAfterMs > 0) {
+    return Math.min(retryAfterMs, config.maxDelayMs);
+  }
+
+  const ceiling = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + (Math.random() * ceiling) / 2);
+};
+
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = new Date(value).getTime();
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// classify(error) returns null for permanent failures, otherwise
+// { throttled, retryAfterMs }. Retries are counted on context.retryStats and
+// throttling is reported to context.throttle so the caller can slow down.
+const withRetry = async (operation, call, classify, context = {}) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const result = await call();
+      context.throttle?.onSuccess();
+      return result;
+    } catch (error) {
+      const verdict = attempt < config.maxRetries ? classify(error) : null;
+
+      if (!verdict) {
+        throw error;
+      }
+
+      if (verdict.throttled) {
+        context.throttle?.onThrottle();
+      }
+
+      if (context.retryStats) {
+        context.retryStats.total += 1;
+        if (verdict.throttled) {
+          context.retryStats.throttled += 1;
+        }
+      }
+
+      const waitMs = computeDelay(attempt, verdict.retryAfterMs);
+      logger.warn(
+        {
+          operation,
+          mailbox: context.mailbox,
+          attempt: attempt + 1,
+          waitMs,
+          throttled: Boolean(verdict.throttled),
+          requestId: context.requestId
+        },
+        "Retrying transient Exchange failure"
+      );
+      await delay(waitMs);
+    }
+  }
+};
+
+const createRetryStats = () => ({ total: 0, throttled: 0 });
+
+module.exports = {
+  withRetry,
+  parseRetryAfter,
+  createRetryStats
+};
@@ -0,0 +1,80 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+const rootDir = path.join(__dirname, "../../data");
+const resolvedRunDir = process.env.DELETE_RUN_DIR
+  ? path.resolve(process.env.DELETE_RUN_DIR)
+  : path.join(rootDir, "delete-runs");
+
+const pendingWrites = new Map();
+
+const runFilePath = (runId) => path.join(resolvedRunDir, `${path.basename(runId)}.json`);
+
+const writeRunFile = async (run) => {
+  await fs.mkdir(resolvedRunDir, { recursive: true });
+  const target = runFilePath(run.id);
+  const temp = `${target}.tmp`;
+  await fs.writeFile(temp, `${JSON.stringify(run, null, 2)}\n`, "utf8");
+  await fs.rename(temp, target);
+};
+
+// Checkpoints for the same run are written one after another so a slower
+// write can never overwrite a newer snapshot.
+const saveRun = (run) => {
+  const snapshot = JSON.parse(JSON.stringify({ ...run, updatedAt: new Date().toISOString() }));
+  const previous = pendingWrites.get(run.id) || Promise.resolve();
+  const next = previous.catch(() => null).then(() => writeRunFile(snapshot));
+
+  pendingWrites.set(run.id, next);
+  next
+    .finally(() => {
+      if (pendingWrites.get(run.id) === next) {
+        pendingWrites.delete(run.id);
+      }
+    })
+    .catch(() => null);
+
+  return next;
+};
+
+const readRun = async (runId) => {
+  try {
+    const content = await fs.readFile(runFilePath(runId), "utf8");
+    return JSON.parse(content);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return null;
+    }
+    throw error;
+  }
+};
+
+const listRuns = async ({ limit = 100 } = {}) => {
+  let files;
+  try {
+    files = await fs.readdir(resolvedRunDir);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return [];
+    }
+    throw error;
+  }
+
+  const runs = await Promise.all(
+    files
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => readRun(path.basename(file, ".json")).catch(() => null))
+  );
+
+  const sorted = runs
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
+
+  return limit && sorted.length > limit ? sorted.slice(0, limit) : sorted;
+};
+
+module.exports = {
+  saveRun,
+  readRun,
+  listRuns
+};
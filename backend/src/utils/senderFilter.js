@@ -0,0 +1,70 @@
+const { toAddressMatcher } = require("./mailboxScope");
+
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// Sender entries are addresses, whole domains written as "@badsite.com"
+// (subdomains included) or wildcard patterns such as "billing-*@badsite.com"
+// and "*@*.badsite.com". Every entry needs a concrete domain so the server
+// side search can be narrowed to it. Returns null for anything else.
+const parseSenderEntry = (value) => {
+  const entry = String(value).trim().toLowerCase();
+  const at = entry.lastIndexOf("@");
+  const local = entry.slice(0, at);
+  const domain = entry.slice(at + 1).replace(/^\*\./, "");
+
+  if (at < 0 || !DOMAIN_PATTERN.test(domain) || /[\s,@]/.test(local)) {
+    return null;
+  }
+
+  if (!local) {
+    return { entry, kind: "domain", domain };
+  }
+  return { entry, kind: /[*?]/.test(entry) ? "pattern" : "address", domain };
+};
+
+const toEntryMatcher = ({ kind, entry, domain }) => {
+  if (kind !== "domain") {
+    return toAddressMatcher(entry);
+  }
+
+  return (address) => {
+    const addressDomain = address.slice(address.lastIndexOf("@") + 1);
+    return addressDomain === domain || addressDomain.endsWith(`.${domain}`);
+  };
+};
+
+// Returns a function that maps a message's sender addresses to the first
+// entry they match, or null.
+const createSenderMatcher = (values = []) => {
+  const entries = values
+    .map(parseSenderEntry)
+    .filter(Boolean)
+    .map((parsed) => ({ entry: parsed.entry, matches: toEntryMatcher(parsed) }));
+
+  if (!entries.length) {
+    return null;
+  }
+
+  return (addresses) => {
+    const normalized = addresses.filter(Boolean).map((address) => String(address).toLowerCase());
+    const found = entries.find(({ matches }) => normalized.some(matches));
+    return found ? found.entry : null;
+  };
+};
+
+// Addresses are searched as they are; domains and patterns by their domain.
+const toSenderSearchTerms = (values = []) =>
+  Array.from(
+    new Set(
+      values
+        .map(parseSenderEntry)
+        .filter(Boolean)
+        .map((parsed) => (parsed.kind === "address" ? parsed.entry : parsed.domain))
+    )
+  );
+
+module.exports = {
+  parseSenderEntry,
+  createSenderMatcher,
+  toSenderSearchTerms
+};
@@ -0,0 +1,87 @@
+// Indicators are often shared defanged (hxxp://evil[.]com) so they cannot be
+// clicked; the same forms are refanged inside message bodies.
+const refang = (value) =>
+  String(value || "")
+    .replace(/\bhxxp(s?)\b/gi, "http$1")
+    .replace(/\[\s*(?:\.|dot)\s*\]|\(\s*(?:\.|dot)\s*\)|\{\s*(?:\.|dot)\s*\}/gi, ".")
+    .replace(/\[\s*:\s*\]/g, ":")
+    .replace(/\[\s*\/\s*\]/g, "/");
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`()[\]{}]+/gi;
+const MAX_URLS = 50;
+
+const toUrl = (value) => {
+  try {
+    return new URL(/^https?:\/\//i.test(value) ? value : `http://${value}`);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Returns the distinct URLs found in a text or HTML body, refanged and with
+// trailing punctuation and HTML entities cleaned up.
+const extractUrls = (text) => {
+  const urls = new Set();
+  const matches = refang(text).replace(/&amp;/gi, "&").match(URL_PATTERN) || [];
+
+  for (const match of matches) {
+    const candidate = match.replace(/[.,;:!?]+$/, "");
+    if (toUrl(candidate)) {
+      urls.add(candidate);
+    }
+    if (urls.size >= MAX_URLS) {
+      break;
+    }
+  }
+
+  return Array.from(urls);
+};
+
+// A bare domain also matches its subdomains; a full URL matches links that
+// start with it. Returns null for values that are neither.
+const parseIndicator = (value) => {
+  const url = toUrl(refang(value).trim());
+
+  if (!url || !url.hostname.includes(".")) {
+    return null;
+  }
+
+  const host = url.hostname.toLowerCase();
+  const path = `${url.pathname.replace(/\/$/, "")}${url.search}`;
+  return { host, prefix: path ? `${host}${path}` : null };
+};
+
+const matchesIndicator = (link, indicator) => {
+  const url = toUrl(link);
+  if (!url) {
+    return false;
+  }
+
+  const host = url.hostname.toLowerCase();
+  if (indicator.prefix) {
+    return `${host}${url.pathname}${url.search}`.startsWith(indicator.prefix);
+  }
+  return host === indicator.host || host.endsWith(`.${indicator.host}`);
+};
+
+const createUrlMatcher = (values = []) => {
+  const indicators = values.map(parseIndicator).filter(Boolean);
+
+  if (!indicators.length) {
+    return null;
+  }
+
+  return (link) => indicators.some((indicator) => matchesIndicator(link, indicator));
+};
+
+// Content indexes tokenize links, so the server-side search only looks for
+// the indicator hosts and createUrlMatcher() makes the exact decision.
+const toIndicatorHosts = (values = []) =>
+  Array.from(new Set(values.map(parseIndicator).filter(Boolean).map((indicator) => indicator.host)));
+
+module.exports = {
+  extractUrls,
+  parseIndicator,
+  createUrlMatcher,
+  toIndicatorHosts
+};
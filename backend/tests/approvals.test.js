@@ -0,0 +1,62 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox({ AUTH_USER_HEADER: "x-remote-user", AUTH_USER_HEADER_TRUSTED: "true" });
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const as = (user) => ({ "x-remote-user": user });
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+const requestApproval = async (filters) => {
+  const { status, body } = await api.request("POST", "/api/delete", { ...filters, simulate: false }, as("alice"));
+  assert.equal(status, 202);
+  return body.approval.id;
+};
+
+// The body's own filters are ignored once an approvalId is given.
+const runApproved = (approvalId, user) =>
+  api.request("POST", "/api/delete", { sender: "x@y.test", simulate: false, approvalId }, as(user));
+
+const approvalStatus = async (approvalId) =>
+  (await api.request("GET", `/api/approvals/${approvalId}`, undefined, as("alice"))).body.approval.status;
+
+test("a requester cannot approve their own deletion", async () => {
+  const approvalId = await requestApproval({ sender: "billing@invoices-secure.test" });
+
+  const { status } = await api.request("POST", `/api/approvals/${approvalId}/approve`, undefined, as("alice"));
+  assert.equal(status, 403);
+  assert.equal(await approvalStatus(approvalId), "pending");
+});
+
+test("an approval is only used up by a run that starts", async () => {
+  const approvalId = await requestApproval({
+    sender: "billing@invoices-secure.test",
+    includeMailboxes: ["*@nowhere.test"]
+  });
+  await api.request("POST", `/api/approvals/${approvalId}/approve`, undefined, as("bob"));
+
+  const { status } = await runApproved(approvalId, "alice");
+  assert.equal(status, 400);
+  assert.equal(await approvalStatus(approvalId), "approved");
+});
+
+test("an approved deletion runs once", async () => {
+  const approvalId = await requestApproval({ sender: "billing@invoices-secure.test" });
+  await api.request("POST", `/api/approvals/${approvalId}/approve`, undefined, as("bob"));
+
+  const first = await runApproved(approvalId, "bob");
+  assert.equal(first.status, 200);
+  assert.ok(first.body.summary.totalDeleted > 0);
+  assert.equal(await approvalStatus(approvalId), "executed");
+
+  const second = await runApproved(approvalId, "bob");
+  assert.equal(second.status, 409);
+});
@@ -0,0 +1,92 @@
+const { useSandbox, startApp } = require("./helpers");
+
+const dataDir = useSandbox();
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { randomUUID } = require("crypto");
+const { after, before, test } = require("node:test");
+
+const filters = { sender: "billing@invoices-secure.test", simulate: true };
+const runFile = (runId) => path.join(dataDir, "runs", `${runId}.json`);
+
+let api;
+let runId;
+
+before(async () => {
+  api = await startApp();
+
+  const { status, body } = await api.request("POST", "/api/delete", filters);
+  assert.equal(status, 200);
+  runId = body.runId;
+});
+
+after(() => api.close());
+
+// A copy of the first run as a restart would have left it: still marked
+// running, with one finished mailbox back to pending.
+const interruptedCopy = (mailbox) => {
+  const run = JSON.parse(fs.readFileSync(runFile(runId), "utf8"));
+  const copy = { ...run, id: randomUUID(), status: "running", completedAt: null };
+  copy.mailboxes[mailbox] = { ...copy.mailboxes[mailbox], status: "pending", matched: 0, deleted: 0 };
+  fs.writeFileSync(runFile(copy.id), JSON.stringify(copy));
+  return copy.id;
+};
+
+test("a delete run is checkpointed per mailbox", async () => {
+  assert.ok(fs.existsSync(runFile(runId)));
+
+  const { status, body } = await api.request("GET", `/api/delete-runs/${runId}`);
+
+  assert.equal(status, 200);
+  assert.equal(body.run.mailboxes["ceo@contoso.test"].status, "failed");
+  assert.equal(body.run.mailboxes["alex.carter@contoso.test"].status, "done");
+  assert.ok(body.run.mailboxes["alex.carter@contoso.test"].matched > 0);
+  assert.equal(body.run.progress.total, 6);
+  assert.equal(body.run.progress.done, 5);
+  assert.equal(body.run.progress.failed, 1);
+});
+
+test("a run cut short by a restart is listed as interrupted", async () => {
+  const interruptedId = interruptedCopy("alex.carter@contoso.test");
+
+  const { body } = await api.request("GET", "/api/delete-runs");
+  const listed = body.runs.find((run) => run.id === interruptedId);
+
+  assert.equal(listed.status, "interrupted");
+  assert.equal(listed.progress.pending, 1);
+});
+
+test("a resume continues only the unfinished mailboxes with the run's filters", async () => {
+  const interruptedId = interruptedCopy("alex.carter@contoso.test");
+
+  const { status, body } = await api.request("POST", `/api/delete-runs/${interruptedId}/resume`);
+
+  assert.equal(status, 200);
+  assert.equal(body.resumed, true);
+  assert.deepEqual(
+    body.results.map((result) => result.mailbox),
+    ["alex.carter@contoso.test"]
+  );
+  assert.ok(body.results[0].totalMatches > 0);
+  assert.deepEqual(
+    body.failures.map((failure) => failure.mailbox),
+    ["ceo@contoso.test"]
+  );
+
+  const { body: stored } = await api.request("GET", `/api/delete-runs/${interruptedId}`);
+  assert.equal(stored.run.resumeCount, 1);
+  assert.equal(stored.run.mailboxes["alex.carter@contoso.test"].status, "done");
+  assert.deepEqual(stored.run.filters, (await api.request("GET", `/api/delete-runs/${runId}`)).body.run.filters);
+});
+
+test("a run with every mailbox done has nothing to resume", async () => {
+  const { body } = await api.request("POST", "/api/delete", {
+    ...filters,
+    includeMailboxes: ["alex.carter@contoso.test"]
+  });
+
+  const { status } = await api.request("POST", `/api/delete-runs/${body.runId}/resume`);
+  assert.equal(status, 409);
+});
@@ -0,0 +1,78 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox();
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const { requiresQueryCondition } = require("../src/utils/booleanQuery");
+
+const sender = (value) => ({ field: "sender", value });
+const subject = (value) => ({ field: "subject", value });
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("a negated sender does not target a delete", async () => {
+  const query = { operator: "and", conditions: [{ operator: "not", conditions: [sender("ceo@contoso.test")] }] };
+  const { status } = await api.request("POST", "/api/delete", { query });
+
+  assert.equal(status, 400);
+});
+
+test("a sender in only one OR branch does not target a delete", async () => {
+  const query = { operator: "or", conditions: [sender("billing@invoices-secure.test"), subject("invoice")] };
+  const { status } = await api.request("POST", "/api/delete", { query });
+
+  assert.equal(status, 400);
+});
+
+test("a required sender targets a delete", async () => {
+  const query = { operator: "and", conditions: [sender("billing@invoices-secure.test"), subject("invoice")] };
+  const { status, body } = await api.request("POST", "/api/delete", { query });
+
+  assert.equal(status, 200);
+  assert.ok(body.summary.totalMatches > 0);
+  body.results
+    .flatMap((result) => result.matches)
+    .forEach((match) => assert.equal(match.from, "billing@invoices-secure.test"));
+});
+
+test("a header value alone does not target a delete", async () => {
+  const headers = [{ name: "Authentication-Results", value: "spf=fail" }];
+  const { status } = await api.request("POST", "/api/delete", { headers });
+
+  assert.equal(status, 400);
+});
+
+test("a header value narrowed by a subject targets a delete", async () => {
+  const headers = [{ name: "Reply-To", value: "invoices-secure-pay.test" }];
+  const { status, body } = await api.request("POST", "/api/delete", { headers, subject: "invoice" });
+
+  assert.equal(status, 200);
+  assert.ok(body.summary.totalMatches > 0);
+});
+
+test("requiresQueryCondition only accepts senders every match must have", () => {
+  assert.equal(requiresQueryCondition(sender("a@b.test"), "sender"), true);
+  assert.equal(
+    requiresQueryCondition({ operator: "or", conditions: [sender("a@b.test"), sender("c@d.test")] }, "sender"),
+    true
+  );
+  assert.equal(
+    requiresQueryCondition(
+      { operator: "and", conditions: [subject("x"), { operator: "or", conditions: [sender("a@b.test"), subject("y")] }] },
+      "sender"
+    ),
+    false
+  );
+  assert.equal(
+    requiresQueryCondition({ operator: "not", conditions: [{ operator: "and", conditions: [sender("a@b.test")] }] }, "sender"),
+    false
+  );
+});
@@ -0,0 +1,32 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox({ ALLOWED_DELETE_MODES: "" });
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("an empty ALLOWED_DELETE_MODES allows no delete mode", async () => {
+  const { body } = await api.request("GET", "/api/delete-policy");
+  assert.deepEqual(body.policy.allowedModes, []);
+  assert.equal(body.policy.defaultMode, null);
+});
+
+test("deletes and purges are both refused", async () => {
+  const deleted = await api.request("POST", "/api/delete", { sender: "billing@invoices-secure.test", simulate: true });
+  const purged = await api.request("POST", "/api/purge-sender", {
+    senderEmail: "billing@invoices-secure.test",
+    simulate: true
+  });
+
+  assert.equal(deleted.status, 403);
+  assert.equal(purged.status, 403);
+  assert.equal(purged.body.error.details.setting, "ALLOWED_DELETE_MODES");
+});
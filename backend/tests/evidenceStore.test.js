@@ -0,0 +1,63 @@
+const { useSandbox } = require("./helpers");
+
+const dataDir = useSandbox();
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { test } = require("node:test");
+
+const { createEvidenceWriter } = require("../src/utils/evidenceStore");
+
+const evidenceDir = path.join(dataDir, "evidence");
+const message = (index) => ({
+  mailbox: "alex.carter@contoso.test",
+  internetMessageId: `<evidence-${index}@mail.test>`,
+  originalItemId: `item-${index}`,
+  originalFolder: "Inbox"
+});
+
+test("a zip export lists every message with its hash next to the archive", async () => {
+  const writer = await createEvidenceWriter("complete", "zip");
+  await writer.add(message(1), Buffer.from("Subject: one\r\n\r\nbody"));
+  await writer.add(message(2), Buffer.from("Subject: two\r\n\r\nbody"));
+
+  const exported = await writer.finalize();
+
+  assert.equal(exported.files, 2);
+  assert.ok(fs.existsSync(exported.location));
+  const manifest = JSON.parse(fs.readFileSync(exported.manifest, "utf8"));
+  assert.deepEqual(
+    manifest.files.map((file) => file.file),
+    ["alex.carter@contoso.test_evidence-1@mail.test.eml", "alex.carter@contoso.test_evidence-2@mail.test.eml"]
+  );
+  assert.match(manifest.archive.sha256, /^[0-9a-f]{64}$/);
+});
+
+test("an archive that cannot be created fails the export before anything is added", async () => {
+  fs.mkdirSync(path.join(evidenceDir, "blocked.zip"), { recursive: true });
+
+  await assert.rejects(createEvidenceWriter("blocked", "zip"), { code: "EISDIR" });
+});
+
+test(
+  "once the archive cannot be written, later messages and the export fail",
+  { skip: !fs.existsSync("/dev/full") && "needs /dev/full" },
+  async () => {
+    fs.mkdirSync(evidenceDir, { recursive: true });
+    fs.symlinkSync("/dev/full", path.join(evidenceDir, "full.zip"));
+
+    const writer = await createEvidenceWriter("full", "zip");
+    await writer.add(message(1), Buffer.alloc(64 * 1024, "a"));
+
+    // The failed write surfaces asynchronously.
+    let failure = null;
+    for (let index = 2; !failure && index < 50; index += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      failure = await writer.add(message(index), Buffer.from("body")).then(() => null, (error) => error);
+    }
+
+    assert.equal(failure?.code, "ENOSPC");
+    await assert.rejects(writer.finalize(), { code: "ENOSPC" });
+  }
+);
@@ -0,0 +1,71 @@
+const { useSandbox } = require("./helpers");
+
+useSandbox({
+  GRAPH_TENANT_ID: "tenant",
+  GRAPH_CLIENT_ID: "client",
+  GRAPH_CLIENT_SECRET: "secret",
+  EWS_MAX_RETRIES: "2",
+  EWS_RETRY_BASE_DELAY_MS: "50"
+});
+
+const assert = require("node:assert/strict");
+const { afterEach, test } = require("node:test");
+
+const graphProvider = require("../src/providers/graphProvider");
+
+const MAILBOX = "alice@contoso.test";
+const originalFetch = global.fetch;
+
+// Stands in for Graph: the token endpoint always succeeds and each $batch
+// call is answered by the next entry of `batches`, given the request ids it
+// was sent.
+const stubGraph = (batches) => {
+  const sent = [];
+
+  global.fetch = async (url, options) => {
+    if (String(url).includes("/oauth2/v2.0/token")) {
+      return new Response(JSON.stringify({ access_token: "token", expires_in: 3600 }), { status: 200 });
+    }
+
+    const ids = JSON.parse(options.body).requests.map((request) => request.id);
+    sent.push(ids);
+    const responses = batches[sent.length - 1](ids);
+    return new Response(JSON.stringify({ responses }), { status: 200 });
+  };
+
+  return sent;
+};
+
+afterEach(() => {
+  global.fetch = originalFetch;
+});
+
+test("throttled sub-requests of a batch are sent again until they succeed", async () => {
+  const sent = stubGraph([
+    () => [
+      { id: "0", status: 204 },
+      { id: "1", status: 429, headers: { "Retry-After": "0" } },
+      { id: "2", status: 503 }
+    ],
+    (ids) => ids.map((id) => ({ id, status: 204 }))
+  ]);
+
+  const mailbox = await graphProvider.openMailbox(MAILBOX);
+  const deleted = await mailbox.deleteItems(["a", "b", "c"], "softdelete");
+
+  assert.equal(deleted, 3);
+  assert.deepEqual(sent, [["0", "1", "2"], ["1", "2"]]);
+});
+
+test("sub-requests still throttled after the last retry are reported as failures", async () => {
+  const throttled = (ids) => ids.map((id) => ({ id, status: id === "0" ? 204 : 429 }));
+  const sent = stubGraph([throttled, throttled, throttled]);
+
+  const mailbox = await graphProvider.openMailbox(MAILBOX);
+  await assert.rejects(mailbox.deleteItems(["a", "b"], "softdelete"), (error) => {
+    assert.equal(error.details.succeeded, 1);
+    assert.equal(error.details.failed, 1);
+    return true;
+  });
+  assert.deepEqual(sent, [["0", "1"], ["1"], ["1"]]);
+});
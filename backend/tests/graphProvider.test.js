@@ -0,0 +1,113 @@
+const { useSandbox, startApp } = require("./helpers");
+const { startGraphStandIn } = require("./graphStandIn");
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const ATTACKER = "billing@invoices-secure.test";
+
+const phish = (index, folder = "inbox") => ({
+  folder,
+  from: ATTACKER,
+  subject: `Overdue invoice ${index}`,
+  internetMessageId: `<invoice-${index}@invoices-secure.test>`
+});
+
+let graph;
+let api;
+let softDeleteRunId;
+
+// The provider's settings are read when it is first loaded, so the stand-in
+// has to be listening before the app is started.
+before(async () => {
+  graph = await startGraphStandIn({
+    mailboxes: {
+      "alice@contoso.test": [
+        phish(1),
+        phish(2),
+        phish(3),
+        phish(4, "junkemail"),
+        phish(5),
+        { folder: "inbox", from: "it@contoso.test", subject: "Password expiry" }
+      ],
+      "bob@contoso.test": [phish(6), { folder: "inbox", from: "hr@contoso.test", subject: "Overdue timesheet" }]
+    }
+  });
+
+  useSandbox({
+    ...graph.env,
+    GRAPH_PAGE_SIZE: "2",
+    AUTH_USER_HEADER: "x-remote-user",
+    AUTH_USER_HEADER_TRUSTED: "true"
+  });
+  api = await startApp();
+});
+
+after(async () => {
+  await api?.close();
+  await graph?.close();
+});
+
+const as = (user) => ({ "x-remote-user": user });
+
+const countByMailbox = (body) =>
+  Object.fromEntries(body.results.map((result) => [result.mailbox, result.totalMatches]));
+
+test("a sender search runs as an exact $filter in every mailbox", async () => {
+  const { status, body } = await api.request("POST", "/api/search", { sender: ATTACKER });
+
+  assert.equal(status, 200);
+  assert.deepEqual(countByMailbox(body), { "alice@contoso.test": 5, "bob@contoso.test": 1 });
+  const listings = graph.requests.filter((request) => request.path.endsWith("/messages") && request.query.$filter);
+  assert.ok(listings.length > 0);
+  assert.ok(listings.every((request) => request.query.$filter === `from/emailAddress/address eq '${ATTACKER}'`));
+});
+
+test("a subject search runs as $search", async () => {
+  const { status, body } = await api.request("POST", "/api/search", { subject: "Overdue" });
+
+  assert.equal(status, 200);
+  assert.deepEqual(countByMailbox(body), { "alice@contoso.test": 5, "bob@contoso.test": 2 });
+});
+
+test("results are read across pages through @odata.nextLink", async () => {
+  graph.requests.length = 0;
+
+  const { body } = await api.request("POST", "/api/search", { sender: ATTACKER, folders: ["Inbox"] });
+
+  assert.equal(countByMailbox(body)["alice@contoso.test"], 4);
+  const inboxPath = `/v1.0/users/${encodeURIComponent("alice@contoso.test")}/mailFolders/inbox/messages`;
+  const pages = graph.requests.filter((request) => request.path === inboxPath);
+  assert.deepEqual(
+    pages.map((request) => request.query.$skiptoken),
+    [undefined, "2"]
+  );
+});
+
+test("an approved soft delete moves the matches to Deleted Items", async () => {
+  const filters = { sender: ATTACKER, includeMailboxes: ["bob@contoso.test"], deleteMode: "softDelete" };
+  const requested = await api.request("POST", "/api/delete", { ...filters, simulate: false }, as("alice"));
+  const approvalId = requested.body.approval.id;
+  await api.request("POST", `/api/approvals/${approvalId}/approve`, undefined, as("bob"));
+
+  const { status, body } = await api.request(
+    "POST",
+    "/api/delete",
+    { ...filters, simulate: false, approvalId },
+    as("alice")
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.totalDeleted, 1);
+  assert.deepEqual(graph.folderOf("bob@contoso.test", "<invoice-6@invoices-secure.test>"), ["deleteditems"]);
+  softDeleteRunId = body.runId;
+});
+
+test("a restore finds soft-deleted messages in Deleted Items and moves them back", async () => {
+  const { status, body } = await api.request("POST", "/api/restore", { runId: softDeleteRunId }, as("alice"));
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.totalRestored, 1);
+  assert.equal(body.summary.totalNotFound, 0);
+  assert.deepEqual(graph.folderOf("bob@contoso.test", "<invoice-6@invoices-secure.test>"), ["inbox"]);
+});
@@ -0,0 +1,227 @@
+const express = require("express");
+
+const WELL_KNOWN_FOLDERS = [
+  { id: "inbox", displayName: "Inbox" },
+  { id: "junkemail", displayName: "Junk Email" },
+  { id: "deleteditems", displayName: "Deleted Items" }
+];
+
+const graphError = (res, status, message) => res.status(status).json({ error: { code: "BadRequest", message } });
+
+const readPath = (message, path) => path.split("/").reduce((value, key) => value?.[key], message);
+
+// $filter as graphProvider writes it: clauses joined by "and", each a
+// comparison or a parenthesised "or" of comparisons.
+const matchesFilter = (message, filter) =>
+  filter.split(" and ").every((clause) =>
+    clause
+      .replace(/^\((.*)\)$/, "$1")
+      .split(" or ")
+      .some((comparison) => {
+        const match = comparison.match(/^(\S+) (eq|ge|le) (?:'((?:[^']|'')*)'|(\S+))$/);
+        if (!match) {
+          throw new Error(`Unsupported $filter clause: ${comparison}`);
+        }
+        const [, path, operator, quoted, raw] = match;
+        const actual = String(readPath(message, path));
+        const expected = quoted !== undefined ? quoted.replace(/''/g, "'") : raw;
+
+        if (operator === "eq") {
+          return quoted !== undefined ? actual.toLowerCase() === expected.toLowerCase() : actual === expected;
+        }
+        return operator === "ge" ? actual >= expected : actual <= expected;
+      })
+  );
+
+// $search as graphProvider writes it: from: and subject: phrases joined by AND.
+const matchesSearch = (message, search) =>
+  search
+    .replace(/^"(.*)"$/, "$1")
+    .split(" AND ")
+    .every((term) => {
+      const match = term.match(/^(from|subject):\\"(.*)\\"$/);
+      if (!match) {
+        throw new Error(`Unsupported $search term: ${term}`);
+      }
+      const value = match[2].toLowerCase();
+      return match[1] === "from"
+        ? message.from.emailAddress.address.toLowerCase().includes(value)
+        : message.subject.toLowerCase().includes(value);
+    });
+
+// A local stand-in for Microsoft Graph and its token endpoint, reached through
+// GRAPH_BASE_URL and GRAPH_AUTHORITY_URL. Messages live in memory per mailbox
+// and folder; it understands the requests graphProvider sends and answers
+// anything else with 400 so a test cannot pass by accident. Deleting a message
+// moves it to Deleted Items under a new id, as Graph does.
+const startGraphStandIn = async ({ mailboxes }) => {
+  const app = express();
+  const requests = [];
+  let nextId = 1;
+  const newId = () => `msg-${nextId++}`;
+  const state = Object.fromEntries(
+    Object.entries(mailboxes).map(([address, messages]) => [
+      address,
+      messages.map((message) => ({
+        id: newId(),
+        hasAttachments: false,
+        bodyPreview: "",
+        body: { contentType: "text", content: "" },
+        receivedDateTime: "2026-10-01T08:00:00Z",
+        ...message,
+        from: { emailAddress: { address: message.from } },
+        sender: { emailAddress: { address: message.from } }
+      }))
+    ])
+  );
+
+  let baseUrl;
+  const findMessage = (mailbox, id) => (state[mailbox] || []).find((message) => message.id === id);
+
+  app.use(express.json());
+  app.use((req, _res, next) => {
+    requests.push({ method: req.method, path: req.path, query: { ...req.query } });
+    next();
+  });
+
+  app.post("/authority/:tenant/oauth2/v2.0/token", (_req, res) => {
+    res.json({ access_token: "stand-in-token", expires_in: 3600 });
+  });
+
+  app.use("/v1.0", (req, res, next) => {
+    if (req.get("authorization") !== "Bearer stand-in-token") {
+      graphError(res, 401, "Missing or wrong access token");
+      return;
+    }
+    next();
+  });
+
+  app.get("/v1.0/users", (_req, res) => {
+    res.json({
+      value: Object.keys(state).map((address) => ({
+        id: address,
+        displayName: address.split("@")[0],
+        mail: address,
+        userPrincipalName: address
+      }))
+    });
+  });
+
+  app.get("/v1.0/users/:mailbox/mailFolders/:folderId/childFolders", (req, res) => {
+    const folders = req.params.folderId === "msgfolderroot" ? WELL_KNOWN_FOLDERS : [];
+    const name = req.query.$filter?.match(/^displayName eq '(.*)'$/)?.[1];
+    res.json({
+      value: folders
+        .filter((folder) => !name || folder.displayName === name)
+        .map((folder) => ({ ...folder, childFolderCount: 0 }))
+    });
+  });
+
+  app.get("/v1.0/users/:mailbox/mailFolders/:folderId/messages", (req, res) => {
+    const { $filter: filter, $search: search, $top: top, $skiptoken: skipToken } = req.query;
+    if (filter && search) {
+      graphError(res, 400, "$search and $filter cannot be combined on messages");
+      return;
+    }
+
+    let matching;
+    try {
+      matching = (state[req.params.mailbox] || []).filter(
+        (message) =>
+          message.folder === req.params.folderId &&
+          (!filter || matchesFilter(message, filter)) &&
+          (!search || matchesSearch(message, search))
+      );
+    } catch (error) {
+      graphError(res, 400, error.message);
+      return;
+    }
+
+    const offset = Number(skipToken || 0);
+    const pageSize = Number(top || 10);
+    const page = matching.slice(offset, offset + pageSize);
+    const payload = { value: page };
+
+    if (offset + pageSize < matching.length) {
+      const next = new URL(`${baseUrl}${req.originalUrl}`);
+      next.searchParams.set("$skiptoken", String(offset + pageSize));
+      payload["@odata.nextLink"] = next.toString();
+    }
+    res.json(payload);
+  });
+
+  app.get("/v1.0/users/:mailbox/messages/:id", (req, res) => {
+    const message = findMessage(req.params.mailbox, req.params.id);
+    if (!message) {
+      graphError(res, 404, "Message not found");
+      return;
+    }
+    res.json(message);
+  });
+
+  app.get("/v1.0/users/:mailbox/messages/:id/\\$value", (req, res) => {
+    const message = findMessage(req.params.mailbox, req.params.id);
+    if (!message) {
+      graphError(res, 404, "Message not found");
+      return;
+    }
+    res
+      .type("message/rfc822")
+      .send(`Message-ID: ${message.internetMessageId}\r\nSubject: ${message.subject}\r\n\r\n${message.body.content}`);
+  });
+
+  const runBatchRequest = ({ id, method, url, body }) => {
+    const match = url.match(/^\/users\/([^/]+)\/messages\/([^/]+)(\/move|\/permanentDelete)?$/);
+    const mailbox = match && decodeURIComponent(match[1]);
+    const message = match && findMessage(mailbox, decodeURIComponent(match[2]));
+
+    if (!message) {
+      return { id, status: 404, body: { error: { message: "Message not found" } } };
+    }
+    if (method === "DELETE" && !match[3]) {
+      Object.assign(message, { id: newId(), folder: "deleteditems" });
+      return { id, status: 204 };
+    }
+    if (method === "POST" && match[3] === "/move") {
+      Object.assign(message, { id: newId(), folder: body.destinationId });
+      return { id, status: 201, body: { id: message.id } };
+    }
+    if (method === "POST" && match[3] === "/permanentDelete") {
+      state[mailbox] = state[mailbox].filter((entry) => entry !== message);
+      return { id, status: 204 };
+    }
+    return { id, status: 400, body: { error: { message: `Unsupported batch request ${method} ${url}` } } };
+  };
+
+  app.post("/v1.0/\\$batch", (req, res) => {
+    res.json({ responses: req.body.requests.map(runBatchRequest) });
+  });
+
+  app.use((req, res) => graphError(res, 400, `Unsupported request ${req.method} ${req.path}`));
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  baseUrl = origin;
+
+  return {
+    env: {
+      MAIL_PROVIDER: "graph",
+      GRAPH_TENANT_ID: "tenant",
+      GRAPH_CLIENT_ID: "client",
+      GRAPH_CLIENT_SECRET: "secret",
+      GRAPH_BASE_URL: `${origin}/v1.0`,
+      GRAPH_AUTHORITY_URL: `${origin}/authority`
+    },
+    state,
+    requests,
+    folderOf: (mailbox, internetMessageId) =>
+      state[mailbox].filter((message) => message.internetMessageId === internetMessageId).map((m) => m.folder),
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+module.exports = {
+  startGraphStandIn
+};
@@ -0,0 +1,43 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox({ AUTH_USER_HEADER: "x-remote-user" });
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const filters = { sender: "billing@invoices-secure.test" };
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("the user header names the caller", async () => {
+  const { status, body } = await api.request("GET", "/api/me", undefined, { "x-remote-user": "Alice" });
+  assert.equal(status, 200);
+  assert.equal(body.user.id, "alice");
+});
+
+test("an untrusted user header cannot request a live deletion", async () => {
+  const { status, body } = await api.request(
+    "POST",
+    "/api/delete",
+    { ...filters, simulate: false },
+    { "x-remote-user": "alice" }
+  );
+  assert.equal(status, 403);
+  assert.deepEqual(body.error.details.settings, ["OIDC_ISSUER", "AUTH_USER_HEADER_TRUSTED"]);
+});
+
+test("simulated deletions still run under an untrusted user header", async () => {
+  const { status } = await api.request(
+    "POST",
+    "/api/delete",
+    { ...filters, simulate: true },
+    { "x-remote-user": "alice" }
+  );
+  assert.equal(status, 200);
+});
@@ -0,0 +1,50 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Runs the API against the sandbox mail store with its state in a throwaway
+// directory. Settings have to be in place before the app is first required,
+// so every test file calls this before anything else.
+const useSandbox = (env = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "exchange-remover-test-"));
+
+  Object.assign(process.env, {
+    MAIL_PROVIDER: "simulated",
+    SANDBOX_LATENCY_MS: "0",
+    LOG_LEVEL: "silent",
+    DELETE_RUN_DIR: path.join(dataDir, "runs"),
+    PURGE_LOG_DIR: path.join(dataDir, "logs"),
+    EVIDENCE_DIR: path.join(dataDir, "evidence"),
+    ...env
+  });
+
+  return dataDir;
+};
+
+// Starts the app on a free port; `request` resolves to { status, body }.
+const startApp = async () => {
+  const app = require("../src/app");
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, url, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { "Content-Type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, close };
+};
+
+module.exports = {
+  useSandbox,
+  startApp
+};
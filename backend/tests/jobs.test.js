@@ -0,0 +1,78 @@
+const { useSandbox, startApp } = require("./helpers");
+
+// Some latency, so a job can be seen part-way through.
+useSandbox({ SANDBOX_LATENCY_MS: "50" });
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const filters = { sender: "billing@invoices-secure.test" };
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+// Polls a job until it finishes and returns every state it was seen in.
+const followJob = async (job) => {
+  const seen = [job];
+  while (seen.at(-1).status === "queued" || seen.at(-1).status === "running") {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const { status, body } = await api.request("GET", `/api/jobs/${job.id}`);
+    assert.equal(status, 200);
+    seen.push(body.job);
+  }
+  return seen;
+};
+
+test("a search job reports progress and partial results, then keeps the final results", async () => {
+  const { status, body } = await api.request("POST", "/api/jobs", { type: "search", filters });
+  assert.equal(status, 202);
+  assert.equal(body.job.status, "queued");
+
+  const seen = await followJob(body.job);
+  const finished = seen.at(-1);
+  const partial = seen.filter((job) => job.status === "running" && job.progress.done > 0);
+
+  // Mailboxes without matches count as done but add no result.
+  assert.ok(partial.some((job) => job.progress.done < job.progress.total && job.results.length > 0));
+  partial.forEach((job) => {
+    assert.ok(job.results.length + job.failures.length <= job.progress.done);
+  });
+
+  const direct = await api.request("POST", "/api/search", filters);
+  assert.equal(finished.status, "completed");
+  assert.deepEqual(finished.progress, { total: 6, done: 6 });
+  assert.equal(finished.result.summary.totalMessages, direct.body.summary.totalMessages);
+  assert.deepEqual(
+    finished.failures.map((failure) => failure.mailbox),
+    ["ceo@contoso.test"]
+  );
+});
+
+test("a simulated delete job finishes with its run id", async () => {
+  const { body } = await api.request("POST", "/api/jobs", { type: "delete", filters: { ...filters, simulate: true } });
+
+  const finished = (await followJob(body.job)).at(-1);
+  assert.equal(finished.status, "completed");
+  assert.ok(finished.result.runId);
+  assert.equal(finished.result.summary.totalDeleted, 0);
+});
+
+test("a live delete job is not queued without an approval", async () => {
+  const { status, body } = await api.request("POST", "/api/jobs", {
+    type: "delete",
+    filters: { ...filters, simulate: false }
+  });
+
+  assert.equal(status, 401);
+  assert.equal(body.job, undefined);
+});
+
+test("unknown jobs and job types are refused", async () => {
+  assert.equal((await api.request("GET", "/api/jobs/00000000-0000-4000-8000-000000000000")).status, 404);
+  assert.equal((await api.request("POST", "/api/jobs", { type: "export", filters })).status, 400);
+});
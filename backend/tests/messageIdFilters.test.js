@@ -0,0 +1,42 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox();
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const graphProvider = require("../src/providers/graphProvider");
+
+const MESSAGE_ID = "<overdue-invoice-inv-20931-0@mail.test>";
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("a delete by message id only matches copies of that message", async () => {
+  const { status, body } = await api.request("POST", "/api/delete", { internetMessageIds: [MESSAGE_ID] });
+
+  assert.equal(status, 200);
+  const matches = body.results.flatMap((result) => result.matches);
+  assert.ok(matches.length > 0);
+  assert.equal(body.summary.totalMatches, matches.length);
+  matches.forEach((match) => assert.equal(match.internetMessageId, MESSAGE_ID));
+});
+
+test("message ids cannot be combined with a size range or message classes", async () => {
+  for (const extra of [{ minSize: 0 }, { maxSize: 1048576 }, { messageClasses: ["email"] }]) {
+    const { status } = await api.request("POST", "/api/delete", { internetMessageIds: [MESSAGE_ID], ...extra });
+    assert.equal(status, 400, JSON.stringify(extra));
+  }
+});
+
+test("Graph matches message ids with an exact $filter", () => {
+  const { search, filter } = graphProvider.buildQuery({ internetMessageIds: [MESSAGE_ID] });
+
+  assert.equal(search, null);
+  assert.equal(filter, `internetMessageId eq '${MESSAGE_ID}'`);
+});
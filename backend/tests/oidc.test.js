@@ -0,0 +1,108 @@
+const { spawn, spawnSync } = require("child_process");
+const net = require("net");
+const path = require("path");
+
+const { useSandbox, startApp } = require("./helpers");
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const backendDir = path.join(__dirname, "..");
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once("error", reject);
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+
+const waitFor = async (url, attempts = 100) => {
+  for (let attempt = 0; attempt < attempts; attempt += 1) {
+    try {
+      const response = await fetch(url);
+      if (response.ok) {
+        return;
+      }
+    } catch (_) {
+      // not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error(`${url} did not come up`);
+};
+
+let api;
+let issuer;
+let mockIdp;
+
+// The mock identity provider issues access tokens for exchange-remover-api
+// and ID tokens for its client id, which is what a real provider does too.
+before(async () => {
+  const port = await freePort();
+  issuer = `http://localhost:${port}`;
+
+  mockIdp = spawn(process.execPath, ["sandbox/mockOidcProvider.js"], {
+    cwd: backendDir,
+    env: { ...process.env, MOCK_OIDC_PORT: String(port), LOG_LEVEL: "silent" },
+    stdio: "ignore"
+  });
+  await waitFor(`${issuer}/.well-known/openid-configuration`);
+
+  useSandbox({ OIDC_ISSUER: issuer, OIDC_AUDIENCE: "exchange-remover-api" });
+  api = await startApp();
+});
+
+after(async () => {
+  await api?.close();
+  mockIdp?.kill();
+});
+
+const signIn = async (username) => {
+  const response = await fetch(`${issuer}/token`, {
+    method: "POST",
+    body: new URLSearchParams({ grant_type: "password", client_id: "exchange-remover", username })
+  });
+  assert.equal(response.status, 200);
+  return response.json();
+};
+
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+test("an access token identifies the user", async () => {
+  const tokens = await signIn("alice@contoso.com");
+
+  const { status, body } = await api.request("GET", "/api/me", undefined, bearer(tokens.access_token));
+  assert.equal(status, 200);
+  assert.equal(body.user.id, "alice@contoso.com");
+});
+
+test("an ID token is not accepted as bearer", async () => {
+  const tokens = await signIn("alice@contoso.com");
+
+  const { status, headers } = await api.request("GET", "/api/me", undefined, bearer(tokens.id_token));
+  assert.equal(status, 401);
+  assert.match(headers.get("www-authenticate"), /invalid_token/);
+});
+
+test("a token without any identity claim is rejected", () => {
+  const { toUser } = require("../src/utils/oidc");
+
+  assert.throws(() => toUser({ iss: issuer, aud: "exchange-remover-api" }), { status: 401 });
+});
+
+test("the API refuses to start with an issuer but no audience", () => {
+  const env = { ...process.env, OIDC_ISSUER: issuer };
+  delete env.OIDC_AUDIENCE;
+
+  const result = spawnSync(process.execPath, ["-e", "require('./src/utils/oidc')"], {
+    cwd: backendDir,
+    env,
+    encoding: "utf8",
+    timeout: 30000
+  });
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /OIDC_AUDIENCE must be set/);
+});
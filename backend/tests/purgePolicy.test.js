@@ -0,0 +1,59 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox({ ALLOWED_DELETE_MODES: "quarantine", AUTH_USER_HEADER: "x-remote-user", AUTH_USER_HEADER_TRUSTED: "true" });
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const purge = { senderEmail: "billing@invoices-secure.test" };
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+test("a purge is refused when soft deletes are not an allowed mode", async () => {
+  const { status, body } = await api.request("POST", "/api/purge-sender", { ...purge, simulate: true });
+
+  assert.equal(status, 403);
+  assert.equal(body.error.details.deleteMode, "softDelete");
+});
+
+test("a live purge is refused before an approval is filed", async () => {
+  const { status, body } = await api.request(
+    "POST",
+    "/api/purge-sender",
+    { ...purge, simulate: false },
+    { "x-remote-user": "alice" }
+  );
+
+  assert.equal(status, 403);
+  assert.equal(body.approval, undefined);
+});
+
+test("the allowed mode still runs through /api/delete", async () => {
+  const { status, body } = await api.request("POST", "/api/delete", {
+    sender: purge.senderEmail,
+    deleteMode: "quarantine",
+    simulate: true
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.mode, "quarantine");
+});
+
+test("a purge's deleteMode decides between a soft and a hard delete", async () => {
+  const hard = await api.request("POST", "/api/purge-sender", { ...purge, deleteMode: "HardDelete", simulate: true });
+  const moved = await api.request("POST", "/api/purge-sender", {
+    ...purge,
+    deleteMode: "moveToDeletedItems",
+    simulate: true
+  });
+
+  assert.equal(hard.status, 403);
+  assert.equal(hard.body.error.details.setting, "ALLOW_HARD_DELETE");
+  assert.equal(moved.status, 400);
+});
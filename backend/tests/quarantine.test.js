@@ -0,0 +1,72 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox({ AUTH_USER_HEADER: "x-remote-user", AUTH_USER_HEADER_TRUSTED: "true" });
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const as = (user) => ({ "x-remote-user": user });
+
+const SENDER = "billing@invoices-secure.test";
+const QUARANTINE = "Exchange Remover Quarantine";
+const filters = { sender: SENDER, deleteMode: "quarantine" };
+
+let api;
+let run;
+let counts;
+
+const countMatches = async (folders) => {
+  const { body } = await api.request("POST", "/api/search", { sender: SENDER, folders });
+  return body.summary.totalMessages;
+};
+
+const countAll = async () => ({
+  defaultFolders: await countMatches(),
+  quarantine: await countMatches([QUARANTINE]),
+  allFolders: await countMatches(["AllMailFolders"])
+});
+
+// A live quarantine, approved by bob on alice's request.
+before(async () => {
+  api = await startApp();
+  counts = await countAll();
+
+  const requested = await api.request("POST", "/api/delete", { ...filters, simulate: false }, as("alice"));
+  const approvalId = requested.body.approval.id;
+  await api.request("POST", `/api/approvals/${approvalId}/approve`, undefined, as("bob"));
+
+  run = await api.request("POST", "/api/delete", { ...filters, simulate: false, approvalId }, as("alice"));
+  assert.equal(run.status, 200);
+});
+
+after(() => api.close());
+
+test("quarantined messages are moved to the quarantine folder with their original location", async () => {
+  assert.equal(run.body.summary.mode, "quarantine");
+  assert.equal(run.body.summary.totalDeleted, counts.defaultFolders);
+
+  const records = run.body.results.flatMap((result) => result.quarantined);
+  assert.equal(records.length, counts.defaultFolders);
+  records.forEach((record) => {
+    assert.ok(["Inbox", "JunkEmail"].includes(record.originalFolder));
+    assert.equal(record.quarantineFolder, QUARANTINE);
+    assert.ok(record.itemId);
+    assert.ok(record.originalItemId);
+    assert.notEqual(record.itemId, record.originalItemId);
+  });
+
+  assert.equal(await countMatches(), 0);
+  assert.equal(await countMatches([QUARANTINE]), counts.quarantine + counts.defaultFolders);
+});
+
+test("bulk folder selections skip the quarantine folder", async () => {
+  assert.equal(await countMatches(["AllMailFolders"]), counts.allFolders - counts.defaultFolders);
+});
+
+test("a restore puts quarantined messages back where they were", async () => {
+  const { status, body } = await api.request("POST", "/api/restore", { runId: run.body.runId }, as("alice"));
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.totalRestored, counts.defaultFolders);
+  assert.deepEqual(await countAll(), counts);
+});
@@ -0,0 +1,74 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox({ AUTH_USER_HEADER: "x-remote-user", AUTH_USER_HEADER_TRUSTED: "true" });
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const as = (user) => (user ? { "x-remote-user": user } : {});
+
+const filters = { sender: "billing@invoices-secure.test", deleteMode: "softDelete" };
+
+let api;
+let runId;
+let deleted;
+
+const countMatches = async () => {
+  const { body } = await api.request("POST", "/api/search", { sender: filters.sender });
+  return body.results.reduce((total, result) => total + result.totalMatches, 0);
+};
+
+// A live soft delete, approved by bob on alice's request, to restore.
+before(async () => {
+  api = await startApp();
+
+  const requested = await api.request("POST", "/api/delete", { ...filters, simulate: false }, as("alice"));
+  assert.equal(requested.status, 202);
+  const approvalId = requested.body.approval.id;
+
+  const approved = await api.request("POST", `/api/approvals/${approvalId}/approve`, undefined, as("bob"));
+  assert.equal(approved.status, 200);
+
+  const run = await api.request("POST", "/api/delete", { ...filters, simulate: false, approvalId }, as("alice"));
+  assert.equal(run.status, 200);
+  deleted = run.body.summary.totalDeleted;
+  assert.ok(deleted > 0);
+  runId = run.body.runId;
+});
+
+after(() => api.close());
+
+test("an anonymous caller cannot restore a live run", async () => {
+  const { status } = await api.request("POST", "/api/restore", { runId });
+  assert.equal(status, 401);
+});
+
+test("a user outside the approval cannot restore a live run, directly or as a job", async () => {
+  const direct = await api.request("POST", "/api/restore", { runId }, as("carol"));
+  assert.equal(direct.status, 403);
+
+  const queued = await api.request("POST", "/api/jobs", { type: "restore", filters: { runId } }, as("carol"));
+  assert.equal(queued.status, 202);
+
+  let job = queued.body.job;
+  while (job.status === "queued" || job.status === "running") {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    job = (await api.request("GET", `/api/jobs/${job.id}`, undefined, as("carol"))).body.job;
+  }
+  assert.equal(job.status, "failed");
+  assert.equal(job.error.status, 403);
+});
+
+test("the requester can restore and is logged as the one who restored it", async () => {
+  const matchesBefore = await countMatches();
+
+  const { status, body } = await api.request("POST", "/api/restore", { runId }, as("alice"));
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.totalRestored, deleted);
+  assert.equal(body.logEntry.restoredBy.id, "alice");
+  assert.equal(await countMatches(), matchesBefore + deleted);
+
+  const { body: stored } = await api.request("GET", `/api/delete-runs/${runId}`, undefined, as("alice"));
+  assert.equal(stored.run.restores.at(-1).restoredBy.id, "alice");
+});
@@ -0,0 +1,62 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox({ AUTH_USER_HEADER: "x-remote-user", AUTH_USER_HEADER_TRUSTED: "true" });
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const as = (user) => (user ? { "x-remote-user": user } : {});
+
+let api;
+let runId;
+
+// A live run that leaves the sandbox's unavailable mailbox unfinished, so it
+// can be resumed.
+before(async () => {
+  api = await startApp();
+  const filters = { sender: "billing@invoices-secure.test", simulate: false };
+
+  const requested = await api.request("POST", "/api/delete", filters, as("alice"));
+  assert.equal(requested.status, 202);
+  const approvalId = requested.body.approval.id;
+
+  const approved = await api.request("POST", `/api/approvals/${approvalId}/approve`, undefined, as("bob"));
+  assert.equal(approved.status, 200);
+
+  const run = await api.request("POST", "/api/delete", { ...filters, approvalId }, as("alice"));
+  assert.equal(run.status, 200);
+  assert.ok(run.body.failures.length > 0);
+  runId = run.body.runId;
+});
+
+after(() => api.close());
+
+test("an anonymous caller cannot resume a live run", async () => {
+  const { status } = await api.request("POST", `/api/delete-runs/${runId}/resume`);
+  assert.equal(status, 401);
+});
+
+test("a user outside the approval cannot resume a live run, directly or as a job", async () => {
+  const direct = await api.request("POST", `/api/delete-runs/${runId}/resume`, undefined, as("carol"));
+  assert.equal(direct.status, 403);
+
+  const queued = await api.request("POST", "/api/jobs", { type: "resume", filters: { runId } }, as("carol"));
+  assert.equal(queued.status, 202);
+
+  let job = queued.body.job;
+  while (job.status === "queued" || job.status === "running") {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    job = (await api.request("GET", `/api/jobs/${job.id}`, undefined, as("carol"))).body.job;
+  }
+  assert.equal(job.status, "failed");
+  assert.equal(job.error.status, 403);
+});
+
+test("the approver can resume and is logged as the one who resumed it", async () => {
+  const { status, body } = await api.request("POST", `/api/delete-runs/${runId}/resume`, undefined, as("bob"));
+
+  assert.equal(status, 200);
+  assert.equal(body.logEntry.resumedBy.id, "bob");
+  assert.equal(body.logEntry.requestedBy, null);
+  assert.equal(body.logEntry.approvedBy, null);
+});
@@ -0,0 +1,97 @@
+const { useSandbox, startApp } = require("./helpers");
+
+useSandbox({ AUTH_USER_HEADER: "x-remote-user", AUTH_USER_HEADER_TRUSTED: "true" });
+
+const assert = require("node:assert/strict");
+const { after, before, test } = require("node:test");
+
+const as = (user) => ({ "x-remote-user": user });
+
+const PHISH_SENDER = "billing@invoices-secure.test";
+const HELPDESK_SENDER = "it-helpdesk@contoso-support.test";
+
+let api;
+
+before(async () => {
+  api = await startApp();
+});
+
+after(() => api.close());
+
+const countMatches = async (sender) => {
+  const { body } = await api.request("POST", "/api/search", { sender });
+  return body.summary.totalMessages;
+};
+
+// Files a live request as alice, has bob approve it and runs it as alice.
+const runApproved = async (url, payload) => {
+  const requested = await api.request("POST", url, { ...payload, simulate: false }, as("alice"));
+  assert.equal(requested.status, 202);
+  const approvalId = requested.body.approval.id;
+  await api.request("POST", `/api/approvals/${approvalId}/approve`, undefined, as("bob"));
+  return api.request("POST", url, { ...payload, simulate: false, approvalId }, as("alice"));
+};
+
+test("the seeded mailboxes are listed", async () => {
+  const { status, body } = await api.request("GET", "/api/mailboxes");
+
+  assert.equal(status, 200);
+  const addresses = body.mailboxes.map((mailbox) => mailbox.smtpAddress);
+  assert.ok(addresses.includes("alex.carter@contoso.test"));
+  assert.ok(addresses.includes("ceo@contoso.test"));
+});
+
+test("a search finds the seeded messages and reports the unavailable mailbox", async () => {
+  const { status, body } = await api.request("POST", "/api/search", { sender: PHISH_SENDER });
+
+  assert.equal(status, 200);
+  assert.ok(body.summary.totalMessages > 0);
+  assert.ok(body.results.every((result) => result.matches.every((match) => match.from === PHISH_SENDER)));
+  assert.deepEqual(
+    body.failures.map((failure) => failure.mailbox),
+    ["ceo@contoso.test"]
+  );
+});
+
+test("a simulated delete counts the matches and leaves them in place", async () => {
+  const matches = await countMatches(PHISH_SENDER);
+
+  const { status, body } = await api.request("POST", "/api/delete", { sender: PHISH_SENDER, simulate: true });
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.totalMatches, matches);
+  assert.equal(body.summary.totalDeleted, 0);
+  assert.equal(await countMatches(PHISH_SENDER), matches);
+});
+
+test("an approved live delete removes the matches", async () => {
+  const matches = await countMatches(PHISH_SENDER);
+
+  const { status, body } = await runApproved("/api/delete", { sender: PHISH_SENDER });
+
+  assert.equal(status, 200);
+  assert.equal(body.summary.totalDeleted, matches);
+  assert.equal(await countMatches(PHISH_SENDER), 0);
+});
+
+test("a simulated purge reports what it would delete", async () => {
+  const { status, body } = await api.request("POST", "/api/purge-sender", {
+    senderEmail: HELPDESK_SENDER,
+    simulate: true
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.status, "simulated");
+  assert.match(body.stdout, /\[WHATIF\] Would delete \d+ total items/);
+  assert.ok(body.logEntry.affectedMailboxes.length > 0);
+  assert.ok((await countMatches(HELPDESK_SENDER)) > 0);
+});
+
+test("an approved live purge removes the sender's messages", async () => {
+  const { status, body } = await runApproved("/api/purge-sender", { senderEmail: HELPDESK_SENDER });
+
+  assert.equal(status, 200);
+  assert.equal(body.status, "completed");
+  assert.equal(body.logEntry.approvedBy.id, "bob");
+  assert.equal(await countMatches(HELPDESK_SENDER), 0);
+});
@@ -1,5 +1,6 @@
 ﻿import { BrowserRouter, Navigate, Route, Routes } from "react-router-dom";
 
+import AuthGate from "./components/AuthGate.jsx";
 import Layout from "./components/Layout.jsx";
 import SearchPage from "./pages/SearchPage.jsx";
 import DeletePage from "./pages/DeletePage.jsx";
@@ -7,17 +8,19 @@ import LogsPage from "./pages/LogsPage.jsx";
 
 const App = () => {
   return (
-    <BrowserRouter>
-      <Routes>
-        <Route element={<Layout />}>
-          <Route index element={<Navigate to="/search" replace />} />
-          <Route path="/search" element={<SearchPage />} />
-          <Route path="/delete" element={<DeletePage />} />
-          <Route path="/logs" element={<LogsPage />} />
-          <Route path="*" element={<Navigate to="/search" replace />} />
-        </Route>
-      </Routes>
-    </BrowserRouter>
+    <AuthGate>
+      <BrowserRouter>
+        <Routes>
+          <Route element={<Layout />}>
+            <Route index element={<Navigate to="/search" replace />} />
+            <Route path="/search" element={<SearchPage />} />
+            <Route path="/delete" element={<DeletePage />} />
+            <Route path="/logs" element={<LogsPage />} />
+            <Route path="*" element={<Navigate to="/search" replace />} />
+          </Route>
+        </Routes>
+      </BrowserRouter>
+    </AuthGate>
   );
 };
 
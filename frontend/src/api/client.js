@@ -1,16 +1,20 @@
 import axios from "axios";
 
+import { endSession, getAccessToken, isAuthEnabled } from "./oidc";
+
 const baseURL = (import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api").replace(/\/+$/, "");
 
 const client = axios.create({
   baseURL,
-  timeout: 600000000000000
+  timeout: 120000
 });
 
-client.interceptors.request.use((config) => {
+client.interceptors.request.use(async (config) => {
   const augmented = { ...config };
+  const token = isAuthEnabled ? await getAccessToken() : null;
   augmented.headers = {
     "X-Requested-With": "XMLHttpRequest",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
     ...(config.headers || {})
   };
   return augmented;
@@ -23,6 +27,10 @@ client.interceptors.response.use(
       const requestId = error.response.headers?.["x-request-id"];
       const payload = error.response.data || {};
 
+      if (error.response.status === 401 && isAuthEnabled) {
+        endSession();
+      }
+
       if (payload.error) {
         payload.error.requestId = payload.error.requestId || requestId;
       } else if (requestId) {
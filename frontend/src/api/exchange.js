@@ -1,19 +1,108 @@
 ﻿import client from "./client";
+import { endSession, getAccessToken, isAuthEnabled } from "./oidc";
 
 export const fetchMailboxes = async () => {
   const { data } = await client.get("/mailboxes");
   return data.mailboxes || [];
 };
 
+export const refreshMailboxes = async () => {
+  const { data } = await client.post("/mailboxes/refresh");
+  return data.mailboxes || [];
+};
+
+export const fetchDeletePolicy = async () => {
+  const { data } = await client.get("/delete-policy");
+  return data.policy;
+};
+
 export const searchMessages = async (filters) => {
   const { data } = await client.post("/search", filters);
   return data;
 };
 
+const JOB_POLL_INTERVAL_MS = 1500;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const createJob = async (type, filters) => {
+  const { data } = await client.post("/jobs", { type, filters });
+  return data.job;
+};
+
+export const fetchJob = async (jobId) => {
+  const { data } = await client.get(`/jobs/${encodeURIComponent(jobId)}`);
+  return data.job;
+};
+
+const followJob = async (queued, { onProgress } = {}) => {
+  let job = queued;
+
+  while (job.status === "queued" || job.status === "running") {
+    onProgress?.(job);
+    await wait(JOB_POLL_INTERVAL_MS);
+    job = await fetchJob(job.id);
+  }
+
+  onProgress?.(job);
+
+  if (job.status === "failed") {
+    return Promise.reject({
+      error: { ...job.error, requestId: job.requestId }
+    });
+  }
+
+  return { ...job.result, requestId: job.requestId, jobId: job.id };
+};
+
+// Organisation-wide runs outlive a single HTTP request, so they are queued as
+// server-side jobs and polled until they finish.
+export const runJob = async (type, filters, options) => followJob(await createJob(type, filters), options);
+
+export const searchMessagesAsJob = (filters, options) => runJob("search", filters, options);
+
+// A live delete without an approvalId is not queued; it comes back as an
+// approval request instead.
+export const deleteMessagesAsJob = async (filters, options) => {
+  const { data } = await client.post("/jobs", { type: "delete", filters });
+  return data.approval ? { approval: data.approval } : followJob(data.job, options);
+};
+
+const messagePath = (mailbox, id) => `/messages/${encodeURIComponent(mailbox)}/${encodeURIComponent(id)}`;
+
+export const fetchMessageDetail = async (mailbox, id) => {
+  const { data } = await client.get(messagePath(mailbox, id));
+  return data.message;
+};
+
+// Fetched rather than linked to, since a plain link cannot send the bearer
+// token.
+export const downloadMessageMime = async (mailbox, id) => {
+  const response = await client.get(`${messagePath(mailbox, id)}/mime`, { responseType: "blob" });
+  const match = /filename="([^"]+)"/.exec(response.headers["content-disposition"] || "");
+  return { blob: response.data, fileName: match ? match[1] : "message.eml" };
+};
+
 export const purgeSender = async (payload) => {
   const { data } = await client.post("/purge-sender", payload);
   return data;
 };
+
+export const fetchApprovals = async () => {
+  const { data } = await client.get("/approvals");
+  return data.approvals || [];
+};
+
+export const fetchApproval = async (approvalId) => {
+  const { data } = await client.get(`/approvals/${encodeURIComponent(approvalId)}`);
+  return data.approval;
+};
+
+export const decideApproval = async (approvalId, decision) => {
+  const { data } = await client.post(`/approvals/${encodeURIComponent(approvalId)}/${decision}`);
+  return data.approval;
+};
+
 export const cancelPurge = async (requestId) => {
   const { data } = await client.post("/purge-sender/cancel", { requestId });
   return data;
@@ -57,19 +146,32 @@ export const purgeSenderStream = (payload, onEvent) => {
     return { type: event, data };
   };
 
-  fetch(url, {
-    method: "POST",
-    headers,
-    body: JSON.stringify(payload),
-    signal: controller.signal
-  })
+  (isAuthEnabled ? getAccessToken() : Promise.resolve(null))
+    .then((token) =>
+      fetch(url, {
+        method: "POST",
+        headers: token ? { ...headers, Authorization: `Bearer ${token}` } : headers,
+        body: JSON.stringify(payload),
+        signal: controller.signal
+      })
+    )
     .then(async (response) => {
+      if (response.status === 401 && isAuthEnabled) {
+        endSession();
+      }
       if (!response.ok) {
         const text = await response.text().catch(() => "");
         onEvent?.({ type: "error", data: { message: `HTTP ${response.status}`, body: text } });
         return;
       }
 
+      // Live runs come back as an approval request instead of a stream.
+      if (response.status === 202) {
+        const body = await response.json();
+        onEvent?.({ type: "approval", data: body.approval });
+        return;
+      }
+
       const reader = response.body.getReader();
       let buffer = "";
 
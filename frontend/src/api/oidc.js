@@ -0,0 +1,208 @@
+// OpenID Connect sign-in for the console: authorization code flow with PKCE
+// against VITE_OIDC_ISSUER. Tokens live in sessionStorage, so they are gone
+// once the tab is closed. Without an issuer and client id the console runs
+// unauthenticated, as the backend does without OIDC_ISSUER.
+const issuer = (import.meta.env.VITE_OIDC_ISSUER || "").replace(/\/+$/, "");
+const clientId = import.meta.env.VITE_OIDC_CLIENT_ID || "";
+const scope = import.meta.env.VITE_OIDC_SCOPE || "openid profile email offline_access";
+
+const SESSION_KEY = "exchange-remover.session";
+const PENDING_KEY = "exchange-remover.sign-in";
+const EXPIRY_MARGIN_MS = 30_000;
+
+export const CALLBACK_PATH = "/auth/callback";
+export const isAuthEnabled = Boolean(issuer && clientId);
+
+const redirectUri = () => `${window.location.origin}${CALLBACK_PATH}`;
+
+const sessionEndedListeners = new Set();
+
+let metadataPromise = null;
+
+const getMetadata = () => {
+  if (!metadataPromise) {
+    metadataPromise = fetch(`${issuer}/.well-known/openid-configuration`)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`Identity provider returned ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch((error) => {
+        metadataPromise = null;
+        throw error;
+      });
+  }
+  return metadataPromise;
+};
+
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const randomString = (length = 32) => toBase64Url(crypto.getRandomValues(new Uint8Array(length)));
+
+const sha256 = async (value) => toBase64Url(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value)));
+
+// Reads the claims of the id token for display only; the API verifies the
+// access token itself.
+const decodeClaims = (token) => {
+  const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(atob(payload), (char) => char.charCodeAt(0))));
+};
+
+const readStored = (key) => {
+  try {
+    return JSON.parse(sessionStorage.getItem(key));
+  } catch (_) {
+    return null;
+  }
+};
+
+const requestTokens = async (params) => {
+  const { token_endpoint: tokenEndpoint } = await getMetadata();
+  const response = await fetch(tokenEndpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ client_id: clientId, ...params })
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(body.error_description || body.error || `Token request failed with ${response.status}`);
+  }
+  return body;
+};
+
+const storeSession = (tokens, previous = null) => {
+  const idToken = tokens.id_token || previous?.idToken || null;
+  const claims = idToken ? decodeClaims(idToken) : {};
+  const session = {
+    accessToken: tokens.access_token,
+    idToken,
+    refreshToken: tokens.refresh_token || previous?.refreshToken || null,
+    expiresAt: Date.now() + (Number(tokens.expires_in) || 300) * 1000,
+    user: idToken
+      ? { id: claims.preferred_username || claims.email || claims.sub, name: claims.name || claims.preferred_username }
+      : previous?.user || null
+  };
+
+  sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+};
+
+export const getSession = () => readStored(SESSION_KEY);
+
+export const login = async (returnTo = `${window.location.pathname}${window.location.search}`) => {
+  const metadata = await getMetadata();
+  const verifier = randomString(48);
+  const pending = { verifier, state: randomString(16), nonce: randomString(16), returnTo };
+  const url = new URL(metadata.authorization_endpoint);
+
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: clientId,
+    redirect_uri: redirectUri(),
+    scope,
+    state: pending.state,
+    nonce: pending.nonce,
+    code_challenge: await sha256(verifier),
+    code_challenge_method: "S256"
+  }).toString();
+
+  sessionStorage.setItem(PENDING_KEY, JSON.stringify(pending));
+  window.location.assign(url.toString());
+};
+
+// Exchanges the code the provider redirected back with and returns the path
+// the sign-in started from.
+export const completeLogin = async (search) => {
+  const params = new URLSearchParams(search);
+  const pending = readStored(PENDING_KEY);
+  sessionStorage.removeItem(PENDING_KEY);
+
+  if (params.get("error")) {
+    throw new Error(params.get("error_description") || params.get("error"));
+  }
+  if (!pending || params.get("state") !== pending.state) {
+    throw new Error("The sign-in response does not belong to this browser session");
+  }
+
+  const tokens = await requestTokens({
+    grant_type: "authorization_code",
+    code: params.get("code") || "",
+    redirect_uri: redirectUri(),
+    code_verifier: pending.verifier
+  });
+  if (tokens.id_token && decodeClaims(tokens.id_token).nonce !== pending.nonce) {
+    throw new Error("The id token does not match this sign-in");
+  }
+
+  storeSession(tokens);
+  return pending.returnTo || "/";
+};
+
+let refreshing = null;
+
+// Returns a current access token, refreshing it when it is about to expire;
+// null means the user has to sign in again.
+export const getAccessToken = async () => {
+  const session = getSession();
+
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt - EXPIRY_MARGIN_MS > Date.now()) {
+    return session.accessToken;
+  }
+  if (!session.refreshToken) {
+    return null;
+  }
+
+  if (!refreshing) {
+    refreshing = requestTokens({ grant_type: "refresh_token", refresh_token: session.refreshToken })
+      .then((tokens) => storeSession(tokens, session).accessToken)
+      .catch(() => {
+        sessionStorage.removeItem(SESSION_KEY);
+        return null;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
+export const onSessionEnded = (listener) => {
+  sessionEndedListeners.add(listener);
+  return () => sessionEndedListeners.delete(listener);
+};
+
+// Called when the API turns the token down; the console then asks the user to
+// sign in again rather than redirecting straight away, which would loop if the
+// provider signs them in silently with a token the API keeps rejecting.
+export const endSession = () => {
+  sessionStorage.removeItem(SESSION_KEY);
+  sessionEndedListeners.forEach((listener) => listener());
+};
+
+export const logout = async () => {
+  const session = getSession();
+  sessionStorage.removeItem(SESSION_KEY);
+
+  const metadata = await getMetadata().catch(() => null);
+  if (!metadata?.end_session_endpoint) {
+    window.location.assign("/");
+    return;
+  }
+
+  const url = new URL(metadata.end_session_endpoint);
+  url.search = new URLSearchParams({
+    client_id: clientId,
+    post_logout_redirect_uri: window.location.origin,
+    ...(session?.idToken ? { id_token_hint: session.idToken } : {})
+  }).toString();
+  window.location.assign(url.toString());
+};
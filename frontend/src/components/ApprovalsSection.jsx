@@ -0,0 +1,163 @@
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+
+import { decideApproval, fetchApprovals } from "../api/exchange";
+
+const STATUS_TONES = {
+  pending: "warning",
+  approved: "info",
+  executed: "success",
+  rejected: "danger",
+  expired: "muted"
+};
+
+const formatUser = (user) => (user ? user.name || user.id : "-");
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : "");
+
+const describeSenders = (payload = {}) => {
+  const senders = [payload.senderEmail, payload.sender, payload.senders].flat().filter(Boolean);
+  return senders.length ? senders.join(", ") : "Any sender";
+};
+
+const describeTarget = (approval) => {
+  const payload = approval.payload || {};
+  const subject = payload.subjectContains || payload.subjectEqual || payload.subject;
+  const parts = [describeSenders(payload)];
+
+  if (subject) {
+    parts.push(`subject "${subject}"`);
+  }
+  if (approval.type === "delete" && payload.deleteMode) {
+    parts.push(payload.deleteMode);
+  }
+  if (payload.allowHardDelete) {
+    parts.push("hard delete");
+  }
+  if (payload.purgeRecoverableItems) {
+    parts.push("Recoverable Items purge");
+  }
+  return parts.join(" / ");
+};
+
+const ApprovalsSection = () => {
+  const queryClient = useQueryClient();
+
+  const query = useQuery({
+    queryKey: ["approvals"],
+    queryFn: fetchApprovals,
+    refetchInterval: 15_000,
+    refetchOnWindowFocus: true
+  });
+
+  const decisionMutation = useMutation({
+    mutationFn: ({ id, decision }) => decideApproval(id, decision),
+    onSuccess: (approval) => {
+      queryClient.invalidateQueries({ queryKey: ["approvals"] });
+      queryClient.setQueryData(["approval", approval.id], approval);
+    }
+  });
+
+  const approvals = query.data || [];
+
+  return (
+    <section className="section-card">
+      <div className="section-header">
+        <h2>Pending approvals</h2>
+        <p>Live deletions run only after a second user approves them. You cannot approve your own request.</p>
+      </div>
+
+      <div className="actions">
+        <button
+          className="button button-secondary"
+          type="button"
+          onClick={() => query.refetch()}
+          disabled={query.isFetching}
+        >
+          {query.isFetching ? "Refreshing..." : "Refresh approvals"}
+        </button>
+      </div>
+
+      {query.isError ? (
+        <div className="status-banner error">
+          <span>{query.error?.error?.message || query.error?.message || "Failed to load approvals"}</span>
+        </div>
+      ) : null}
+
+      {decisionMutation.isError ? (
+        <div className="status-banner error">
+          <span>{decisionMutation.error?.error?.message || decisionMutation.error?.message || "Decision failed"}</span>
+        </div>
+      ) : null}
+
+      {!query.isLoading && !query.isError && !approvals.length ? (
+        <div className="status-banner info">
+          <span>No live deletions are waiting for approval.</span>
+        </div>
+      ) : null}
+
+      {approvals.length ? (
+        <div className="preview-table-wrapper">
+          <table className="result-table">
+            <thead>
+              <tr>
+                <th>Requested at</th>
+                <th>Type</th>
+                <th>Target</th>
+                <th>Requested by</th>
+                <th>Status</th>
+                <th>Expires</th>
+                <th>Decision</th>
+              </tr>
+            </thead>
+            <tbody>
+              {approvals.map((approval) => (
+                <tr key={approval.id}>
+                  <td>{formatDateTime(approval.requestedAt)}</td>
+                  <td>{approval.type === "purge" ? "Compliance purge" : "EWS delete"}</td>
+                  <td>{describeTarget(approval)}</td>
+                  <td>{formatUser(approval.requestedBy)}</td>
+                  <td>
+                    <span className={`status-chip status-${STATUS_TONES[approval.status] || "muted"}`}>
+                      {approval.status}
+                    </span>
+                    {approval.approvedBy ? <div>by {formatUser(approval.approvedBy)}</div> : null}
+                    {approval.rejectedBy ? <div>by {formatUser(approval.rejectedBy)}</div> : null}
+                  </td>
+                  <td>
+                    {approval.status === "pending" || approval.status === "approved"
+                      ? formatDateTime(approval.expiresAt)
+                      : "-"}
+                  </td>
+                  <td className="cell-actions">
+                    {approval.status === "pending" ? (
+                      <button
+                        type="button"
+                        className="button button-danger"
+                        onClick={() => decisionMutation.mutate({ id: approval.id, decision: "approve" })}
+                        disabled={decisionMutation.isPending}
+                      >
+                        Approve
+                      </button>
+                    ) : null}
+                    {approval.status === "pending" || approval.status === "approved" ? (
+                      <button
+                        type="button"
+                        className="button button-tertiary"
+                        onClick={() => decisionMutation.mutate({ id: approval.id, decision: "reject" })}
+                        disabled={decisionMutation.isPending}
+                      >
+                        Reject
+                      </button>
+                    ) : null}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : null}
+    </section>
+  );
+};
+
+export default ApprovalsSection;
@@ -0,0 +1,59 @@
+export const attachmentDefaultValues = {
+  attachmentHashes: "",
+  attachmentNames: "",
+  fingerprintAttachments: true
+};
+
+const splitEntries = (value) =>
+  String(value || "")
+    .split(/[\s,;]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+export const mapAttachmentsToPayload = (values) => {
+  const payload = { fingerprintAttachments: Boolean(values.fingerprintAttachments) };
+  const attachmentHashes = splitEntries(values.attachmentHashes).map((hash) => hash.toLowerCase());
+  const attachmentNames = splitEntries(values.attachmentNames);
+
+  if (attachmentHashes.length) {
+    payload.attachmentHashes = attachmentHashes;
+  }
+
+  if (attachmentNames.length) {
+    payload.attachmentNames = attachmentNames;
+  }
+
+  return payload;
+};
+
+const AttachmentFilterFields = ({ register, idPrefix }) => (
+  <fieldset className="field">
+    <legend>Attachments (a message matches when any attachment fits a hash or a name)</legend>
+    <div className="form-grid">
+      <div className="field">
+        <label htmlFor={`${idPrefix}-attachmentHashes`}>SHA-256 hashes</label>
+        <textarea
+          id={`${idPrefix}-attachmentHashes`}
+          rows={2}
+          placeholder="0f8c1080...2b13"
+          {...register("attachmentHashes")}
+        />
+      </div>
+      <div className="field">
+        <label htmlFor={`${idPrefix}-attachmentNames`}>File names</label>
+        <textarea
+          id={`${idPrefix}-attachmentNames`}
+          rows={2}
+          placeholder={"invoice*.html\n*.iso"}
+          {...register("attachmentNames")}
+        />
+      </div>
+    </div>
+    <label className="toggle" htmlFor={`${idPrefix}-fingerprintAttachments`}>
+      <input id={`${idPrefix}-fingerprintAttachments`} type="checkbox" {...register("fingerprintAttachments")} />
+      Show attachment names, types and SHA-256 hashes in the results
+    </label>
+  </fieldset>
+);
+
+export default AttachmentFilterFields;
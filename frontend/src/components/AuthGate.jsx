@@ -0,0 +1,88 @@
+import { useEffect, useRef, useState } from "react";
+
+import { CALLBACK_PATH, completeLogin, getSession, isAuthEnabled, login, onSessionEnded } from "../api/oidc";
+
+const initialStatus = () => {
+  if (!isAuthEnabled || getSession()) {
+    return "ready";
+  }
+  return window.location.pathname === CALLBACK_PATH ? "callback" : "signin";
+};
+
+// Renders the console only once the user is signed in: it sends fresh visits
+// to the identity provider, finishes the sign-in when the provider redirects
+// back and asks for a new sign-in when the API rejects the session.
+const AuthGate = ({ children }) => {
+  const [status, setStatus] = useState(initialStatus);
+  const [error, setError] = useState(null);
+  const started = useRef(false);
+
+  useEffect(() => onSessionEnded(() => setStatus("expired")), []);
+
+  useEffect(() => {
+    if (started.current || (status !== "callback" && status !== "signin")) {
+      return;
+    }
+    started.current = true;
+
+    if (status === "signin") {
+      login().catch((err) => setError(err.message));
+      return;
+    }
+
+    completeLogin(window.location.search)
+      .then((returnTo) => {
+        window.history.replaceState(null, "", returnTo);
+        setStatus("ready");
+      })
+      .catch((err) => setError(err.message));
+  }, [status]);
+
+  if (status === "ready") {
+    return children;
+  }
+
+  const signIn = () => {
+    setError(null);
+    login(status === "callback" ? "/" : undefined).catch((err) => setError(err.message));
+  };
+
+  return (
+    <div className="auth-screen">
+      <section className="section-card">
+        <div className="section-header">
+          <h2>{status === "expired" ? "Session ended" : "Signing in"}</h2>
+          <p>The Message Control Center requires an organisation account.</p>
+        </div>
+
+        {error ? (
+          <div className="status-banner error">
+            <span>Sign-in failed: {error}</span>
+          </div>
+        ) : null}
+
+        {status === "expired" ? (
+          <div className="status-banner warning">
+            <span>The server no longer accepts your session. Sign in again to continue.</span>
+          </div>
+        ) : null}
+
+        {!error && status !== "expired" ? (
+          <div className="status-banner info">
+            <span>Redirecting to the identity provider...</span>
+          </div>
+        ) : null}
+
+        {error || status === "expired" ? (
+          <div className="actions">
+            <button className="button button-primary" type="button" onClick={signIn}>
+              Sign in
+            </button>
+          </div>
+        ) : null}
+      </section>
+    </div>
+  );
+};
+
+export default AuthGate;
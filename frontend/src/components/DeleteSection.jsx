@@ -1,9 +1,49 @@
-import { useMemo, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import { useForm } from "react-hook-form";
-import { useMutation, useQueryClient } from "@tanstack/react-query";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import clsx from "clsx";
 
-import { searchMessages, purgeSender, purgeSenderStream, cancelPurge } from "../api/exchange";
+import {
+  searchMessagesAsJob,
+  deleteMessagesAsJob,
+  purgeSender,
+  purgeSenderStream,
+  cancelPurge,
+  fetchApproval
+} from "../api/exchange";
+import MailboxScopeFields, { mapScopeToPayload, scopeDefaultValues } from "./MailboxScopeFields.jsx";
+import useDeletePolicy from "../hooks/useDeletePolicy";
+
+const deleteModeLabels = {
+  softDelete: "soft delete",
+  moveToDeletedItems: "move to Deleted Items",
+  hardDelete: "hard delete",
+  quarantine: "quarantine"
+};
+
+const deleteModeOptions = {
+  softDelete: {
+    title: "Soft delete",
+    description: "Move matching messages to Recoverable Items for investigation or restore."
+  },
+  moveToDeletedItems: {
+    title: "Move to Deleted Items",
+    description: "Move matching messages to each mailbox's Deleted Items folder, where users can still see them."
+  },
+  hardDelete: {
+    title: "Hard delete (permanent)",
+    description: "Purge messages completely, including Recoverable Items.",
+    danger: true
+  },
+  quarantine: {
+    title: "Quarantine",
+    description: "Move matching messages to the quarantine folder, recording where each came from so it can be put back."
+  }
+};
+
+// The purge script can only soft or hard delete; the other modes run as a
+// delete job.
+const PURGE_MODES = ["softDelete", "hardDelete"];
 
 const defaultValues = {
   sender: "",
@@ -12,7 +52,9 @@ const defaultValues = {
   receivedFrom: "",
   receivedTo: "",
   simulate: true,
-  deletionMode: "soft"
+  deletionMode: "softDelete",
+  purgeRecoverableItems: false,
+  ...scopeDefaultValues
 };
 
 const toISOStringIfPresent = (value) => {
@@ -57,14 +99,31 @@ const computeDaysBack = (values) => {
   return diffDays;
 };
 
+const splitSenders = (value) =>
+  String(value || "")
+    .split(/[\s,;]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// A single address keeps using the original field; lists and @domains are sent as "senders".
+const mapSendersToPayload = (value, singleField) => {
+  const senders = splitSenders(value);
+  return senders.length === 1 && !senders[0].startsWith("@") ? { [singleField]: senders[0] } : { senders };
+};
+
 const mapFormToScriptPayload = (values) => {
   const payload = {
-    senderEmail: values.sender.trim(),
+    ...mapSendersToPayload(values.sender, "senderEmail"),
     simulate: Boolean(values.simulate),
     method: "ComplianceSearch",
-    daysBack: computeDaysBack(values)
+    daysBack: computeDaysBack(values),
+    deleteMode: values.deletionMode
   };
-  payload.allowHardDelete = !payload.simulate && values.deletionMode === "hard";
+
+  if (values.purgeRecoverableItems) {
+    payload.purgeRecoverableItems = true;
+    payload.confirmRecoverableItemsPurge = Boolean(values.confirmRecoverableItemsPurge);
+  }
 
   if (values.subject && values.subjectMode === "contains") {
     payload.subjectContains = values.subject.trim();
@@ -82,14 +141,11 @@ const mapFormToScriptPayload = (values) => {
     payload.receivedTo = toDate;
   }
 
-  return payload;
+  return { ...payload, ...mapScopeToPayload(values) };
 };
 
-const mapFormToPreviewPayload = (values) => {
-  const payload = {
-    sender: values.sender.trim(),
-    maxPerMailbox: 500
-  };
+const mapFormToFilters = (values) => {
+  const payload = mapSendersToPayload(values.sender, "sender");
 
   if (values.subject && values.subjectMode !== "none") {
     payload.subject = values.subject.trim();
@@ -105,9 +161,19 @@ const mapFormToPreviewPayload = (values) => {
     payload.receivedTo = receivedToIso;
   }
 
-  return payload;
+  return { ...payload, ...mapScopeToPayload(values) };
 };
 
+const mapFormToPreviewPayload = (values) => ({ ...mapFormToFilters(values), maxPerMailbox: 500 });
+
+const mapFormToDeletePayload = (values) => ({
+  ...mapFormToFilters(values),
+  simulate: Boolean(values.simulate),
+  deleteMode: values.deletionMode
+});
+
+const formatUser = (user) => (user ? user.name || user.id : "");
+
 const buildPreviewRows = (previewData) => {
   if (!previewData?.results) {
     return [];
@@ -130,6 +196,7 @@ const DeleteSection = () => {
     register,
     handleSubmit,
     reset,
+    resetField,
     watch,
     formState: { isSubmitting }
   } = useForm({
@@ -137,6 +204,17 @@ const DeleteSection = () => {
   });
 
   const queryClient = useQueryClient();
+  const { data: deletePolicy } = useDeletePolicy();
+  // Until the policy has loaded the server still rejects what it does not allow.
+  const hardDeleteBlocked = deletePolicy ? !deletePolicy.hardDeleteEnabled : false;
+  const modeChoices = deletePolicy ? deletePolicy.allowedModes : Object.keys(deleteModeOptions);
+  const initialValues = { ...defaultValues, deletionMode: deletePolicy?.defaultMode || defaultValues.deletionMode };
+
+  useEffect(() => {
+    if (deletePolicy?.defaultMode) {
+      resetField("deletionMode", { defaultValue: deletePolicy.defaultMode });
+    }
+  }, [deletePolicy?.defaultMode, resetField]);
 
   const [lastLogPath, setLastLogPath] = useState(null);
   const [streaming, setStreaming] = useState(false);
@@ -145,11 +223,34 @@ const DeleteSection = () => {
   const [finalSummary, setFinalSummary] = useState(null);
   const [activeRequestId, setActiveRequestId] = useState(null);
   const [cancelling, setCancelling] = useState(false);
-  const [confirmationState, setConfirmationState] = useState({ isOpen: false, values: null });
+  const [confirmationState, setConfirmationState] = useState({ isOpen: false, values: null, stage: "delete" });
   const [confirmationInput, setConfirmationInput] = useState("");
+  // A live purge first files an approval request; the form values are kept to
+  // run it once a second user approved.
+  const [approvalRequest, setApprovalRequest] = useState(null);
+
+  const approvalQuery = useQuery({
+    queryKey: ["approval", approvalRequest?.id],
+    queryFn: () => fetchApproval(approvalRequest.id),
+    enabled: Boolean(approvalRequest),
+    refetchInterval: (query) => (query.state.data?.status === "pending" ? 5000 : false)
+  });
+  const approval = approvalRequest ? approvalQuery.data || approvalRequest.approval : null;
 
   const previewMutation = useMutation({
-    mutationFn: searchMessages
+    mutationFn: (payload) => searchMessagesAsJob(payload)
+  });
+
+  const deleteRunMutation = useMutation({
+    mutationFn: ({ payload }) => deleteMessagesAsJob(payload),
+    onSuccess: (data, { values }) => {
+      if (data.approval) {
+        setApprovalRequest({ id: data.approval.id, approval: data.approval, values });
+        queryClient.invalidateQueries({ queryKey: ["approvals"] });
+        return;
+      }
+      queryClient.invalidateQueries({ queryKey: ["purgeLogs"] });
+    }
   });
 
   const purgeMutation = useMutation({
@@ -175,15 +276,20 @@ const DeleteSection = () => {
   const subjectMode = watch("subjectMode");
   const simulate = watch("simulate");
   const deletionMode = watch("deletionMode");
-  const allowHardDelete = deletionMode === "hard";
-  const executePurge = (values) => {
-    const scriptPayload = mapFormToScriptPayload(values);
+  const runsAsPurge = PURGE_MODES.includes(deletionMode);
+  const purgeRecoverableItems = watch("purgeRecoverableItems");
+  // Delete jobs match subjects by substring only.
+  const exactSubjectUnsupported = !runsAsPurge && subjectMode === "equals";
+  const running = purgeMutation.isPending || previewMutation.isPending || deleteRunMutation.isPending;
+  const executePurge = (values, approvalId) => {
+    const scriptPayload = { ...mapFormToScriptPayload(values), ...(approvalId ? { approvalId } : {}) };
 
     setLastLogPath(null);
     setStreamOutput({ stdout: [], stderr: [] });
     setFinalSummary(null);
     setActiveRequestId(null);
     setCancelling(false);
+    setApprovalRequest(null);
 
     if (streamAbortRef.current) {
       try {
@@ -194,6 +300,17 @@ const DeleteSection = () => {
       streamAbortRef.current = null;
     }
 
+    if (!PURGE_MODES.includes(values.deletionMode)) {
+      previewMutation.reset();
+      deleteRunMutation.mutate({
+        payload: { ...mapFormToDeletePayload(values), ...(approvalId ? { approvalId } : {}) },
+        values
+      });
+      return;
+    }
+
+    deleteRunMutation.reset();
+
     if (values.simulate) {
       const previewPayload = mapFormToPreviewPayload(values);
       previewMutation.mutate(previewPayload);
@@ -234,6 +351,13 @@ const DeleteSection = () => {
           queryClient.invalidateQueries({ queryKey: ["purgeLogs"] });
           break;
         }
+        case "approval": {
+          setStreaming(false);
+          setApprovalRequest({ id: evt.data.id, approval: evt.data, values });
+          queryClient.invalidateQueries({ queryKey: ["approvals"] });
+          streamAbortRef.current = null;
+          break;
+        }
         case "error": {
           setStreaming(false);
           setFinalSummary({ error: evt.data });
@@ -252,7 +376,7 @@ const DeleteSection = () => {
 
   const onSubmit = (values) => {
     if (!values.simulate) {
-      setConfirmationState({ isOpen: true, values });
+      setConfirmationState({ isOpen: true, values, stage: "delete" });
       setConfirmationInput("");
       return;
     }
@@ -260,7 +384,11 @@ const DeleteSection = () => {
     executePurge(values);
   };
 
-  const confirmationReady = confirmationInput.trim().toUpperCase() === "DELETE";
+  // Purging Recoverable Items is irreversible, so it gets its own phrase after
+  // the regular deletion has been confirmed.
+  const recoverableStage = confirmationState.stage === "recoverable";
+  const confirmationPhrase = recoverableStage ? "PURGE RECOVERABLE" : "DELETE";
+  const confirmationReady = confirmationInput.trim().toUpperCase() === confirmationPhrase;
 
   const handleConfirmDeletion = () => {
     if (!confirmationState.values) {
@@ -268,13 +396,20 @@ const DeleteSection = () => {
     }
 
     const values = confirmationState.values;
-    setConfirmationState({ isOpen: false, values: null });
+
+    if (values.purgeRecoverableItems && PURGE_MODES.includes(values.deletionMode) && !recoverableStage) {
+      setConfirmationState({ isOpen: true, values, stage: "recoverable" });
+      setConfirmationInput("");
+      return;
+    }
+
+    setConfirmationState({ isOpen: false, values: null, stage: "delete" });
     setConfirmationInput("");
-    executePurge(values);
+    executePurge(recoverableStage ? { ...values, confirmRecoverableItemsPurge: true } : values);
   };
 
   const handleDismissConfirmation = () => {
-    setConfirmationState({ isOpen: false, values: null });
+    setConfirmationState({ isOpen: false, values: null, stage: "delete" });
     setConfirmationInput("");
   };
 
@@ -322,23 +457,41 @@ const DeleteSection = () => {
   };
 
   const handleReset = () => {
-    reset(defaultValues);
+    reset(initialValues);
     previewMutation.reset();
     purgeMutation.reset();
+    deleteRunMutation.reset();
     setLastLogPath(null);
     setStreaming(false);
     setStreamOutput({ stdout: [], stderr: [] });
     setFinalSummary(null);
     setActiveRequestId(null);
     setCancelling(false);
-    setConfirmationState({ isOpen: false, values: null });
+    setConfirmationState({ isOpen: false, values: null, stage: "delete" });
     setConfirmationInput("");
+    setApprovalRequest(null);
     if (streamAbortRef.current) {
       try { streamAbortRef.current.abort(); } catch (_) { /* noop */ }
       streamAbortRef.current = null;
     }
   };
 
+  const renderSenderMatches = (logEntry) => {
+    if (!logEntry?.senderMatches?.length) {
+      return null;
+    }
+
+    return (
+      <ul className="sender-matches">
+        {logEntry.senderMatches.map((entry) => (
+          <li key={entry.sender}>
+            {entry.sender}: {entry.matches} message(s) in {entry.mailboxes} mailbox(es)
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
   const renderOutput = (text) => {
     if (!text) {
       return null;
@@ -354,7 +507,8 @@ const DeleteSection = () => {
     }
 
     const getClass = (line) => {
-      const highlightPattern = /(target mailboxes|affected mailboxes|Effected Emails|Deleted|Verification complete)/i;
+      const highlightPattern =
+        /(target mailboxes|affected mailboxes|Effected Emails|Deleted|Verification complete|Sender \S+: \d+ message)/i;
       const levelMatch = line.match(/\[(INFO|WARNING|ERROR|SUCCESS)\]/i);
       const level = levelMatch ? levelMatch[1].toUpperCase() : "INFO";
 
@@ -388,7 +542,9 @@ const DeleteSection = () => {
     );
   };
 
-  const previewRows = useMemo(() => buildPreviewRows(previewMutation.data), [previewMutation.data]);
+  // A simulated delete job returns its matches, so they are previewed the same way.
+  const previewData = previewMutation.data || (deleteRunMutation.data?.summary?.simulate ? deleteRunMutation.data : null);
+  const previewRows = useMemo(() => buildPreviewRows(previewData), [previewData]);
 
   return (
     <section className="section-card">
@@ -399,18 +555,18 @@ const DeleteSection = () => {
 
       <div className="status-banner error">
         <div>
-          <strong>Caution:</strong> Deletions are irreversible when simulation is disabled. Ensure you have appropriate approvals before proceeding.
+          <strong>Caution:</strong> Deletions are irreversible when simulation is disabled. A live run is filed as an approval request and only runs once a second user has approved it.
         </div>
       </div>
 
       <form className="form" onSubmit={handleSubmit(onSubmit)}>
         <div className="form-grid">
           <div className="field">
-            <label htmlFor="delete-sender">Sender email</label>
+            <label htmlFor="delete-sender">Senders (addresses or @domains, comma separated)</label>
             <input
               id="delete-sender"
-              type="email"
-              placeholder="malicious@example.com"
+              type="text"
+              placeholder="malicious@example.com, @badsite.com"
               required
               {...register("sender", { required: true })}
             />
@@ -423,6 +579,11 @@ const DeleteSection = () => {
               <option value="equals">Equals text</option>
               <option value="none">Ignore subject</option>
             </select>
+            {exactSubjectUnsupported ? (
+              <span className="mode-option__hint">
+                Exact subjects can only be purged with soft or hard delete.
+              </span>
+            ) : null}
           </div>
 
           <div className="field">
@@ -447,45 +608,76 @@ const DeleteSection = () => {
           </div>
         </div>
 
+        <MailboxScopeFields register={register} idPrefix="delete" />
+
         <div className="deletion-mode">
           <span className="deletion-mode__label">Deletion mode</span>
+          {deletePolicy ? (
+            <span className="mode-option__hint">
+              Server policy allows{" "}
+              {deletePolicy.allowedModes.length
+                ? deletePolicy.allowedModes.map((mode) => deleteModeLabels[mode] || mode).join(", ")
+                : "no delete modes"}
+              {deletePolicy.hardDeleteEnabled ? "." : "; hard delete is disabled (ALLOW_HARD_DELETE)."}
+            </span>
+          ) : null}
           <div className="deletion-mode__options">
-            <label
-              className={clsx("mode-option", { selected: !allowHardDelete })}
-            >
-              <input
-                type="radio"
-                value="soft"
-                {...register("deletionMode")}
-              />
-              <span className="mode-option__title">Soft delete (default)</span>
-              <span className="mode-option__description">
-                Move matching messages to Recoverable Items for investigation or restore.
-              </span>
-            </label>
-            <label
-              className={clsx("mode-option", "mode-option--danger", {
-                selected: allowHardDelete,
-                disabled: simulate
-              })}
-            >
-              <input
-                type="radio"
-                value="hard"
-                {...register("deletionMode")}
-                disabled={simulate}
-              />
-              <span className="mode-option__title">Hard delete (permanent)</span>
-              <span className="mode-option__description">
-                Purge messages completely, including Recoverable Items.
-              </span>
-              {simulate ? (
-                <span className="mode-option__hint">Disable simulation to enable hard delete.</span>
-              ) : (
-                <span className="mode-option__hint danger">Ensure approvals are in place before purging.</span>
-              )}
-            </label>
+            {modeChoices.map((mode) => {
+              const option = deleteModeOptions[mode];
+              const disabled = mode === "hardDelete" && simulate;
+              return (
+                <label
+                  key={mode}
+                  className={clsx("mode-option", {
+                    "mode-option--danger": option.danger,
+                    selected: deletionMode === mode,
+                    disabled
+                  })}
+                >
+                  <input type="radio" value={mode} {...register("deletionMode")} disabled={disabled} />
+                  <span className="mode-option__title">
+                    {option.title}
+                    {mode === deletePolicy?.defaultMode ? " (default)" : ""}
+                  </span>
+                  <span className="mode-option__description">{option.description}</span>
+                  {mode === "hardDelete" ? (
+                    simulate ? (
+                      <span className="mode-option__hint">Disable simulation to enable hard delete.</span>
+                    ) : (
+                      <span className="mode-option__hint danger">Ensure approvals are in place before purging.</span>
+                    )
+                  ) : PURGE_MODES.includes(mode) ? null : (
+                    <span className="mode-option__hint">Runs as a delete job instead of the compliance purge.</span>
+                  )}
+                </label>
+              );
+            })}
           </div>
+          <label
+            className={clsx("mode-option", "mode-option--danger", {
+              selected: purgeRecoverableItems,
+              disabled: !runsAsPurge || (!simulate && hardDeleteBlocked)
+            })}
+          >
+            <input
+              type="checkbox"
+              {...register("purgeRecoverableItems")}
+              disabled={!runsAsPurge || (!simulate && hardDeleteBlocked)}
+            />
+            <span className="mode-option__title">Also purge Recoverable Items</span>
+            <span className="mode-option__description">
+              Permanently delete matching copies left in Deletions, Purges and Versions. This cannot be undone.
+            </span>
+            {!runsAsPurge ? (
+              <span className="mode-option__hint">Only available with soft or hard delete.</span>
+            ) : simulate ? (
+              <span className="mode-option__hint">Simulation only estimates the copies that would be purged.</span>
+            ) : hardDeleteBlocked ? (
+              <span className="mode-option__hint">Only simulations are allowed by server policy.</span>
+            ) : (
+              <span className="mode-option__hint danger">Requires a separate confirmation.</span>
+            )}
+          </label>
         </div>
 
         <div className="actions">
@@ -496,11 +688,11 @@ const DeleteSection = () => {
           <button
             className={clsx("button", simulate ? "button-primary" : "button-danger")}
             type="submit"
-            disabled={purgeMutation.isPending || previewMutation.isPending || isSubmitting || streaming}
+            disabled={running || isSubmitting || streaming || exactSubjectUnsupported}
           >
             {streaming
               ? "Running..."
-              : purgeMutation.isPending || previewMutation.isPending
+              : running
                 ? simulate
                   ? "Simulating..."
                   : "Deleting..."
@@ -524,6 +716,42 @@ const DeleteSection = () => {
         </div>
       </form>
 
+      {approval?.status === "pending" ? (
+        <div className="status-banner info">
+          <span>
+            Live deletion requested by {formatUser(approval.requestedBy)}. It runs only after a different user approves
+            it under Pending approvals; the request expires at {new Date(approval.expiresAt).toLocaleString()}.
+          </span>
+        </div>
+      ) : null}
+
+      {approval?.status === "approved" ? (
+        <div className="status-banner warning">
+          <div>
+            <strong>Approved by {formatUser(approval.approvedBy)}.</strong>
+            <p>Run the approved deletion before {new Date(approval.expiresAt).toLocaleString()}.</p>
+            <button
+              className={clsx("button", "button-danger")}
+              type="button"
+              onClick={() => executePurge(approvalRequest.values, approval.id)}
+              disabled={streaming}
+            >
+              Run approved deletion
+            </button>
+          </div>
+        </div>
+      ) : null}
+
+      {approval && (approval.status === "rejected" || approval.status === "expired") ? (
+        <div className="status-banner error">
+          <span>
+            {approval.status === "rejected"
+              ? `The deletion request was rejected by ${formatUser(approval.rejectedBy)}.`
+              : "The deletion request expired before it was run."}
+          </span>
+        </div>
+      ) : null}
+
       {simulate && previewMutation.isPending ? (
         <div className="status-banner info">
           <span>Previewing active messages. This may take a moment�</span>
@@ -572,6 +800,33 @@ const DeleteSection = () => {
         </div>
       ) : null}
 
+      {deleteRunMutation.error ? (
+        <div className="status-banner error">
+          <span>
+            {deleteRunMutation.error?.error?.message || deleteRunMutation.error?.message || "Delete job failed"}
+          </span>
+        </div>
+      ) : null}
+
+      {deleteRunMutation.data?.summary ? (
+        <div
+          className={clsx("status-banner", deleteRunMutation.data.failures?.length ? "warning" : "success")}
+        >
+          <div>
+            <strong>
+              Delete job {deleteRunMutation.data.summary.simulate ? "simulation" : "execution"} completed:{" "}
+              {deleteRunMutation.data.summary.totalMatches} matching message(s) in{" "}
+              {deleteRunMutation.data.summary.mailboxesWithMatches} mailbox(es),{" "}
+              {deleteRunMutation.data.summary.totalDeleted} removed.
+            </strong>
+            {deleteRunMutation.data.failures?.length ? (
+              <p>{deleteRunMutation.data.failures.length} mailbox(es) failed.</p>
+            ) : null}
+            <p>Delete run: {deleteRunMutation.data.runId}</p>
+          </div>
+        </div>
+      ) : null}
+
       {purgeMutation.error ? (
         <div className="status-banner error">
           <span>{purgeMutation.error?.error?.message || purgeMutation.error?.message || "Compliance purge failed"}</span>
@@ -585,6 +840,7 @@ const DeleteSection = () => {
               Compliance purge {purgeMutation.data.simulate ? "simulation" : "execution"} completed (exit code {" "}
               {purgeMutation.data.exitCode}).
             </strong>
+            {renderSenderMatches(purgeMutation.data.logEntry)}
             {renderOutput(purgeMutation.data.stdout)}
             {renderOutput(purgeMutation.data.stderr)}
             {lastLogPath ? <p>Log file: {lastLogPath}</p> : null}
@@ -626,6 +882,7 @@ const DeleteSection = () => {
             <strong>
               Compliance purge execution completed (exit code {finalSummary.exitCode}).
             </strong>
+            {renderSenderMatches(finalSummary.logEntry)}
           </div>
         </div>
       ) : null}
@@ -641,16 +898,25 @@ const DeleteSection = () => {
       {confirmationState.isOpen ? (
         <div className="confirmation-overlay" role="dialog" aria-modal="true" aria-labelledby="confirm-deletion-title">
           <div className="confirmation-modal">
-            <h3 id="confirm-deletion-title">Confirm deletion</h3>
-            <p className="confirmation-modal__description">
-              Type <code>DELETE</code> to confirm the purge. This will remove matching messages from all mailboxes.
-            </p>
+            <h3 id="confirm-deletion-title">
+              {recoverableStage ? "Confirm Recoverable Items purge" : "Confirm deletion"}
+            </h3>
+            {recoverableStage ? (
+              <p className="confirmation-modal__description">
+                Type <code>PURGE RECOVERABLE</code> to also permanently delete matching copies from Recoverable Items
+                (Deletions, Purges, Versions) in every mailbox in scope. Administrators cannot restore them afterwards.
+              </p>
+            ) : (
+              <p className="confirmation-modal__description">
+                Type <code>DELETE</code> to confirm the purge. This will remove matching messages from every mailbox in scope.
+              </p>
+            )}
             <input
               className="confirmation-modal__input"
               type="text"
               value={confirmationInput}
               onChange={(event) => setConfirmationInput(event.target.value)}
-              placeholder="Type DELETE to confirm"
+              placeholder={`Type ${confirmationPhrase} to confirm`}
               autoFocus
             />
             <div className="confirmation-modal__actions">
@@ -663,7 +929,7 @@ const DeleteSection = () => {
                 onClick={handleConfirmDeletion}
                 disabled={!confirmationReady}
               >
-                Confirm deletion
+                {recoverableStage ? "Purge Recoverable Items" : "Confirm deletion"}
               </button>
             </div>
           </div>
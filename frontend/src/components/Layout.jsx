@@ -1,5 +1,7 @@
 ﻿import { NavLink, Outlet } from "react-router-dom";
 
+import { getSession, isAuthEnabled, logout } from "../api/oidc";
+
 const navItems = [
   {
     to: "/search",
@@ -19,6 +21,8 @@ const navItems = [
 ];
 
 const Layout = () => {
+  const user = isAuthEnabled ? getSession()?.user : null;
+
   return (
     <div className="app-layout">
       <aside className="sidebar">
@@ -41,6 +45,15 @@ const Layout = () => {
             </NavLink>
           ))}
         </nav>
+        {user ? (
+          <div className="sidebar-session">
+            <span className="sidebar-session-label">Signed in as</span>
+            <strong title={user.id}>{user.name || user.id}</strong>
+            <button className="button button-tertiary" type="button" onClick={() => logout()}>
+              Sign out
+            </button>
+          </div>
+        ) : null}
         <div className="sidebar-footer">
           <p className="sidebar-tip">Tip: simulate deletions first, then run the live action once reviewed.</p>
         </div>
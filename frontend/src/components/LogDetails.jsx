@@ -11,6 +11,8 @@ const formatDateTime = (value) => {
   return date.toLocaleString();
 };
 
+const formatUser = (user) => (user ? user.name || user.id : "");
+
 const LogDetails = ({ log }) => {
   if (!log) {
     return null;
@@ -55,8 +57,50 @@ const LogDetails = ({ log }) => {
             <dd>{cancelReasonText}</dd>
           </>
         ) : null}
+        {log.requestedBy ? (
+          <>
+            <dt>Requested by</dt>
+            <dd>{formatUser(log.requestedBy)}</dd>
+          </>
+        ) : null}
+        {log.approvedBy ? (
+          <>
+            <dt>Approved by</dt>
+            <dd>
+              {formatUser(log.approvedBy)} (approval {log.approvalId})
+            </dd>
+          </>
+        ) : null}
+        {log.resumedBy ? (
+          <>
+            <dt>Resumed by</dt>
+            <dd>
+              {formatUser(log.resumedBy)}
+              {log.approvalId ? ` (run approved under ${log.approvalId})` : ""}
+            </dd>
+          </>
+        ) : null}
+        {log.restoredBy ? (
+          <>
+            <dt>Restored by</dt>
+            <dd>
+              {formatUser(log.restoredBy)}
+              {log.approvalId ? ` (run approved under ${log.approvalId})` : ""}
+            </dd>
+          </>
+        ) : null}
         <dt>Log File</dt>
         <dd>{log.logFile}</dd>
+        {log.evidence ? (
+          <>
+            <dt>Evidence</dt>
+            <dd>{log.evidence.location}</dd>
+            <dt>Evidence manifest</dt>
+            <dd>
+              {log.evidence.manifest} ({log.evidence.files} messages, SHA-256 {log.evidence.manifestSha256})
+            </dd>
+          </>
+        ) : null}
       </dl>
 
       {log.affectedMailboxes && log.affectedMailboxes.length > 0 && (
@@ -70,6 +114,19 @@ const LogDetails = ({ log }) => {
         </>
       )}
 
+      {log.senderMatches && log.senderMatches.length > 0 && (
+        <>
+          <h4>Matches per Sender</h4>
+          <ul>
+            {log.senderMatches.map((entry) => (
+              <li key={entry.sender}>
+                {entry.sender}: {entry.matches} message(s) in {entry.mailboxes} mailbox(es)
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
       <h4>Request Payload</h4>
       <pre>{JSON.stringify(log.requestPayload, null, 2)}</pre>
     </div>
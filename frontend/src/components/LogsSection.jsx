@@ -78,11 +78,27 @@ const getModeChip = (log) => {
       return { label: "Hard delete", tone: "danger" };
     case "soft-delete":
       return { label: "Soft delete", tone: "success" };
+    case "move-to-deleted-items":
+      return { label: "Moved to Deleted Items", tone: "success" };
+    case "quarantine":
+      return { label: "Quarantine", tone: "warning" };
+    case "restore":
+      return { label: "Restore", tone: "success" };
     default:
       return { label: "Unknown", tone: "muted" };
   }
 };
 
+const getRecoverableItemsChip = (log) => {
+  if (log?.recoverableItemsPurge) {
+    return { label: "Recoverable Items purged", tone: "danger" };
+  }
+  if (log?.requestPayload?.purgeRecoverableItems) {
+    return { label: "Recoverable Items estimated", tone: "info" };
+  }
+  return null;
+};
+
 const getOutcomeChip = (log) => {
   if (!log) {
     return { label: "Unknown", tone: "muted" };
@@ -184,6 +200,7 @@ const LogsSection = () => {
             <tbody>
               {logs.map((log) => {
                 const modeChip = getModeChip(log);
+                const recoverableChip = getRecoverableItemsChip(log);
                 const outcomeChip = getOutcomeChip(log);
                 const exitCode = Number.isFinite(Number(log.exitCode)) ? Number(log.exitCode) : "-";
                 return (
@@ -197,6 +214,11 @@ const LogsSection = () => {
                         <span className={`status-chip status-${modeChip.tone}`}>
                           {modeChip.label}
                         </span>
+                        {recoverableChip ? (
+                          <span className={`status-chip status-${recoverableChip.tone}`}>
+                            {recoverableChip.label}
+                          </span>
+                        ) : null}
                       </td>
                       <td>
                         <span className={`status-chip status-${outcomeChip.tone}`}>
@@ -0,0 +1,69 @@
+const scopeFields = [
+  {
+    name: "includeMailboxes",
+    label: "Only these mailboxes",
+    placeholder: "user@contoso.com\n*@finance.contoso.com"
+  },
+  {
+    name: "includeGroups",
+    label: "Only members of groups",
+    placeholder: "incident-response@contoso.com"
+  },
+  {
+    name: "excludeMailboxes",
+    label: "Exclude mailboxes",
+    placeholder: "ceo@contoso.com"
+  },
+  {
+    name: "excludeGroups",
+    label: "Exclude members of groups",
+    placeholder: "executives@contoso.com"
+  }
+];
+
+export const scopeDefaultValues = {
+  includeMailboxes: "",
+  includeGroups: "",
+  excludeMailboxes: "",
+  excludeGroups: ""
+};
+
+const splitEntries = (value) =>
+  String(value || "")
+    .split(/[\s,;]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+export const mapScopeToPayload = (values) => {
+  const payload = {};
+
+  scopeFields.forEach(({ name }) => {
+    const entries = splitEntries(values[name]);
+    if (entries.length) {
+      payload[name] = entries;
+    }
+  });
+
+  return payload;
+};
+
+const MailboxScopeFields = ({ register, idPrefix }) => (
+  <fieldset className="field">
+    <legend>Mailbox scope (leave empty to target every mailbox)</legend>
+    <div className="form-grid">
+      {scopeFields.map((field) => (
+        <div className="field" key={field.name}>
+          <label htmlFor={`${idPrefix}-${field.name}`}>{field.label}</label>
+          <textarea
+            id={`${idPrefix}-${field.name}`}
+            rows={2}
+            placeholder={field.placeholder}
+            {...register(field.name)}
+          />
+        </div>
+      ))}
+    </div>
+  </fieldset>
+);
+
+export default MailboxScopeFields;
@@ -0,0 +1,152 @@
+import { useMutation, useQuery } from "@tanstack/react-query";
+
+import { downloadMessageMime, fetchMessageDetail } from "../api/exchange";
+
+// The HTML body is untrusted: it is rendered in a sandboxed frame whose
+// policy also blocks remote images, so opening it cannot notify the sender.
+const HTML_POLICY =
+  "<meta http-equiv=\"Content-Security-Policy\" content=\"default-src 'none'; style-src 'unsafe-inline'\">";
+
+const formatSize = (bytes) => {
+  if (!Number.isFinite(bytes)) {
+    return "";
+  }
+  return bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`;
+};
+
+// Saves the fetched .eml through a temporary object URL; the browser never
+// renders it.
+const saveBlob = ({ blob, fileName }) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const MessageDetails = ({ mailbox, id }) => {
+  const query = useQuery({
+    queryKey: ["message", mailbox, id],
+    queryFn: () => fetchMessageDetail(mailbox, id),
+    staleTime: 60_000
+  });
+
+  const downloadMutation = useMutation({
+    mutationFn: () => downloadMessageMime(mailbox, id),
+    onSuccess: saveBlob
+  });
+
+  if (query.isLoading) {
+    return (
+      <div className="status-banner info">
+        <span>Loading message...</span>
+      </div>
+    );
+  }
+
+  if (query.isError) {
+    return (
+      <div className="status-banner error">
+        <span>{query.error?.error?.message || "Failed to load message"}</span>
+      </div>
+    );
+  }
+
+  const message = query.data;
+  const { transport, body, attachments, headers } = message;
+
+  return (
+    <div className="log-details message-details">
+      <h4>Transport</h4>
+      <dl>
+        <dt>Return-Path</dt>
+        <dd>{transport.returnPath || "-"}</dd>
+        {transport.authenticationResults.map((value, index) => (
+          <div key={`auth-${index}`}>
+            <dt>Authentication-Results</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {transport.received.length ? (
+        <>
+          <h4>Received chain (latest hop first)</h4>
+          <ol>
+            {transport.received.map((value, index) => (
+              <li key={`received-${index}`}>{value}</li>
+            ))}
+          </ol>
+        </>
+      ) : null}
+
+      <h4>Attachments</h4>
+      {attachments.length ? (
+        <table className="result-table">
+          <thead>
+            <tr>
+              <th>File name</th>
+              <th>Type</th>
+              <th>Size</th>
+              <th>SHA-256</th>
+            </tr>
+          </thead>
+          <tbody>
+            {attachments.map((attachment) => (
+              <tr key={attachment.sha256 + (attachment.filename || "")}>
+                <td>{attachment.filename || "(unnamed)"}</td>
+                <td>{attachment.contentType}</td>
+                <td>{formatSize(attachment.size)}</td>
+                <td className="cell-hash">{attachment.sha256}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p>No attachments.</p>
+      )}
+
+      <h4>Text body</h4>
+      <div className="json-block">
+        <pre>{body.text || "(no text body)"}</pre>
+      </div>
+
+      {body.html ? (
+        <>
+          <h4>HTML body</h4>
+          <iframe
+            className="message-html"
+            title={`HTML body of ${message.subject || "message"}`}
+            sandbox=""
+            srcDoc={`${HTML_POLICY}${body.html}`}
+          />
+        </>
+      ) : null}
+
+      <h4>All headers</h4>
+      <div className="json-block">
+        <pre>{headers.map((header) => `${header.name}: ${header.value}`).join("\n")}</pre>
+      </div>
+
+      <div className="actions">
+        <button
+          className="button button-secondary"
+          type="button"
+          onClick={() => downloadMutation.mutate()}
+          disabled={downloadMutation.isPending}
+        >
+          {downloadMutation.isPending ? "Downloading..." : `Download .eml (${formatSize(message.mime.size)})`}
+        </button>
+      </div>
+
+      {downloadMutation.isError ? (
+        <div className="status-banner error">
+          <span>{downloadMutation.error?.error?.message || "Failed to download message"}</span>
+        </div>
+      ) : null}
+    </div>
+  );
+};
+
+export default MessageDetails;
@@ -0,0 +1,179 @@
+import clsx from "clsx";
+
+const fieldOptions = [
+  { value: "sender", label: "Sender is", type: "email", placeholder: "attacker@example.com" },
+  { value: "subject", label: "Subject contains", type: "text", placeholder: "Invoice" },
+  { value: "body", label: "Body contains", type: "text", placeholder: "wire transfer" },
+  { value: "keyword", label: "Anywhere", type: "text", placeholder: "urgent" },
+  { value: "receivedFrom", label: "Received on or after", type: "date" },
+  { value: "receivedTo", label: "Received on or before", type: "date" },
+  { value: "hasAttachments", label: "Has attachments", type: "boolean" },
+  { value: "importance", label: "Importance is", type: "importance" }
+];
+
+const operatorOptions = [
+  { value: "and", label: "All of" },
+  { value: "or", label: "Any of" },
+  { value: "not", label: "None of" }
+];
+
+let nextKey = 0;
+const createKey = () => {
+  nextKey += 1;
+  return `query-${nextKey}`;
+};
+
+const createCondition = () => ({ key: createKey(), field: "sender", value: "" });
+
+export const createQueryGroup = (operator = "and") => ({ key: createKey(), operator, conditions: [] });
+
+const isGroup = (node) => Array.isArray(node.conditions);
+
+// Drops empty conditions and groups and the editor-only keys. Returns null
+// when nothing is left so the payload can omit the query.
+export const mapQueryToPayload = (group) => {
+  const conditions = group.conditions
+    .map((node) => {
+      if (isGroup(node)) {
+        return mapQueryToPayload(node);
+      }
+      if (node.value === "" || node.value === null || node.value === undefined) {
+        return null;
+      }
+      if (node.field === "hasAttachments") {
+        return { field: node.field, value: node.value === "true" };
+      }
+      if (node.field === "receivedFrom" || node.field === "receivedTo") {
+        return { field: node.field, value: new Date(node.value).toISOString() };
+      }
+      return { field: node.field, value: String(node.value).trim() };
+    })
+    .filter(Boolean);
+
+  return conditions.length ? { operator: group.operator, conditions } : null;
+};
+
+const ConditionValue = ({ condition, onChange }) => {
+  const option = fieldOptions.find((entry) => entry.value === condition.field);
+
+  if (option.type === "boolean") {
+    return (
+      <select value={condition.value} onChange={(event) => onChange(event.target.value)}>
+        <option value="">Select</option>
+        <option value="true">Yes</option>
+        <option value="false">No</option>
+      </select>
+    );
+  }
+
+  if (option.type === "importance") {
+    return (
+      <select value={condition.value} onChange={(event) => onChange(event.target.value)}>
+        <option value="">Select</option>
+        <option value="low">Low</option>
+        <option value="normal">Normal</option>
+        <option value="high">High</option>
+      </select>
+    );
+  }
+
+  return (
+    <input
+      type={option.type}
+      placeholder={option.placeholder}
+      value={condition.value}
+      onChange={(event) => onChange(event.target.value)}
+    />
+  );
+};
+
+// Edits one group in place; nested groups render the same component.
+const QueryGroup = ({ group, onChange, onRemove, depth = 0 }) => {
+  const updateCondition = (key, changes) =>
+    onChange({
+      ...group,
+      conditions: group.conditions.map((node) => (node.key === key ? { ...node, ...changes } : node))
+    });
+
+  const replaceNode = (key, next) =>
+    onChange({ ...group, conditions: group.conditions.map((node) => (node.key === key ? next : node)) });
+
+  const removeNode = (key) => onChange({ ...group, conditions: group.conditions.filter((node) => node.key !== key) });
+
+  return (
+    <div className={clsx("query-group", { nested: depth > 0 })}>
+      <div className="query-group__header">
+        <select value={group.operator} onChange={(event) => onChange({ ...group, operator: event.target.value })}>
+          {operatorOptions.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <span>these conditions</span>
+        {onRemove ? (
+          <button type="button" className="button button-tertiary" onClick={onRemove}>
+            Remove group
+          </button>
+        ) : null}
+      </div>
+
+      {group.conditions.map((node) =>
+        isGroup(node) ? (
+          <QueryGroup
+            key={node.key}
+            group={node}
+            depth={depth + 1}
+            onChange={(next) => replaceNode(node.key, next)}
+            onRemove={() => removeNode(node.key)}
+          />
+        ) : (
+          <div className="query-condition" key={node.key}>
+            <select
+              value={node.field}
+              onChange={(event) => updateCondition(node.key, { field: event.target.value, value: "" })}
+            >
+              {fieldOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <ConditionValue condition={node} onChange={(value) => updateCondition(node.key, { value })} />
+            <button type="button" className="button button-tertiary" onClick={() => removeNode(node.key)}>
+              Remove
+            </button>
+          </div>
+        )
+      )}
+
+      <div className="actions">
+        <button
+          type="button"
+          className="button button-secondary"
+          onClick={() => onChange({ ...group, conditions: [...group.conditions, createCondition()] })}
+        >
+          Add condition
+        </button>
+        {depth < 4 ? (
+          <button
+            type="button"
+            className="button button-secondary"
+            onClick={() => onChange({ ...group, conditions: [...group.conditions, createQueryGroup("or")] })}
+          >
+            Add group
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+};
+
+const QueryBuilder = ({ value, onChange }) => (
+  <fieldset className="field">
+    <legend>Query builder (combined with the filters above using AND)</legend>
+    <QueryGroup group={value} onChange={onChange} />
+  </fieldset>
+);
+
+export default QueryBuilder;
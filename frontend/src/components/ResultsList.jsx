@@ -1,3 +1,7 @@
+import { Fragment, useState } from "react";
+
+import MessageDetails from "./MessageDetails.jsx";
+
 const formatDateTime = (value) => {
   if (!value) {
     return "";
@@ -12,6 +16,8 @@ const formatDateTime = (value) => {
 };
 
 const ResultsList = ({ results = [], variant }) => {
+  const [expandedKey, setExpandedKey] = useState(null);
+
   if (!results.length) {
     return null;
   }
@@ -31,8 +37,35 @@ const ResultsList = ({ results = [], variant }) => {
             <div className="taglist">
               <span className="tag">Matches: {mailbox.totalMatches ?? entries.length}</span>
               {variant === "delete" ? <span className="tag">Deleted: {mailbox.deleted ?? 0}</span> : null}
-              {variant === "delete" && Array.isArray(mailbox.folders) ? (
-                <span className="tag">Folders: {mailbox.folders.join(", ")}</span>
+              {variant === "delete" && mailbox.quarantined?.length ? (
+                <span className="tag">Quarantined: {mailbox.quarantined.length}</span>
+              ) : null}
+              {variant === "delete" && mailbox.recoverablePurged ? (
+                <span className="tag">Recoverable Items purged: {mailbox.recoverablePurged}</span>
+              ) : null}
+              {mailbox.archive === "present" ? (
+                <span className="tag">
+                  Primary: {mailbox.primaryMatches ?? 0} / Archive: {mailbox.archiveMatches ?? 0}
+                  {variant === "delete" && mailbox.archiveDeleted ? ` (${mailbox.archiveDeleted} deleted)` : ""}
+                </span>
+              ) : null}
+              {mailbox.archive === "none" ? <span className="tag">No archive mailbox</span> : null}
+              {mailbox.archive === "unsupported" ? <span className="tag">Archive not searchable</span> : null}
+              {Array.isArray(mailbox.folderMatches)
+                ? mailbox.folderMatches.map((entry) => (
+                    <span className="tag" key={entry.folder}>
+                      {entry.folder}: {entry.matches}
+                    </span>
+                  ))
+                : null}
+              {mailbox.missingFolders?.length ? (
+                <span className="tag">Not found: {mailbox.missingFolders.join(", ")}</span>
+              ) : null}
+              {mailbox.retries?.total ? (
+                <span className="tag">
+                  Retries: {mailbox.retries.total}
+                  {mailbox.retries.throttled ? ` (${mailbox.retries.throttled} throttled)` : ""}
+                </span>
               ) : null}
             </div>
             <div className="table-wrapper">
@@ -44,18 +77,92 @@ const ResultsList = ({ results = [], variant }) => {
                     <th>Folder</th>
                     <th>Received</th>
                     <th>Attachments</th>
+                    <th>Links</th>
+                    <th>Details</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {entries.map((item) => (
-                    <tr key={`${item.id}-${item.changeKey}`}>
-                      <td>{item.subject || "(no subject)"}</td>
-                      <td>{item.sender || item.from || ""}</td>
-                      <td>{item.folder}</td>
-                      <td>{formatDateTime(item.receivedAt)}</td>
-                      <td>{item.hasAttachments ? "Yes" : "No"}</td>
-                    </tr>
-                  ))}
+                  {entries.map((item) => {
+                    const key = `${mailbox.mailbox}-${item.id}`;
+                    const expanded = expandedKey === key;
+
+                    return (
+                      <Fragment key={`${item.id}-${item.changeKey}`}>
+                        <tr>
+                          <td>
+                            {item.subject || "(no subject)"}
+                            {item.itemClass && item.itemClass !== "IPM.Note" ? (
+                              <span className="tag">{item.itemClass}</span>
+                            ) : null}
+                            {item.matchedHeaders?.length ? (
+                              <ul className="attachment-list">
+                                {item.matchedHeaders.map((header, index) => (
+                                  <li key={`${header.name}-${index}`} className="matched">
+                                    <span className="cell-hash">
+                                      {header.name}: {header.value}
+                                    </span>
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : null}
+                          </td>
+                          <td>{item.sender || item.from || ""}</td>
+                          <td>{item.folder}</td>
+                          <td>{formatDateTime(item.receivedAt)}</td>
+                          <td>
+                            {item.attachments?.length ? (
+                              <ul className="attachment-list">
+                                {item.attachments.map((attachment, index) => (
+                                  <li
+                                    key={`${attachment.sha256}-${index}`}
+                                    className={attachment.matched ? "matched" : undefined}
+                                  >
+                                    <span>
+                                      {attachment.filename || "(unnamed)"} ({attachment.contentType})
+                                    </span>
+                                    <span className="cell-hash">{attachment.sha256}</span>
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : item.hasAttachments ? (
+                              "Yes"
+                            ) : (
+                              "No"
+                            )}
+                          </td>
+                          <td>
+                            {item.urls?.length ? (
+                              <ul className="attachment-list">
+                                {item.urls.map((url) => (
+                                  <li key={url} className={item.matchedUrls?.includes(url) ? "matched" : undefined}>
+                                    <span className="cell-hash">{url}</span>
+                                  </li>
+                                ))}
+                              </ul>
+                            ) : (
+                              "-"
+                            )}
+                          </td>
+                          <td>
+                            <button
+                              type="button"
+                              className="button button-tertiary"
+                              onClick={() => setExpandedKey(expanded ? null : key)}
+                            >
+                              {expanded ? "Hide" : "Inspect"}
+                            </button>
+                          </td>
+                        </tr>
+                        {expanded ? (
+                          <tr className="log-expanded-row">
+                            <td colSpan={7}>
+                              <MessageDetails mailbox={mailbox.mailbox} id={item.id} />
+                            </td>
+                          </tr>
+                        ) : null}
+                      </Fragment>
+                    );
+                  })}
                 </tbody>
               </table>
               {truncatedCount > 0 ? (
@@ -1,10 +1,13 @@
-import { useMemo } from "react";
+import { useMemo, useState } from "react";
 import { useForm } from "react-hook-form";
-import { useMutation } from "@tanstack/react-query";
+import { useMutation, useQueryClient } from "@tanstack/react-query";
 import clsx from "clsx";
 
-import { searchMessages } from "../api/exchange";
+import { refreshMailboxes, searchMessagesAsJob } from "../api/exchange";
 import useMailboxes from "../hooks/useMailboxes";
+import AttachmentFilterFields, { attachmentDefaultValues, mapAttachmentsToPayload } from "./AttachmentFilterFields.jsx";
+import MailboxScopeFields, { mapScopeToPayload, scopeDefaultValues } from "./MailboxScopeFields.jsx";
+import QueryBuilder, { createQueryGroup, mapQueryToPayload } from "./QueryBuilder.jsx";
 import ResultsList from "./ResultsList.jsx";
 import SummaryMetrics from "./SummaryMetrics.jsx";
 
@@ -12,27 +15,100 @@ const folderOptions = [
   { value: "Inbox", label: "Inbox" },
   { value: "JunkEmail", label: "Junk Email" },
   { value: "DeletedItems", label: "Deleted Items" },
-  { value: "SentItems", label: "Sent Items" }
+  { value: "SentItems", label: "Sent Items" },
+  { value: "AllMailFolders", label: "All mail folders" },
+  { value: "Archive", label: "Archive mailbox" }
+];
+
+const recipientFieldOptions = [
+  { value: "to", label: "To" },
+  { value: "cc", label: "Cc" },
+  { value: "bcc", label: "Bcc" }
+];
+
+const messageClassOptions = [
+  { value: "email", label: "Email" },
+  { value: "meetingRequest", label: "Meeting requests" },
+  { value: "meetingResponse", label: "Meeting responses" },
+  { value: "meetingCancellation", label: "Meeting cancellations" },
+  { value: "ndr", label: "Non-delivery reports" },
+  { value: "deliveryReceipt", label: "Delivery receipts" },
+  { value: "readReceipt", label: "Read receipts" },
+  { value: "nonReadReceipt", label: "Non-read receipts" }
+];
+
+// Never included in "All mail folders"; searched only when ticked explicitly.
+const recoverableFolderOptions = [
+  { value: "RecoverableItemsDeletions", label: "Deletions" },
+  { value: "RecoverableItemsPurges", label: "Purges" },
+  { value: "RecoverableItemsVersions", label: "Versions" }
 ];
 
 const defaultValues = {
+  internetMessageIds: "",
+  urlIndicators: "",
   sender: "",
+  recipients: "",
+  recipientFields: ["to", "cc", "bcc"],
   subject: "",
   body: "",
   keywords: "",
   receivedFrom: "",
   receivedTo: "",
+  minSizeKb: "",
+  maxSizeKb: "",
+  messageClasses: [],
+  headers: "",
   hasAttachments: "",
   importance: "",
   folders: ["Inbox", "JunkEmail"],
-  maxPerMailbox: 100
+  folderPaths: "",
+  maxPerMailbox: 100,
+  ...attachmentDefaultValues,
+  ...scopeDefaultValues
 };
 
 const mapFormToPayload = (values) => {
   const payload = {};
 
-  if (values.sender) {
-    payload.sender = values.sender.trim();
+  const internetMessageIds = (values.internetMessageIds || "")
+    .split(/[\s,]+/)
+    .map((messageId) => messageId.trim())
+    .filter(Boolean);
+  if (internetMessageIds.length) {
+    payload.internetMessageIds = internetMessageIds;
+  }
+
+  const urlIndicators = (values.urlIndicators || "")
+    .split(/[\s,]+/)
+    .map((indicator) => indicator.trim())
+    .filter(Boolean);
+  if (urlIndicators.length) {
+    payload.urlIndicators = urlIndicators;
+  }
+
+  // A single address keeps using "sender"; lists, @domains and wildcards go
+  // out as "senders".
+  const senders = (values.sender || "")
+    .split(/[\s,;]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (senders.length === 1 && !/^@|[*?]/.test(senders[0])) {
+    payload.sender = senders[0];
+  } else if (senders.length) {
+    payload.senders = senders;
+  }
+
+  const recipients = (values.recipients || "")
+    .split(/[\s,;]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  if (recipients.length) {
+    payload.recipients = recipients;
+    const recipientFields = [values.recipientFields || []].flat();
+    if (recipientFields.length && recipientFields.length < recipientFieldOptions.length) {
+      payload.recipientFields = recipientFields;
+    }
   }
 
   if (values.subject) {
@@ -58,6 +134,35 @@ const mapFormToPayload = (values) => {
     payload.receivedTo = new Date(values.receivedTo).toISOString();
   }
 
+  // Sizes are entered in KB and sent in bytes.
+  if (values.minSizeKb !== "" && values.minSizeKb !== undefined) {
+    payload.minSize = Math.round(Number(values.minSizeKb) * 1024);
+  }
+
+  if (values.maxSizeKb !== "" && values.maxSizeKb !== undefined) {
+    payload.maxSize = Math.round(Number(values.maxSizeKb) * 1024);
+  }
+
+  const messageClasses = [values.messageClasses || []].flat();
+  if (messageClasses.length) {
+    payload.messageClasses = messageClasses;
+  }
+
+  // One "Name: value" per line; a bare name only requires the header.
+  const headers = (values.headers || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const separator = line.indexOf(":");
+      return separator < 0
+        ? { name: line }
+        : { name: line.slice(0, separator).trim(), value: line.slice(separator + 1).trim() };
+    });
+  if (headers.length) {
+    payload.headers = headers;
+  }
+
   if (values.hasAttachments === "true") {
     payload.hasAttachments = true;
   } else if (values.hasAttachments === "false") {
@@ -68,10 +173,14 @@ const mapFormToPayload = (values) => {
     payload.importance = values.importance;
   }
 
-  if (values.folders) {
-    const folderList = Array.isArray(values.folders) ? values.folders : [values.folders];
-    if (folderList.length) {
-      payload.folders = folderList;
+  if (values.folders || values.folderPaths) {
+    const folderList = Array.isArray(values.folders) ? values.folders : [values.folders].filter(Boolean);
+    const folderPaths = (values.folderPaths || "")
+      .split(",")
+      .map((folderPath) => folderPath.trim())
+      .filter(Boolean);
+    if (folderList.length || folderPaths.length) {
+      payload.folders = [...folderList, ...folderPaths];
     }
   }
 
@@ -79,7 +188,7 @@ const mapFormToPayload = (values) => {
     payload.maxPerMailbox = Number.parseInt(values.maxPerMailbox, 10);
   }
 
-  return payload;
+  return { ...payload, ...mapAttachmentsToPayload(values), ...mapScopeToPayload(values) };
 };
 
 const SearchSection = () => {
@@ -94,17 +203,32 @@ const SearchSection = () => {
     defaultValues
   });
 
+  const queryClient = useQueryClient();
+  const [jobProgress, setJobProgress] = useState(null);
+  const [queryGroup, setQueryGroup] = useState(() => createQueryGroup());
+
+  const refreshMutation = useMutation({
+    mutationFn: refreshMailboxes,
+    onSuccess: (data) => {
+      queryClient.setQueryData(["mailboxes"], data);
+    }
+  });
+
   const mutation = useMutation({
-    mutationFn: searchMessages
+    mutationFn: (payload) => searchMessagesAsJob(payload, { onProgress: setJobProgress })
   });
 
   const onSubmit = (values) => {
-    mutation.mutate(mapFormToPayload(values));
+    setJobProgress(null);
+    const query = mapQueryToPayload(queryGroup);
+    mutation.mutate({ ...mapFormToPayload(values), ...(query ? { query } : {}) });
   };
 
   const handleReset = () => {
     reset(defaultValues);
+    setQueryGroup(createQueryGroup());
     mutation.reset();
+    setJobProgress(null);
   };
 
   const mailboxCount = mailboxes.length;
@@ -137,11 +261,11 @@ const SearchSection = () => {
       <form className="form" onSubmit={handleSubmit(onSubmit)}>
         <div className="form-grid">
           <div className="field">
-            <label htmlFor="sender">Sender email</label>
+            <label htmlFor="sender">Senders (addresses, @domains or wildcards)</label>
             <input
               id="sender"
-              type="email"
-              placeholder="malicious@example.com"
+              type="text"
+              placeholder="malicious@example.com, @badsite.com"
               {...register("sender")}
             />
           </div>
@@ -161,6 +285,16 @@ const SearchSection = () => {
             <input id="keywords" type="text" placeholder="urgent, wire" {...register("keywords")} />
           </div>
 
+          <div className="field">
+            <label htmlFor="recipients">Recipients or distribution lists</label>
+            <input
+              id="recipients"
+              type="text"
+              placeholder="finance-dept@example.com"
+              {...register("recipients")}
+            />
+          </div>
+
           <div className="field">
             <label htmlFor="receivedFrom">Received from</label>
             <input id="receivedFrom" type="date" {...register("receivedFrom")} />
@@ -180,6 +314,16 @@ const SearchSection = () => {
             </select>
           </div>
 
+          <div className="field">
+            <label htmlFor="minSizeKb">Minimum size (KB)</label>
+            <input id="minSizeKb" type="number" min="0" placeholder="1024" {...register("minSizeKb")} />
+          </div>
+
+          <div className="field">
+            <label htmlFor="maxSizeKb">Maximum size (KB)</label>
+            <input id="maxSizeKb" type="number" min="0" {...register("maxSizeKb")} />
+          </div>
+
           <div className="field">
             <label htmlFor="importance">Importance</label>
             <select id="importance" {...register("importance")}>
@@ -203,6 +347,30 @@ const SearchSection = () => {
           </div>
         </div>
 
+        <fieldset className="field">
+          <legend>Match recipients on</legend>
+          <div className="checkbox-list">
+            {recipientFieldOptions.map((option) => (
+              <label className="checkbox-pill" key={option.value}>
+                <input type="checkbox" value={option.value} {...register("recipientFields")} />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <fieldset className="field">
+          <legend>Message types (all when none are ticked)</legend>
+          <div className="checkbox-list">
+            {messageClassOptions.map((option) => (
+              <label className="checkbox-pill" key={option.value}>
+                <input type="checkbox" value={option.value} {...register("messageClasses")} />
+                {option.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
         <div className="field">
           <label>Target folders</label>
           <div className="checkbox-list">
@@ -215,6 +383,59 @@ const SearchSection = () => {
           </div>
         </div>
 
+        <fieldset className="field">
+          <legend>Recoverable Items (opt-in)</legend>
+          <div className="checkbox-list">
+            {recoverableFolderOptions.map((folder) => (
+              <label className="checkbox-pill" key={folder.value}>
+                <input type="checkbox" value={folder.value} {...register("folders")} />
+                {folder.label}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <div className="field">
+          <label htmlFor="folderPaths">Folder paths (comma separated)</label>
+          <input id="folderPaths" type="text" placeholder="Inbox/Vendors, Projects/Finance" {...register("folderPaths")} />
+        </div>
+
+        <QueryBuilder value={queryGroup} onChange={setQueryGroup} />
+
+        <div className="field">
+          <label htmlFor="internetMessageIds">Internet Message-IDs (exact match, cannot be combined with sender or subject)</label>
+          <textarea
+            id="internetMessageIds"
+            rows={2}
+            placeholder="<CAF1x2y3@mail.example.com>"
+            {...register("internetMessageIds")}
+          />
+        </div>
+
+        <div className="field">
+          <label htmlFor="urlIndicators">Links in the body (URLs or domains, defanged forms accepted)</label>
+          <textarea
+            id="urlIndicators"
+            rows={2}
+            placeholder={"hxxps://evil[.]com/login\nphish-domain.example"}
+            {...register("urlIndicators")}
+          />
+        </div>
+
+        <div className="field">
+          <label htmlFor="headers">Transport headers (one &quot;Name: value&quot; per line, value matched as text)</label>
+          <textarea
+            id="headers"
+            rows={2}
+            placeholder={"Authentication-Results: spf=fail\nX-Mailer"}
+            {...register("headers")}
+          />
+        </div>
+
+        <AttachmentFilterFields register={register} idPrefix="search" />
+
+        <MailboxScopeFields register={register} idPrefix="search" />
+
         <div className="actions">
           <button
             className={clsx("button", "button-primary")}
@@ -227,13 +448,37 @@ const SearchSection = () => {
             Clear filters
           </button>
           <span className="tag">Mailboxes discovered: {mailboxCount}</span>
+          <button
+            className={clsx("button", "button-tertiary")}
+            type="button"
+            onClick={() => refreshMutation.mutate()}
+            disabled={refreshMutation.isPending}
+          >
+            {refreshMutation.isPending ? "Refreshing..." : "Refresh directory"}
+          </button>
         </div>
       </form>
 
+      {mutation.isPending && jobProgress ? (
+        <div className="status-banner info">
+          <span>
+            {jobProgress.progress?.total
+              ? `Searched ${jobProgress.progress.done} of ${jobProgress.progress.total} mailboxes (${jobProgress.results?.length ?? 0} with matches so far).`
+              : "Search queued. Waiting for the server to start."}
+          </span>
+        </div>
+      ) : null}
+
       {mailboxesLoading ? (
         <div className="status-banner info">Fetching mailbox list.</div>
       ) : null}
 
+      {refreshMutation.error ? (
+        <div className="status-banner error">
+          <span>{refreshMutation.error?.error?.message || "Mailbox directory refresh failed"}</span>
+        </div>
+      ) : null}
+
       {mailboxesError ? (
         <div className="status-banner error">
           <span>Mailbox discovery failed. Searches may still work if you provide explicit folders.</span>
@@ -262,6 +507,18 @@ const SearchSection = () => {
         </div>
       ) : null}
 
+      {mutation.data?.summary?.archive?.unsupported ? (
+        <div className="status-banner warning">
+          <span>Archive mailboxes cannot be searched with the current mail provider.</span>
+        </div>
+      ) : null}
+
+      {mutation.data?.summary?.scope?.unmatched?.length ? (
+        <div className="status-banner warning">
+          <span>No mailbox matched: {mutation.data.summary.scope.unmatched.join(", ")}</span>
+        </div>
+      ) : null}
+
       {mutation.data ? (
         <>
           <SummaryMetrics summary={mutation.data.summary} variant="search" />
@@ -20,9 +20,21 @@ const SummaryMetrics = ({ summary, variant }) => {
         ]
       : [{ label: "Messages Matched", value: summary.totalMessages ?? 0 }];
 
+  const archiveMetrics = summary.archive
+    ? [
+        { label: "Archive Matches", value: summary.archive.totalMatches ?? 0 },
+        { label: "Mailboxes With Archive", value: summary.archive.mailboxesWithArchive ?? 0 }
+      ]
+    : [];
+
+  const senderMetrics = (summary.senderMatches || []).map((entry) => ({
+    label: `From ${entry.sender}`,
+    value: entry.matches
+  }));
+
   return (
     <div className="metrics-grid">
-      {[...baseMetrics, ...additionalMetrics].map((metric) => (
+      {[...baseMetrics, ...additionalMetrics, ...archiveMetrics, ...senderMetrics].map((metric) => (
         <div className="metric-card" key={metric.label}>
           <span>{metric.label}</span>
           <strong>{metric.value}</strong>
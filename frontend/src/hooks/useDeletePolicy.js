@@ -0,0 +1,12 @@
+import { useQuery } from "@tanstack/react-query";
+import { fetchDeletePolicy } from "../api/exchange";
+
+const useDeletePolicy = () => {
+  return useQuery({
+    queryKey: ["deletePolicy"],
+    queryFn: fetchDeletePolicy,
+    staleTime: 5 * 60 * 1000
+  });
+};
+
+export default useDeletePolicy;
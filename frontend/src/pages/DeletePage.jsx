@@ -1,3 +1,4 @@
+import ApprovalsSection from "../components/ApprovalsSection.jsx";
 import DeleteSection from "../components/DeleteSection.jsx";
 
 const DeletePage = () => {
@@ -12,6 +13,7 @@ const DeletePage = () => {
       </header>
       <div className="page-content">
         <DeleteSection />
+        <ApprovalsSection />
       </div>
     </div>
   );